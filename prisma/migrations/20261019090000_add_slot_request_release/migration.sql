@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `SlotRequest` ADD COLUMN `releasedAt` DATETIME(3) NULL,
+    MODIFY `requestStatus` ENUM('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED', 'COMPLETED') NOT NULL DEFAULT 'PENDING';
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE `ParkingSession` (
+    `id` VARCHAR(191) NOT NULL,
+    `status` ENUM('ACTIVE', 'COMPLETED') NOT NULL DEFAULT 'ACTIVE',
+    `checkInAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `checkOutAt` DATETIME(3) NULL,
+    `activeSlotId` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `slotRequestId` VARCHAR(191) NOT NULL,
+    `slotId` VARCHAR(191) NOT NULL,
+    `vehicleId` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+
+    UNIQUE INDEX `ParkingSession_activeSlotId_key`(`activeSlotId`),
+    INDEX `ParkingSession_slotRequestId_idx`(`slotRequestId`),
+    INDEX `ParkingSession_slotId_idx`(`slotId`),
+    INDEX `ParkingSession_vehicleId_idx`(`vehicleId`),
+    INDEX `ParkingSession_userId_idx`(`userId`),
+    INDEX `ParkingSession_status_idx`(`status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `ParkingSession` ADD CONSTRAINT `ParkingSession_slotRequestId_fkey` FOREIGN KEY (`slotRequestId`) REFERENCES `SlotRequest`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ParkingSession` ADD CONSTRAINT `ParkingSession_slotId_fkey` FOREIGN KEY (`slotId`) REFERENCES `ParkingSlot`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ParkingSession` ADD CONSTRAINT `ParkingSession_vehicleId_fkey` FOREIGN KEY (`vehicleId`) REFERENCES `Vehicle`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ParkingSession` ADD CONSTRAINT `ParkingSession_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
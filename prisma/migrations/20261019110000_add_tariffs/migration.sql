@@ -0,0 +1,42 @@
+-- AlterTable
+ALTER TABLE `ParkingSession` ADD COLUMN `feeAmount` DECIMAL(10, 2) NULL,
+    ADD COLUMN `feeDetails` JSON NULL,
+    ADD COLUMN `tariffId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `Tariff` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `slotSize` VARCHAR(191) NOT NULL,
+    `vehicleType` VARCHAR(191) NOT NULL,
+    `hourlyRate` DECIMAL(10, 2) NOT NULL,
+    `dailyCap` DECIMAL(10, 2) NULL,
+    `gracePeriodMinutes` INTEGER NOT NULL DEFAULT 0,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `Tariff_slotSize_vehicleType_key`(`slotSize`, `vehicleType`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `TariffBand` (
+    `id` VARCHAR(191) NOT NULL,
+    `startHour` INTEGER NOT NULL,
+    `endHour` INTEGER NOT NULL,
+    `hourlyRate` DECIMAL(10, 2) NOT NULL,
+    `tariffId` VARCHAR(191) NOT NULL,
+
+    INDEX `TariffBand_tariffId_idx`(`tariffId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `ParkingSession_tariffId_idx` ON `ParkingSession`(`tariffId`);
+
+-- AddForeignKey
+ALTER TABLE `ParkingSession` ADD CONSTRAINT `ParkingSession_tariffId_fkey` FOREIGN KEY (`tariffId`) REFERENCES `Tariff`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `TariffBand` ADD CONSTRAINT `TariffBand_tariffId_fkey` FOREIGN KEY (`tariffId`) REFERENCES `Tariff`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `SlotRequest` ADD COLUMN `endTime` DATETIME(3) NULL,
+    ADD COLUMN `startTime` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `SlotRequest_slotId_requestStatus_startTime_endTime_idx` ON `SlotRequest`(`slotId`, `requestStatus`, `startTime`, `endTime`);
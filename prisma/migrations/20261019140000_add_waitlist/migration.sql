@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `SlotRequest` ADD COLUMN `waitlistedAt` DATETIME(3) NULL,
+    MODIFY `requestStatus` ENUM('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED', 'COMPLETED', 'WAITLISTED') NOT NULL DEFAULT 'PENDING';
+
+-- CreateIndex
+CREATE INDEX `SlotRequest_requestStatus_waitlistedAt_idx` ON `SlotRequest`(`requestStatus`, `waitlistedAt`);
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE `ApprovalRule` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `description` VARCHAR(191) NULL,
+    `priority` INTEGER NOT NULL DEFAULT 100,
+    `decision` ENUM('AUTO_APPROVE', 'AUTO_REJECT', 'MANUAL_REVIEW') NOT NULL,
+    `conditions` JSON NOT NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `ApprovalRule_name_key`(`name`),
+    INDEX `ApprovalRule_isActive_priority_idx`(`isActive`, `priority`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `ParkingSlot` ADD COLUMN `lastAssignedAt` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `SlotRequest` ADD COLUMN `assignmentStrategy` VARCHAR(191) NULL,
+    ADD COLUMN `preferredLocation` VARCHAR(191) NULL;
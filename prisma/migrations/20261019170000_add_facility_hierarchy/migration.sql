@@ -0,0 +1,94 @@
+-- AlterTable
+ALTER TABLE `ParkingSlot` ADD COLUMN `facilityId` VARCHAR(191) NULL,
+    ADD COLUMN `levelId` VARCHAR(191) NULL,
+    ADD COLUMN `zoneId` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `SlotRequest` ADD COLUMN `facilityId` VARCHAR(191) NULL,
+    ADD COLUMN `preferredLevelId` VARCHAR(191) NULL,
+    ADD COLUMN `preferredZoneId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `Facility` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `address` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `Facility_name_key`(`name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `Level` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `ordinal` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `facilityId` VARCHAR(191) NOT NULL,
+
+    UNIQUE INDEX `Level_facilityId_name_key`(`facilityId`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `Zone` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `description` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `facilityId` VARCHAR(191) NOT NULL,
+    `levelId` VARCHAR(191) NULL,
+
+    INDEX `Zone_levelId_idx`(`levelId`),
+    UNIQUE INDEX `Zone_facilityId_name_key`(`facilityId`, `name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `ParkingSlot_facilityId_idx` ON `ParkingSlot`(`facilityId`);
+
+-- CreateIndex
+CREATE INDEX `ParkingSlot_levelId_idx` ON `ParkingSlot`(`levelId`);
+
+-- CreateIndex
+CREATE INDEX `ParkingSlot_zoneId_idx` ON `ParkingSlot`(`zoneId`);
+
+-- CreateIndex
+CREATE INDEX `SlotRequest_facilityId_idx` ON `SlotRequest`(`facilityId`);
+
+-- CreateIndex
+CREATE INDEX `SlotRequest_preferredLevelId_idx` ON `SlotRequest`(`preferredLevelId`);
+
+-- CreateIndex
+CREATE INDEX `SlotRequest_preferredZoneId_idx` ON `SlotRequest`(`preferredZoneId`);
+
+-- AddForeignKey
+ALTER TABLE `ParkingSlot` ADD CONSTRAINT `ParkingSlot_facilityId_fkey` FOREIGN KEY (`facilityId`) REFERENCES `Facility`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ParkingSlot` ADD CONSTRAINT `ParkingSlot_levelId_fkey` FOREIGN KEY (`levelId`) REFERENCES `Level`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ParkingSlot` ADD CONSTRAINT `ParkingSlot_zoneId_fkey` FOREIGN KEY (`zoneId`) REFERENCES `Zone`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Level` ADD CONSTRAINT `Level_facilityId_fkey` FOREIGN KEY (`facilityId`) REFERENCES `Facility`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Zone` ADD CONSTRAINT `Zone_facilityId_fkey` FOREIGN KEY (`facilityId`) REFERENCES `Facility`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Zone` ADD CONSTRAINT `Zone_levelId_fkey` FOREIGN KEY (`levelId`) REFERENCES `Level`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SlotRequest` ADD CONSTRAINT `SlotRequest_facilityId_fkey` FOREIGN KEY (`facilityId`) REFERENCES `Facility`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SlotRequest` ADD CONSTRAINT `SlotRequest_preferredLevelId_fkey` FOREIGN KEY (`preferredLevelId`) REFERENCES `Level`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SlotRequest` ADD CONSTRAINT `SlotRequest_preferredZoneId_fkey` FOREIGN KEY (`preferredZoneId`) REFERENCES `Zone`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
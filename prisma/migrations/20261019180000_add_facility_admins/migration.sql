@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE `User` MODIFY `role` ENUM('USER', 'ADMIN', 'SUPER_ADMIN') NOT NULL DEFAULT 'USER';
+
+-- Existing admins managed the single global pool, so they keep full access
+UPDATE `User` SET `role` = 'SUPER_ADMIN' WHERE `role` = 'ADMIN';
+
+-- CreateTable
+CREATE TABLE `FacilityAdmin` (
+    `id` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `userId` VARCHAR(191) NOT NULL,
+    `facilityId` VARCHAR(191) NOT NULL,
+
+    INDEX `FacilityAdmin_facilityId_idx`(`facilityId`),
+    UNIQUE INDEX `FacilityAdmin_userId_facilityId_key`(`userId`, `facilityId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `FacilityAdmin` ADD CONSTRAINT `FacilityAdmin_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `FacilityAdmin` ADD CONSTRAINT `FacilityAdmin_facilityId_fkey` FOREIGN KEY (`facilityId`) REFERENCES `Facility`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
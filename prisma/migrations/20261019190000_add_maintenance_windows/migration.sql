@@ -0,0 +1,29 @@
+-- ParkingSlot.status already allows 'MAINTENANCE' at the database level (see the init
+-- migration); this change only brings the Prisma enum in line with it.
+
+-- CreateTable
+CREATE TABLE `MaintenanceWindow` (
+    `id` VARCHAR(191) NOT NULL,
+    `reason` VARCHAR(191) NOT NULL,
+    `startTime` DATETIME(3) NOT NULL,
+    `endTime` DATETIME(3) NOT NULL,
+    `status` ENUM('SCHEDULED', 'ACTIVE', 'COMPLETED', 'CANCELLED') NOT NULL DEFAULT 'SCHEDULED',
+    `startedAt` DATETIME(3) NULL,
+    `completedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `slotId` VARCHAR(191) NULL,
+    `zoneId` VARCHAR(191) NULL,
+
+    INDEX `MaintenanceWindow_slotId_idx`(`slotId`),
+    INDEX `MaintenanceWindow_zoneId_idx`(`zoneId`),
+    INDEX `MaintenanceWindow_status_startTime_idx`(`status`, `startTime`),
+    INDEX `MaintenanceWindow_status_endTime_idx`(`status`, `endTime`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `MaintenanceWindow` ADD CONSTRAINT `MaintenanceWindow_slotId_fkey` FOREIGN KEY (`slotId`) REFERENCES `ParkingSlot`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `MaintenanceWindow` ADD CONSTRAINT `MaintenanceWindow_zoneId_fkey` FOREIGN KEY (`zoneId`) REFERENCES `Zone`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
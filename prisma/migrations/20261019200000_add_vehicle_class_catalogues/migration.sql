@@ -0,0 +1,77 @@
+-- CreateTable
+CREATE TABLE `VehicleType` (
+    `id` VARCHAR(191) NOT NULL,
+    `code` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `VehicleType_code_key`(`code`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `VehicleSize` (
+    `id` VARCHAR(191) NOT NULL,
+    `code` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `rank` INTEGER NOT NULL DEFAULT 0,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `VehicleSize_code_key`(`code`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `SlotCompatibility` (
+    `id` VARCHAR(191) NOT NULL,
+    `slotVehicleType` VARCHAR(191) NOT NULL,
+    `slotSize` VARCHAR(191) NOT NULL,
+    `vehicleType` VARCHAR(191) NOT NULL,
+    `vehicleSize` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `SlotCompatibility_vehicleType_vehicleSize_idx`(`vehicleType`, `vehicleSize`),
+    UNIQUE INDEX `SlotCompatibility_classes_key`(`slotVehicleType`, `slotSize`, `vehicleType`, `vehicleSize`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Normalise the free-text values already stored ("Medium ", "CAR") to lowercase codes
+UPDATE `Vehicle` SET `vehicleType` = LOWER(TRIM(`vehicleType`)), `size` = LOWER(TRIM(`size`));
+UPDATE `ParkingSlot` SET `vehicleType` = LOWER(TRIM(`vehicleType`)), `size` = LOWER(TRIM(`size`));
+UPDATE `Tariff` SET `vehicleType` = LOWER(TRIM(`vehicleType`)), `slotSize` = LOWER(TRIM(`slotSize`));
+
+-- Seed the catalogues with every value in use plus the usual defaults
+INSERT INTO `VehicleType` (`id`, `code`, `name`, `updatedAt`)
+SELECT UUID(), `code`, CONCAT(UPPER(LEFT(`code`, 1)), SUBSTRING(`code`, 2)), CURRENT_TIMESTAMP(3)
+FROM (
+    SELECT `vehicleType` AS `code` FROM `Vehicle`
+    UNION SELECT `vehicleType` FROM `ParkingSlot`
+    UNION SELECT 'car'
+    UNION SELECT 'motorcycle'
+) AS `types`
+WHERE `code` <> '' AND `code` <> 'any';
+
+INSERT INTO `VehicleSize` (`id`, `code`, `name`, `rank`, `updatedAt`)
+SELECT UUID(), `code`, CONCAT(UPPER(LEFT(`code`, 1)), SUBSTRING(`code`, 2)),
+    CASE `code` WHEN 'small' THEN 10 WHEN 'medium' THEN 20 WHEN 'large' THEN 30 ELSE 100 END,
+    CURRENT_TIMESTAMP(3)
+FROM (
+    SELECT `size` AS `code` FROM `Vehicle`
+    UNION SELECT `size` FROM `ParkingSlot`
+    UNION SELECT 'small'
+    UNION SELECT 'medium'
+    UNION SELECT 'large'
+) AS `sizes`
+WHERE `code` <> '';
+
+-- Reproduce the previous hard-coded rule: a slot takes vehicles of its own size that are
+-- of its own type, and "any" slots take every type
+INSERT INTO `SlotCompatibility` (`id`, `slotVehicleType`, `slotSize`, `vehicleType`, `vehicleSize`)
+SELECT UUID(), `t`.`code`, `s`.`code`, `t`.`code`, `s`.`code`
+FROM `VehicleType` AS `t` CROSS JOIN `VehicleSize` AS `s`;
+
+INSERT INTO `SlotCompatibility` (`id`, `slotVehicleType`, `slotSize`, `vehicleType`, `vehicleSize`)
+SELECT UUID(), 'any', `s`.`code`, `t`.`code`, `s`.`code`
+FROM `VehicleType` AS `t` CROSS JOIN `VehicleSize` AS `s`;
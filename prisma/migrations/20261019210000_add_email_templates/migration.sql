@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `locale` VARCHAR(191) NOT NULL DEFAULT 'en';
+
+-- CreateTable
+CREATE TABLE `EmailTemplate` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `locale` VARCHAR(191) NOT NULL,
+    `subject` VARCHAR(191) NOT NULL,
+    `html` TEXT NOT NULL,
+    `text` TEXT NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `EmailTemplate_name_locale_key`(`name`, `locale`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
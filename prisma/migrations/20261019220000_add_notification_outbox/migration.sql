@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE `NotificationOutbox` (
+    `id` VARCHAR(191) NOT NULL,
+    `template` VARCHAR(191) NOT NULL,
+    `recipient` VARCHAR(191) NOT NULL,
+    `locale` VARCHAR(191) NOT NULL,
+    `variables` JSON NOT NULL,
+    `status` ENUM('PENDING', 'SENDING', 'SENT', 'DEAD') NOT NULL DEFAULT 'PENDING',
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `nextAttemptAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `lockedAt` DATETIME(3) NULL,
+    `lastError` TEXT NULL,
+    `sentAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+    `userId` VARCHAR(191) NULL,
+
+    INDEX `NotificationOutbox_status_nextAttemptAt_idx`(`status`, `nextAttemptAt`),
+    INDEX `NotificationOutbox_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `NotificationOutbox` ADD CONSTRAINT `NotificationOutbox_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
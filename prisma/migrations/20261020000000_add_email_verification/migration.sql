@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `emailVerifiedAt` DATETIME(3) NULL;
+
+-- Accounts created before verification existed keep working
+UPDATE `User` SET `emailVerifiedAt` = `createdAt`;
+
+-- CreateTable
+CREATE TABLE `EmailVerificationToken` (
+    `id` VARCHAR(191) NOT NULL,
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `email` VARCHAR(191) NOT NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `usedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `userId` VARCHAR(191) NOT NULL,
+
+    UNIQUE INDEX `EmailVerificationToken_tokenHash_key`(`tokenHash`),
+    INDEX `EmailVerificationToken_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `EmailVerificationToken` ADD CONSTRAINT `EmailVerificationToken_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
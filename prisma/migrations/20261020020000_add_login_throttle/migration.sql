@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE `LoginThrottle` (
+    `key` VARCHAR(191) NOT NULL,
+    `failures` INTEGER NOT NULL DEFAULT 0,
+    `windowStartedAt` DATETIME(3) NOT NULL,
+    `lockedUntil` DATETIME(3) NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `LoginThrottle_lockedUntil_idx`(`lockedUntil`),
+    PRIMARY KEY (`key`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
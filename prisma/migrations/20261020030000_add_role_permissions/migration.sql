@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE `User` MODIFY `role` ENUM('USER', 'ATTENDANT', 'AUDITOR', 'ADMIN', 'SUPER_ADMIN') NOT NULL DEFAULT 'USER';
+
+-- CreateTable
+CREATE TABLE `RolePermission` (
+    `id` VARCHAR(191) NOT NULL,
+    `role` ENUM('USER', 'ATTENDANT', 'AUDITOR', 'ADMIN', 'SUPER_ADMIN') NOT NULL,
+    `permission` VARCHAR(191) NOT NULL,
+    `granted` BOOLEAN NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `RolePermission_role_permission_key`(`role`, `permission`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
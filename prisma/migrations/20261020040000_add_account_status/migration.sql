@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `status` ENUM('ACTIVE', 'SUSPENDED', 'DELETED') NOT NULL DEFAULT 'ACTIVE',
+    ADD COLUMN `statusReason` VARCHAR(191) NULL,
+    ADD COLUMN `suspendedAt` DATETIME(3) NULL,
+    ADD COLUMN `deletedAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `User_status_idx` ON `User`(`status`);
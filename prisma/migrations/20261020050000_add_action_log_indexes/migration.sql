@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX `ActionLog_timestamp_idx` ON `ActionLog`(`timestamp`);
+
+-- CreateIndex
+CREATE INDEX `ActionLog_action_timestamp_idx` ON `ActionLog`(`action`, `timestamp`);
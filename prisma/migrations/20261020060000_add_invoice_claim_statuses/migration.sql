@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `Invoice` MODIFY `status` ENUM('UNPAID', 'PROCESSING', 'PAID', 'REFUNDING', 'REFUNDED') NOT NULL DEFAULT 'UNPAID';
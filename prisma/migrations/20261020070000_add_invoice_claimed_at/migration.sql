@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `Invoice` ADD COLUMN `claimedAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `Invoice_status_claimedAt_idx` ON `Invoice`(`status`, `claimedAt`);
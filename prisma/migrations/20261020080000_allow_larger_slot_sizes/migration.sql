@@ -0,0 +1,14 @@
+-- Completes the rule seeded by 20261019200000_add_vehicle_class_catalogues, which only
+-- added exact-size rows: before the matrix, best-fit also placed a vehicle in any larger
+-- size. Same-type and "any" slots now take vehicles of any size ranked at or below theirs.
+INSERT IGNORE INTO `SlotCompatibility` (`id`, `slotVehicleType`, `slotSize`, `vehicleType`, `vehicleSize`)
+SELECT UUID(), `t`.`code`, `slot`.`code`, `t`.`code`, `vehicle`.`code`
+FROM `VehicleType` AS `t`
+CROSS JOIN `VehicleSize` AS `vehicle`
+JOIN `VehicleSize` AS `slot` ON `slot`.`rank` >= `vehicle`.`rank`;
+
+INSERT IGNORE INTO `SlotCompatibility` (`id`, `slotVehicleType`, `slotSize`, `vehicleType`, `vehicleSize`)
+SELECT UUID(), 'any', `slot`.`code`, `t`.`code`, `vehicle`.`code`
+FROM `VehicleType` AS `t`
+CROSS JOIN `VehicleSize` AS `vehicle`
+JOIN `VehicleSize` AS `slot` ON `slot`.`rank` >= `vehicle`.`rank`;
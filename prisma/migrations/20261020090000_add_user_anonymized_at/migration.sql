@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `anonymizedAt` DATETIME(3) NULL;
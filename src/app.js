@@ -8,6 +8,13 @@ dotenv.config();
 
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1" for one hop) so req.ip is the client's
+// address rather than the proxy's; login throttling counts failures per req.ip
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middlewares
 app.use(cors({
   origin: process.env.CORS_ORIGIN || "*", // Configure for your frontend URL in production
@@ -24,6 +31,4 @@ app.use('/api/v1', mainRouter); // Prefix all API routes with /api/v1
 // Error Handler Middleware (should be last)
 app.use(errorHandler);
 
-export default app;
-
-// i think that we should create a know admin as the app starts 
\ No newline at end of file
+export default app; 
\ No newline at end of file
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+// Operator commands that need no running server or logged-in admin. Run with
+// `npm run manage -- <command> [options]`; `npm run manage -- help` lists them.
+import crypto from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import dotenv from 'dotenv';
+import prisma from '../config/db.js';
+import { logAction } from '../services/actionLogService.js';
+import { USER_ROLES, createVerifiedUser, changeUserRole, setUserPassword } from '../services/userAccountService.js';
+import { FACILITY_STAFF_ROLES } from '../services/permissionService.js';
+import { clearAccountFailures } from '../services/loginThrottleService.js';
+import { importSlots } from '../services/slotImportService.js';
+import { runSeeders } from '../utils/seedData.js';
+
+dotenv.config();
+
+const STAFF_ROLES = USER_ROLES.filter((role) => role !== 'USER');
+
+const USAGE = `Usage: npm run manage -- <command> [options]
+
+Commands:
+  seed                                   Create the initial admin and demo data (see ADMIN_* and SEED_DEMO_DATA)
+  create-admin --email <email> --name <name> [--password <pw>] [--role <${STAFF_ROLES.join('|')}>] [--facility <id>]...
+                                         Create a staff account; ADMIN and ATTENDANT accounts work in the given facilities
+  reset-password --email <email> [--password <pw>]
+                                         Set a new password, sign the user out everywhere and lift any lockout
+  set-role --email <email> --role <${USER_ROLES.join('|')}>
+                                         Promote or demote a user
+  load-slots --file <slots.json|slots.csv> [--facility <id>]
+                                         Create slots in bulk, in the given facility unless a slot names its own;
+                                         existing slot numbers are skipped
+
+Without --password a random one is generated and printed once.`;
+
+class UsageError extends Error {}
+
+const requireOption = (options, name) => {
+  if (!options[name]) throw new UsageError(`--${name} is required.`);
+  return options[name];
+};
+
+const passwordFrom = (options) => {
+  if (options.password) return { password: options.password, generated: false };
+  return { password: crypto.randomBytes(12).toString('base64url'), generated: true };
+};
+
+const findUserByEmail = async (email) => {
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (!user) throw new Error(`No user with email ${email}.`);
+  return user;
+};
+
+// Splits CSV text into rows of fields. Fields may be quoted to hold commas, line breaks or
+// doubled "" quotes, as spreadsheet exports write them. Blank lines are skipped.
+const parseCsv = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1; // Where the current row started, for error messages
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0].trim() !== '') rows.push({ line: rowLine, values: row });
+    row = [];
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      field = '';
+      quoted = true;
+    } else if (char === '"') {
+      throw new Error(`CSV line ${line}: a quote may only start a field; quote the whole field and double any quotes inside it.`);
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n') {
+      endRow();
+      line++;
+      rowLine = line;
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error(`CSV line ${line}: a quoted field is never closed.`);
+  endRow();
+  return rows;
+};
+
+// A JSON array of slot objects (or { "slots": [...] }), or a CSV file whose header row
+// names the fields: slotNumber,size,vehicleType,location[,facilityId,levelId,zoneId]
+const readSlotsFile = async (file) => {
+  const content = await readFile(file, 'utf8');
+  if (file.toLowerCase().endsWith('.csv')) {
+    const [header, ...rows] = parseCsv(content.replace(/^\uFEFF/, ''));
+    if (!header) return [];
+    const fields = header.values.map((field) => field.trim());
+    return rows.map(({ line, values }) => {
+      if (values.length > fields.length) {
+        throw new Error(`CSV line ${line} has ${values.length} fields but the header names ${fields.length}. Quote values that contain commas.`);
+      }
+      return Object.fromEntries(fields.map((field, index) => [field, values[index]?.trim() || undefined]));
+    });
+  }
+  const parsed = JSON.parse(content);
+  const slots = Array.isArray(parsed) ? parsed : parsed.slots;
+  if (!Array.isArray(slots)) throw new Error('The JSON file must hold an array of slots or { "slots": [...] }.');
+  return slots;
+};
+
+const commands = {
+  async seed() {
+    await runSeeders();
+    console.log('Seeding finished.');
+  },
+
+  async 'create-admin'(options) {
+    const email = requireOption(options, 'email');
+    const name = requireOption(options, 'name');
+    const role = options.role || 'ADMIN';
+    if (!STAFF_ROLES.includes(role)) throw new UsageError(`--role must be one of ${STAFF_ROLES.join(', ')}.`);
+    const facilityIds = options.facility || [];
+    if (!FACILITY_STAFF_ROLES.includes(role) && facilityIds.length > 0) throw new UsageError(`--facility only applies to ${FACILITY_STAFF_ROLES.join(' and ')} accounts.`);
+    if (await prisma.user.findUnique({ where: { email } })) throw new Error(`A user with email ${email} already exists. Use set-role to promote them.`);
+    for (const facilityId of facilityIds) {
+      if (!(await prisma.facility.findUnique({ where: { id: facilityId } }))) throw new Error(`Facility ${facilityId} not found.`);
+    }
+
+    const { password, generated } = passwordFrom(options);
+    const admin = await createVerifiedUser({ name, email, password, role });
+    if (facilityIds.length > 0) {
+      await prisma.facilityAdmin.createMany({ data: facilityIds.map((facilityId) => ({ userId: admin.id, facilityId })) });
+    }
+    await logAction('ADMIN_CREATED', null, { via: 'cli', userId: admin.id, email, role, facilityIds });
+    console.log(`Created ${role} ${email} (${admin.id}).`);
+    if (generated) console.log(`Password: ${password}`);
+  },
+
+  async 'reset-password'(options) {
+    const user = await findUserByEmail(requireOption(options, 'email'));
+    const { password, generated } = passwordFrom(options);
+    const sessionsRevoked = await setUserPassword(user.id, password, 'password_reset');
+    await clearAccountFailures(user.email);
+    await logAction('USER_PASSWORD_RESET_BY_OPERATOR', null, { via: 'cli', userId: user.id, sessionsRevoked });
+    console.log(`Password reset for ${user.email}; ${sessionsRevoked} session(s) signed out.`);
+    if (generated) console.log(`Password: ${password}`);
+  },
+
+  async 'set-role'(options) {
+    const user = await findUserByEmail(requireOption(options, 'email'));
+    const role = requireOption(options, 'role');
+    if (!USER_ROLES.includes(role)) throw new UsageError(`--role must be one of ${USER_ROLES.join(', ')}.`);
+    if (user.role === role) {
+      console.log(`${user.email} is already ${role}.`);
+      return;
+    }
+    await changeUserRole(user.id, role);
+    await logAction('USER_ROLE_CHANGED', null, { via: 'cli', userId: user.id, from: user.role, to: role });
+    console.log(`${user.email}: ${user.role} -> ${role}.`);
+  },
+
+  async 'load-slots'(options) {
+    const slots = await readSlotsFile(requireOption(options, 'file'));
+    const facilityId = options.facility?.[0];
+    const { createdSlots, errors } = await importSlots(facilityId ? slots.map((slot) => ({ ...slot, facilityId: slot.facilityId || facilityId })) : slots);
+    await logAction('SLOTS_BULK_CREATED', null, { via: 'cli', createdCount: createdSlots.length, errorCount: errors.length });
+    console.log(`${createdSlots.length} slot(s) created, ${errors.length} skipped.`);
+    for (const { slotData, error } of errors) console.log(`  ${slotData.slotNumber || '(no slot number)'}: ${error}`);
+  },
+};
+
+const main = async () => {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      email: { type: 'string' },
+      name: { type: 'string' },
+      password: { type: 'string' },
+      role: { type: 'string' },
+      facility: { type: 'string', multiple: true },
+      file: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  const [command] = positionals;
+  if (!command || command === 'help' || values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!Object.hasOwn(commands, command)) throw new UsageError(`Unknown command "${command}".`);
+  await commands[command](values);
+};
+
+try {
+  await main();
+} catch (error) {
+  const usageProblem = error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS');
+  console.error(usageProblem ? `${error.message}\n\n${USAGE}` : `Error: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
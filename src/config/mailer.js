@@ -3,23 +3,30 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+// For local testing, point EMAIL_HOST/EMAIL_PORT at an SMTP stand-in such as MailHog
+// (localhost:1025) and leave EMAIL_USER unset to skip authentication
 const transporter = nodemailer.createTransport({
   host: process.env.EMAIL_HOST,
   port: parseInt(process.env.EMAIL_PORT || '587', 10),
   secure: process.env.EMAIL_SECURE === 'true', // true for 465, false for other ports
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
+  ...(process.env.EMAIL_USER && {
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+  }),
 });
 
-export const sendEmail = async (to, subject, html) => {
+// Low-level send, used by the outbox worker. Application emails are queued through
+// notificationService instead, and rendered from the email templates on delivery.
+export const sendEmail = async (to, subject, html, text) => {
   try {
     const info = await transporter.sendMail({
       from: process.env.EMAIL_FROM,
       to,
       subject,
       html,
+      text,
     });
     console.log('Message sent: %s', info.messageId);
     return info;
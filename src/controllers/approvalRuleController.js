@@ -0,0 +1,129 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { logAction } from '../services/actionLogService.js';
+import { validateConditions, evaluateRequest } from '../services/approvalPolicyService.js';
+
+// @desc    Create an approval rule (Super admin only)
+// @route   POST /api/v1/approval-rules
+// @access  Private/SuperAdmin
+export const createRule = asyncHandler(async (req, res) => {
+    const { name, description, priority, decision, conditions, isActive } = req.body;
+
+    const conditionError = validateConditions(conditions);
+    if (conditionError) {
+        res.status(400);
+        throw new Error(conditionError);
+    }
+
+    const existingRule = await prisma.approvalRule.findUnique({ where: { name } });
+    if (existingRule) {
+        res.status(400);
+        throw new Error(`An approval rule named "${name}" already exists.`);
+    }
+
+    const rule = await prisma.approvalRule.create({
+        data: { name, description, priority, decision, conditions, isActive },
+    });
+
+    await logAction('APPROVAL_RULE_CREATED', req.user.id, { ruleId: rule.id, name, decision });
+    res.status(201).json(new ApiResponse(201, rule, 'Approval rule created successfully'));
+});
+
+// @desc    List approval rules in evaluation order (Super admin only)
+// @route   GET /api/v1/approval-rules
+// @access  Private/SuperAdmin
+export const listRules = asyncHandler(async (req, res) => {
+    const rules = await prisma.approvalRule.findMany({
+        orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }],
+    });
+    res.json(new ApiResponse(200, rules, 'Approval rules fetched successfully'));
+});
+
+// @desc    Get an approval rule by ID (Super admin only)
+// @route   GET /api/v1/approval-rules/:id
+// @access  Private/SuperAdmin
+export const getRuleById = asyncHandler(async (req, res) => {
+    const rule = await prisma.approvalRule.findUnique({ where: { id: req.params.id } });
+    if (!rule) {
+        res.status(404);
+        throw new Error('Approval rule not found');
+    }
+    res.json(new ApiResponse(200, rule, 'Approval rule details fetched'));
+});
+
+// @desc    Update an approval rule (Super admin only)
+// @route   PUT /api/v1/approval-rules/:id
+// @access  Private/SuperAdmin
+export const updateRule = asyncHandler(async (req, res) => {
+    const ruleId = req.params.id;
+    const { name, description, priority, decision, conditions, isActive } = req.body;
+
+    if (conditions !== undefined) {
+        const conditionError = validateConditions(conditions);
+        if (conditionError) {
+            res.status(400);
+            throw new Error(conditionError);
+        }
+    }
+
+    const rule = await prisma.approvalRule.findUnique({ where: { id: ruleId } });
+    if (!rule) {
+        res.status(404);
+        throw new Error('Approval rule not found');
+    }
+    if (name && name !== rule.name) {
+        const existingRule = await prisma.approvalRule.findUnique({ where: { name } });
+        if (existingRule) {
+            res.status(400);
+            throw new Error(`An approval rule named "${name}" already exists.`);
+        }
+    }
+
+    const updatedRule = await prisma.approvalRule.update({
+        where: { id: ruleId },
+        data: { name, description, priority, decision, conditions, isActive },
+    });
+
+    await logAction('APPROVAL_RULE_UPDATED', req.user.id, { ruleId });
+    res.json(new ApiResponse(200, updatedRule, 'Approval rule updated successfully'));
+});
+
+// @desc    Delete an approval rule (Super admin only)
+// @route   DELETE /api/v1/approval-rules/:id
+// @access  Private/SuperAdmin
+export const deleteRule = asyncHandler(async (req, res) => {
+    const ruleId = req.params.id;
+    const rule = await prisma.approvalRule.findUnique({ where: { id: ruleId } });
+    if (!rule) {
+        res.status(404);
+        throw new Error('Approval rule not found');
+    }
+
+    await prisma.approvalRule.delete({ where: { id: ruleId } });
+
+    await logAction('APPROVAL_RULE_DELETED', req.user.id, { ruleId, name: rule.name });
+    res.json(new ApiResponse(200, null, 'Approval rule deleted successfully'));
+});
+
+// @desc    Dry-run the policy for a vehicle without creating a request (Super admin only)
+// @route   POST /api/v1/approval-rules/evaluate
+// @access  Private/SuperAdmin
+export const evaluateRules = asyncHandler(async (req, res) => {
+    const { vehicleId } = req.body;
+
+    const vehicle = await prisma.vehicle.findUnique({
+        where: { id: vehicleId },
+        include: { owner: { select: { id: true, name: true, email: true, role: true } } },
+    });
+    if (!vehicle) {
+        res.status(404);
+        throw new Error('Vehicle not found.');
+    }
+
+    const { decision, rule } = await evaluateRequest({ vehicleId, vehicle }, vehicle.owner);
+    res.json(new ApiResponse(200, {
+        decision,
+        rule: rule ? { id: rule.id, name: rule.name, priority: rule.priority } : null,
+    }, 'Approval policy evaluated'));
+});
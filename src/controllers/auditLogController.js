@@ -0,0 +1,138 @@
+import { once } from 'node:events';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import {
+    logAction,
+    auditWhere,
+    auditEntityWhere,
+    findActionLogs,
+    forEachActionLogBatch,
+    auditRetentionSettings,
+    pruneActionLogs,
+} from '../services/actionLogService.js';
+
+const CSV_COLUMNS = ['id', 'timestamp', 'action', 'userId', 'userName', 'userEmail', 'details'];
+
+// Turns the filters the route's schema let through (see auditLogValidators.js) into
+// auditWhere's shape
+const parseFilters = (req, res) => {
+    const { action, userId, entity } = req.query;
+    const from = req.query.from && new Date(req.query.from);
+    const to = req.query.to && new Date(req.query.to);
+    if (from && to && from > to) {
+        res.status(400);
+        throw new Error('from must be before to.');
+    }
+
+    const entities = entity.map((value) => {
+        const separator = value.indexOf(':');
+        return { type: value.slice(0, separator), id: value.slice(separator + 1) };
+    });
+
+    return { actions: action.map((name) => name.toUpperCase()), userId, from, to, entities };
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (entry) => [
+    entry.id,
+    entry.timestamp,
+    entry.action,
+    entry.userId,
+    entry.user?.name,
+    entry.user?.email,
+    entry.details,
+].map(csvCell).join(',');
+
+// @desc    Query the audit log, newest first, with cursor pagination. Filters: ?action=A,B
+//          &userId= (who acted) &from=&to= &entity=<type>:<id> (repeatable); paging:
+//          ?limit= (max 200) &cursor= (nextCursor of the previous page)
+// @route   GET /api/v1/audit-logs
+// @access  Private (audit:read)
+export const listAuditLogs = asyncHandler(async (req, res) => {
+    const filters = parseFilters(req, res);
+    const { limit, cursor } = req.query;
+    const page = await findActionLogs(auditWhere(filters), { limit, cursor });
+    res.json(new ApiResponse(200, page, 'Audit log fetched successfully'));
+});
+
+// @desc    Download every entry matching the list filters, oldest first, as CSV or NDJSON
+//          (?format=csv|ndjson, default csv)
+// @route   GET /api/v1/audit-logs/export
+// @access  Private (audit:read)
+export const exportAuditLogs = asyncHandler(async (req, res) => {
+    const { format } = req.query;
+    const filters = parseFilters(req, res);
+
+    const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set({
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+        'Content-Disposition': `attachment; filename="${fileName}"`,
+    });
+    if (format === 'csv') res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+    // Rows are written batch by batch; a client that goes away stops the export
+    let exported = 0;
+    try {
+        await forEachActionLogBatch(auditWhere(filters), async (entries) => {
+            if (res.destroyed) return false;
+            const chunk = entries.map((entry) => (format === 'csv' ? csvRow(entry) : JSON.stringify(entry))).join('\n');
+            exported += entries.length;
+            if (entries.length > 0 && !res.write(`${chunk}\n`)) {
+                await Promise.race([once(res, 'drain'), once(res, 'close')]);
+            }
+            return true;
+        });
+    } catch (error) {
+        await logAction('AUDIT_LOG_EXPORTED', req.user.id, { format, exported, completed: false, filters, error: error.message });
+        // Nothing sent yet: the usual JSON error response still works
+        if (!res.headersSent) throw error;
+        // Once rows are out a status can't be sent; cutting the connection keeps the client
+        // from taking the partial file for a complete one
+        res.destroy(error);
+        return;
+    }
+    res.end();
+
+    await logAction('AUDIT_LOG_EXPORTED', req.user.id, { format, exported, completed: !res.destroyed, filters });
+});
+
+// @desc    Everything that happened to one entity, oldest first (?order=desc for newest
+//          first). Types: user, vehicle, slot, request, session, invoice, facility, level,
+//          zone, tariff, approval-rule, maintenance-window, outbox. Also takes the list
+//          filters and paging.
+// @route   GET /api/v1/audit-logs/entities/:type/:id
+// @access  Private (audit:read)
+export const getEntityTimeline = asyncHandler(async (req, res) => {
+    const { type } = req.params;
+    const { limit, cursor, order } = req.query;
+    const filters = parseFilters(req, res);
+
+    const where = { AND: [auditWhere(filters), auditEntityWhere(type, req.params.id)] };
+    const page = await findActionLogs(where, { limit, cursor, order });
+    res.json(new ApiResponse(200, { entity: { type, id: req.params.id }, ...page }, 'Entity timeline fetched successfully'));
+});
+
+// @desc    How long entries are kept (see AUDIT_VIEW_RETENTION_DAYS, AUDIT_PRUNE_INTERVAL_MINUTES)
+// @route   GET /api/v1/audit-logs/retention
+// @access  Private (audit:read)
+export const getAuditRetention = asyncHandler(async (req, res) => {
+    res.json(new ApiResponse(200, auditRetentionSettings(), 'Audit retention settings fetched successfully'));
+});
+
+// @desc    Delete view entries older than the retention period now, rather than at the next scheduled run
+// @route   POST /api/v1/audit-logs/prune
+// @access  Private (audit:prune)
+export const pruneAuditLogs = asyncHandler(async (req, res) => {
+    const result = await pruneActionLogs();
+    await logAction('AUDIT_LOGS_PRUNED', req.user.id, { ...result, via: 'api' });
+    res.json(new ApiResponse(200, result, `${result.deleted} audit log entr${result.deleted === 1 ? 'y' : 'ies'} pruned`));
+});
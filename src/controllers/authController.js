@@ -2,22 +2,34 @@ import prisma from '../config/db.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiResponse } from '../utils/apiResponse.js';
 import { hashPassword, comparePassword } from '../utils/passwordUtil.js';
-import jwt from 'jsonwebtoken';
 import { logAction } from '../services/actionLogService.js';
+import { normalizeLocale } from '../services/emailTemplateService.js';
+import { requestPasswordReset, completePasswordReset } from '../services/passwordResetService.js';
+import { startEmailVerification, completeEmailVerification, secondsUntilResend } from '../services/emailVerificationService.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  accessTokenLifetime,
+} from '../services/sessionService.js';
+import { findLoginLockout, recordLoginFailure, clearAccountFailures } from '../services/loginThrottleService.js';
+import { notifyAccountLocked } from '../services/notificationService.js';
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
-  });
+// Logs `user` in on the device making this request. The access token goes in the
+// Authorization header; the refresh token gets a new one from /refresh when it expires.
+const startSession = async (req, user) => {
+  const { session, accessToken, refreshToken } = await createSession(user, { userAgent: req.get('user-agent'), ip: req.ip });
+  return { sessionId: session.id, token: accessToken, tokenExpiresIn: accessTokenLifetime(), refreshToken };
 };
 // the admin is a one person 
 
 export const registerUser = asyncHandler(async (req, res) => {
-  const { name, email, password } = req.body;
+  const { name, email, password, locale } = req.body;
 
-  if (!name || !email || !password) {
+  if (locale !== undefined && !normalizeLocale(locale)) {
     res.status(400);
-    throw new Error('Please add all fields');
+    throw new Error('Locale must be a language tag such as "en" or "fr-CA".');
   }
 
   const userExists = await prisma.user.findUnique({ where: { email } });
@@ -33,19 +45,25 @@ export const registerUser = asyncHandler(async (req, res) => {
       name,
       email,
       password: hashedPassword,
+      ...(locale && { locale: normalizeLocale(locale) }),
       // role is USER by default based on schema
     },
   });
 
   if (user) {
     await logAction('USER_REGISTERED', user.id, { email: user.email });
+    // The account can log in straight away, but can't add vehicles or request slots
+    // until the address is confirmed
+    await startEmailVerification(user);
     res.status(201).json(new ApiResponse(201, {
       id: user.id,
       name: user.name,
       email: user.email,
       role: user.role,
-      token: generateToken(user.id),
-    }, "User registered successfully"));
+      locale: user.locale,
+      emailVerified: false,
+      ...(await startSession(req, user)),
+    }, "User registered successfully. Please check your email to verify your address."));
   } else {
     res.status(400);
     throw new Error('Invalid user data');
@@ -55,19 +73,45 @@ export const registerUser = asyncHandler(async (req, res) => {
 export const loginUser = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
-  const user = await prisma.user.findUnique({ where: { email } });
+  // Locked out: don't even check the password, so guessing gets nowhere until it ends
+  const lockout = await findLoginLockout(email, req.ip);
+  if (lockout) {
+    await logAction('USER_LOGIN_BLOCKED', null, { email, ip: req.ip, scope: lockout.scope, lockedUntil: lockout.lockedUntil });
+    res.set('Retry-After', String(Math.ceil((lockout.lockedUntil.getTime() - Date.now()) / 1000)));
+    res.status(429);
+    throw new Error('Too many failed login attempts. Please try again later or reset your password.');
+  }
+
+  // Deleted accounts log in no more than unknown ones do
+  const user = await prisma.user.findFirst({ where: { email, status: { not: 'DELETED' } } });
 
   if (user && (await comparePassword(password, user.password))) {
-    await logAction('USER_LOGIN_SUCCESS', user.id, { email: user.email });
+    await clearAccountFailures(email);
+    if (user.status === 'SUSPENDED') {
+      await logAction('USER_LOGIN_SUSPENDED', user.id, { email, ip: req.ip });
+      res.status(403);
+      throw new Error('This account has been suspended. Please contact support.');
+    }
+    const session = await startSession(req, user);
+    await logAction('USER_LOGIN_SUCCESS', user.id, { email: user.email, sessionId: session.sessionId });
     res.json(new ApiResponse(200, {
       id: user.id,
       name: user.name,
       email: user.email,
       role: user.role,
-      token: generateToken(user.id),
+      emailVerified: Boolean(user.emailVerifiedAt),
+      ...session,
     }, "Login successful"));
   } else {
-    await logAction('USER_LOGIN_FAILED', null, { email });
+    await logAction('USER_LOGIN_FAILED', null, { email, ip: req.ip });
+    const { accountFailures, accountLockedUntil, ipLockedUntil } = await recordLoginFailure(email, req.ip);
+    if (accountLockedUntil) {
+      await logAction('USER_ACCOUNT_LOCKED', user?.id || null, { email, failures: accountFailures, lockedUntil: accountLockedUntil });
+      if (user) await notifyAccountLocked(user, accountFailures, accountLockedUntil);
+    }
+    if (ipLockedUntil) {
+      await logAction('LOGIN_IP_LOCKED', null, { ip: req.ip, lockedUntil: ipLockedUntil });
+    }
     res.status(401);
     throw new Error('Invalid email or password');
   }
@@ -79,7 +123,7 @@ export const getMe = asyncHandler(async (req, res) => {
 });
 
 export const updateUserProfile = asyncHandler(async (req, res) => {
-  const { name, email, password } = req.body;
+  const { name, email, password, locale } = req.body;
   const userId = req.user.id;
 
   const user = await prisma.user.findUnique({ where: { id: userId }});
@@ -91,24 +135,172 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
 
   const updateData = {};
   if (name) updateData.name = name;
-  if (email) {
+  const emailChanged = Boolean(email) && email !== user.email;
+  if (emailChanged) {
     const emailExists = await prisma.user.findFirst({ where: { email, NOT: { id: userId }}});
     if (emailExists) {
         res.status(400);
         throw new Error("Email already taken by another user");
     }
     updateData.email = email;
+    updateData.emailVerifiedAt = null; // The new address has to be confirmed again
   }
   if (password) {
     updateData.password = await hashPassword(password);
+    updateData.passwordChangedAt = new Date();
+  }
+  if (locale !== undefined) {
+    if (!normalizeLocale(locale)) {
+      res.status(400);
+      throw new Error('Locale must be a language tag such as "en" or "fr-CA".');
+    }
+    updateData.locale = normalizeLocale(locale);
   }
 
-  const updatedUser = await prisma.user.update({
-    where: { id: userId },
-    data: updateData,
-    select: { id: true, name: true, email: true, role: true }
-  });
+  // A new password signs out every device, this one included; it gets a fresh session below
+  const [updatedUser, revoked] = await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: updateData,
+      select: { id: true, name: true, email: true, role: true, locale: true, emailVerifiedAt: true }
+    }),
+    ...(password ? [revokeAllSessions(userId, 'password_changed')] : []),
+  ]);
 
   await logAction('USER_PROFILE_UPDATED', userId);
-  res.json(new ApiResponse(200, updatedUser, "Profile updated successfully"));
-});
\ No newline at end of file
+  if (password) {
+    await logAction('USER_PASSWORD_CHANGED', userId, { sessionsRevoked: revoked.count });
+    Object.assign(updatedUser, await startSession(req, updatedUser));
+  }
+  if (emailChanged) {
+    await logAction('USER_EMAIL_CHANGED', userId, { from: user.email, to: updatedUser.email });
+    await startEmailVerification(updatedUser);
+  }
+  res.json(new ApiResponse(200, updatedUser, emailChanged
+    ? "Profile updated successfully. Please check your new email address to verify it."
+    : "Profile updated successfully"));
+});
+
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (user?.status === 'ACTIVE') {
+    const resetToken = await requestPasswordReset(user, req.ip);
+    await logAction('PASSWORD_RESET_REQUESTED', user.id, { email, tokenId: resetToken.id, ip: req.ip });
+  } else {
+    await logAction('PASSWORD_RESET_REQUESTED', null, { email, ip: req.ip, accountFound: false });
+  }
+
+  // Same answer either way, so this can't be used to find out who has an account
+  res.json(new ApiResponse(200, null, "If an account exists for that email, a password reset link has been sent"));
+});
+
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const result = await completePasswordReset(token, password);
+  if (result.error) {
+    await logAction('PASSWORD_RESET_FAILED', result.resetToken?.userId || null, {
+      reason: result.error,
+      tokenId: result.resetToken?.id,
+      ip: req.ip,
+    });
+    res.status(400);
+    throw new Error('This password reset link is invalid or has expired. Please request a new one.');
+  }
+
+  await logAction('PASSWORD_RESET_COMPLETED', result.user.id, { tokenId: result.resetToken.id, ip: req.ip });
+  await clearAccountFailures(result.user.email); // Proving control of the inbox lifts a lockout
+  res.json(new ApiResponse(200, null, "Password has been reset. Please log in with your new password."));
+});
+
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const result = await completeEmailVerification(token);
+  if (result.error) {
+    await logAction('EMAIL_VERIFICATION_FAILED', result.verificationToken?.userId || null, {
+      reason: result.error,
+      tokenId: result.verificationToken?.id,
+    });
+    res.status(400);
+    throw new Error(result.error === 'stale'
+      ? 'This link was sent to an email address that is no longer on your account. Please use the latest link.'
+      : 'This verification link is invalid or has expired. Please request a new one.');
+  }
+
+  await logAction('EMAIL_VERIFIED', result.user.id, { email: result.user.email, tokenId: result.verificationToken.id });
+  res.json(new ApiResponse(200, result.user, "Email verified successfully"));
+});
+
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+  if (req.user.emailVerifiedAt) {
+    res.status(400);
+    throw new Error('Your email address is already verified');
+  }
+
+  const waitSeconds = await secondsUntilResend(req.user.id);
+  if (waitSeconds > 0) {
+    res.status(429);
+    throw new Error(`A verification email was just sent. Please wait ${waitSeconds} seconds before asking again.`);
+  }
+
+  await startEmailVerification(req.user);
+  await logAction('EMAIL_VERIFICATION_RESENT', req.user.id, { email: req.user.email });
+  res.json(new ApiResponse(200, null, "Verification email sent"));
+});
+
+export const refreshAccessToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const result = await rotateRefreshToken(refreshToken);
+  if (result.error) {
+    res.status(401);
+    throw new Error(result.error === 'reused'
+      ? 'This refresh token has already been used, so the session was ended for safety. Please log in again.'
+      : 'Session has ended. Please log in again.');
+  }
+
+  res.json(new ApiResponse(200, {
+    sessionId: result.session.id,
+    token: result.accessToken,
+    tokenExpiresIn: accessTokenLifetime(),
+    refreshToken: result.refreshToken,
+  }, "Token refreshed"));
+});
+
+export const logoutUser = asyncHandler(async (req, res) => {
+  await revokeSession(req.sessionId, 'logout');
+  await logAction('USER_LOGOUT', req.user.id, { sessionId: req.sessionId });
+  res.json(new ApiResponse(200, null, "Logged out successfully"));
+});
+
+export const logoutAllDevices = asyncHandler(async (req, res) => {
+  const { count } = await revokeAllSessions(req.user.id, 'logout_all');
+  await logAction('USER_LOGOUT_ALL', req.user.id, { sessionsRevoked: count });
+  res.json(new ApiResponse(200, { sessionsRevoked: count }, "Logged out of all devices"));
+});
+
+export const listSessions = asyncHandler(async (req, res) => {
+  const sessions = await prisma.session.findMany({
+    where: { userId: req.user.id, revokedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { lastUsedAt: 'desc' },
+    select: { id: true, userAgent: true, ip: true, createdAt: true, lastUsedAt: true, expiresAt: true },
+  });
+  res.json(new ApiResponse(200, sessions.map((session) => ({ ...session, current: session.id === req.sessionId }))));
+});
+
+export const revokeOwnSession = asyncHandler(async (req, res) => {
+  const session = await prisma.session.findFirst({ where: { id: req.params.id, userId: req.user.id } });
+  if (!session) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+
+  const { count } = await revokeSession(session.id, 'logout');
+  if (count > 0) {
+    await logAction('USER_SESSION_REVOKED', req.user.id, { sessionId: session.id });
+  }
+  res.json(new ApiResponse(200, null, "Session ended"));
+});
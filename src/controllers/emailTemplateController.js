@@ -0,0 +1,130 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { logAction } from '../services/actionLogService.js';
+import { DEFAULT_TEMPLATES } from '../services/emailTemplateDefaults.js';
+import {
+    isKnownTemplate,
+    normalizeLocale,
+    getTemplateContent,
+    findTemplateProblems,
+    renderEmail,
+    getDefaultLocale,
+} from '../services/emailTemplateService.js';
+
+const findTemplateOr404 = (req, res) => {
+    const { name } = req.params;
+    if (!isKnownTemplate(name)) {
+        res.status(404);
+        throw new Error(`Email template "${name}" not found`);
+    }
+    return { name, ...DEFAULT_TEMPLATES[name] };
+};
+
+const readLocale = (res, value) => {
+    const locale = normalizeLocale(value);
+    if (!locale) {
+        res.status(400);
+        throw new Error('Locale must be a language tag such as "en" or "fr-CA".');
+    }
+    return locale;
+};
+
+// Built-in locales plus any an admin has added for this template
+const localesOf = async (name) => {
+    const overrides = await prisma.emailTemplate.findMany({ where: { name }, select: { locale: true } });
+    return [...new Set([...Object.keys(DEFAULT_TEMPLATES[name].locales), ...overrides.map((row) => row.locale)])].sort();
+};
+
+// @desc    List the email templates the system sends
+// @route   GET /api/v1/email-templates
+// @access  Private/SuperAdmin
+export const listEmailTemplates = asyncHandler(async (req, res) => {
+    const overrides = await prisma.emailTemplate.findMany({ select: { name: true, locale: true } });
+    const templates = Object.entries(DEFAULT_TEMPLATES).map(([name, template]) => ({
+        name,
+        description: template.description,
+        variables: template.variables,
+        defaultLocales: Object.keys(template.locales),
+        customizedLocales: overrides.filter((row) => row.name === name).map((row) => row.locale).sort(),
+    }));
+    res.json(new ApiResponse(200, { defaultLocale: getDefaultLocale(), templates }, 'Email templates fetched successfully'));
+});
+
+// @desc    Get a template with its content in every locale it has
+// @route   GET /api/v1/email-templates/:name
+// @access  Private/SuperAdmin
+export const getEmailTemplate = asyncHandler(async (req, res) => {
+    const template = findTemplateOr404(req, res);
+    const locales = [];
+    for (const locale of await localesOf(template.name)) {
+        locales.push(await getTemplateContent(template.name, locale));
+    }
+    res.json(new ApiResponse(200, {
+        name: template.name,
+        description: template.description,
+        variables: template.variables,
+        sample: template.sample,
+        locales,
+    }, 'Email template fetched successfully'));
+});
+
+// @desc    Create or replace a template's content for one locale
+// @route   PUT /api/v1/email-templates/:name/:locale
+// @access  Private/SuperAdmin
+export const upsertEmailTemplate = asyncHandler(async (req, res) => {
+    const template = findTemplateOr404(req, res);
+    const locale = readLocale(res, req.params.locale);
+    const { subject, html, text } = req.body;
+
+    const problems = findTemplateProblems(template.name, { subject, html, text });
+    if (problems.length > 0) {
+        res.status(400);
+        throw new Error(`Template has errors: ${problems.join(' ')}`);
+    }
+
+    const saved = await prisma.emailTemplate.upsert({
+        where: { name_locale: { name: template.name, locale } },
+        update: { subject, html, text },
+        create: { name: template.name, locale, subject, html, text },
+    });
+    await logAction('EMAIL_TEMPLATE_UPDATED', req.user.id, { name: template.name, locale });
+    res.json(new ApiResponse(200, saved, 'Email template saved successfully'));
+});
+
+// @desc    Drop a locale's custom content, going back to the built-in text (if any)
+// @route   DELETE /api/v1/email-templates/:name/:locale
+// @access  Private/SuperAdmin
+export const resetEmailTemplate = asyncHandler(async (req, res) => {
+    const template = findTemplateOr404(req, res);
+    const locale = readLocale(res, req.params.locale);
+
+    const { count } = await prisma.emailTemplate.deleteMany({ where: { name: template.name, locale } });
+    if (count === 0) {
+        res.status(404);
+        throw new Error(`No custom ${locale} version of "${template.name}" to reset.`);
+    }
+    await logAction('EMAIL_TEMPLATE_RESET', req.user.id, { name: template.name, locale });
+    res.json(new ApiResponse(200, await getTemplateContent(template.name, locale),
+        template.locales[locale] ? 'Email template reset to the built-in text' : 'Custom locale removed'));
+});
+
+// @desc    Render a template with sample data. Body: { locale?, variables?, subject?, html?, text? };
+//          subject/html/text preview unsaved edits, variables override the sample values.
+// @route   POST /api/v1/email-templates/:name/preview
+// @access  Private/SuperAdmin
+export const previewEmailTemplate = asyncHandler(async (req, res) => {
+    const template = findTemplateOr404(req, res);
+    const { variables, subject, html, text } = req.body;
+    const locale = req.body.locale === undefined ? getDefaultLocale() : readLocale(res, req.body.locale);
+
+    const draft = Object.fromEntries(Object.entries({ subject, html, text }).filter(([, value]) => value !== undefined));
+    const problems = findTemplateProblems(template.name, { subject: '', html: '', text: '', ...draft });
+    if (problems.length > 0) {
+        res.status(400);
+        throw new Error(`Template has errors: ${problems.join(' ')}`);
+    }
+
+    const rendered = await renderEmail(template.name, locale, { ...template.sample, ...variables }, draft);
+    res.json(new ApiResponse(200, rendered, 'Email template preview rendered'));
+});
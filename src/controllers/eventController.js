@@ -0,0 +1,77 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { subscribe, canReceive } from '../services/eventBus.js';
+import { findActiveSession } from '../services/sessionService.js';
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+const sameFacilities = (a = [], b = []) => a.length === b.length && a.every((facilityId) => b.includes(facilityId));
+
+// Why the stream's login no longer holds, or null while it does. `req.user` is the snapshot
+// taken when the stream opened, so this catches logout, logout-all, revoked sessions,
+// password resets, suspensions and role or facility changes made since.
+const streamEndReason = async (req) => {
+    const [session, user] = await Promise.all([
+        findActiveSession(req.sessionId, req.user.id),
+        prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { role: true, status: true, facilityAdmins: { select: { facilityId: true } } },
+        }),
+    ]);
+    if (!session || !user || user.status !== 'ACTIVE') return 'session_ended';
+    if (user.role !== req.user.role) return 'role_changed';
+    if (req.user.facilityIds && !sameFacilities(req.user.facilityIds, user.facilityAdmins.map((admin) => admin.facilityId))) {
+        return 'facilities_changed';
+    }
+    return null;
+};
+
+// @desc    Server-Sent Events stream of live updates. Users get their own requests' status
+//          changes; admins also get new requests in their facilities; everyone gets slot
+//          availability changes. Events: request.created, request.updated, slot.created,
+//          slot.updated, slot.deleted, account.deactivated and session.ended (the stream
+//          then ends). The login is re-checked on every heartbeat; once its session is
+//          revoked or the user's role changes, session.ended is sent and the client has to
+//          reconnect with a fresh token
+// @route   GET /api/v1/events/stream
+// @access  Private (Authorization header or ?access_token=)
+export const streamEvents = asyncHandler(async (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    const write = (type, data, id) => {
+        res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    res.write('retry: 5000\n\n'); // Reconnect delay for the browser
+    write('ready', { userId: req.user.id, role: req.user.role });
+
+    const unsubscribe = subscribe((event) => {
+        if (canReceive(req.user, event.audience)) {
+            write(event.type, { ...event.data, at: event.at }, event.id);
+            // The account was suspended or deleted: no more updates for it
+            if (event.type === 'account.deactivated') res.end();
+        }
+    });
+    const heartbeat = setInterval(async () => {
+        // A failed check ends the stream too; the client reconnects and is authenticated again
+        const reason = await streamEndReason(req).catch(() => 'session_ended');
+        if (res.writableEnded) return;
+        if (reason) {
+            write('session.ended', { reason });
+            res.end();
+            return;
+        }
+        res.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
@@ -0,0 +1,368 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { logAction } from '../services/actionLogService.js';
+import { backfillSlotHierarchy } from '../services/facilityService.js';
+import { canManageFacility, canViewFacility } from '../middlewares/authMiddleware.js';
+import { FACILITY_STAFF_ROLES } from '../services/permissionService.js';
+
+const findFacilityOr404 = async (res, facilityId) => {
+    const facility = await prisma.facility.findUnique({ where: { id: facilityId } });
+    if (!facility) {
+        res.status(404);
+        throw new Error('Facility not found');
+    }
+    return facility;
+};
+
+const assertCanManage = (req, res, facilityId) => {
+    if (!canManageFacility(req.user, facilityId)) {
+        res.status(403);
+        throw new Error('You are not an administrator of this facility.');
+    }
+};
+
+// @desc    Create a facility (Super admin only)
+// @route   POST /api/v1/facilities
+// @access  Private/SuperAdmin
+export const createFacility = asyncHandler(async (req, res) => {
+    const { name, address } = req.body;
+
+    const existingFacility = await prisma.facility.findUnique({ where: { name } });
+    if (existingFacility) {
+        res.status(400);
+        throw new Error(`A facility named "${name}" already exists.`);
+    }
+
+    const facility = await prisma.facility.create({ data: { name, address } });
+
+    await logAction('FACILITY_CREATED', req.user.id, { facilityId: facility.id, name });
+    res.status(201).json(new ApiResponse(201, facility, 'Facility created successfully'));
+});
+
+// @desc    List facilities with their slot counts
+// @route   GET /api/v1/facilities
+// @access  Private
+export const listFacilities = asyncHandler(async (req, res) => {
+    const facilities = await prisma.facility.findMany({
+        orderBy: { name: 'asc' },
+        include: { _count: { select: { slots: true, levels: true, zones: true } } },
+    });
+    res.json(new ApiResponse(200, facilities, 'Facilities fetched successfully'));
+});
+
+// @desc    Get a facility with its levels and zones
+// @route   GET /api/v1/facilities/:id
+// @access  Private
+export const getFacilityById = asyncHandler(async (req, res) => {
+    const facility = await prisma.facility.findUnique({
+        where: { id: req.params.id },
+        include: {
+            levels: {
+                orderBy: [{ ordinal: 'asc' }, { name: 'asc' }],
+                include: { _count: { select: { slots: true } } },
+            },
+            zones: {
+                orderBy: { name: 'asc' },
+                include: { _count: { select: { slots: true } } },
+            },
+            _count: { select: { slots: true } },
+        },
+    });
+    if (!facility) {
+        res.status(404);
+        throw new Error('Facility not found');
+    }
+    res.json(new ApiResponse(200, facility, 'Facility details fetched'));
+});
+
+// @desc    Update a facility (Admin of the facility)
+// @route   PUT /api/v1/facilities/:id
+// @access  Private/Admin
+export const updateFacility = asyncHandler(async (req, res) => {
+    const facilityId = req.params.id;
+    const { name, address } = req.body;
+    assertCanManage(req, res, facilityId);
+
+    const facility = await findFacilityOr404(res, facilityId);
+    if (name && name !== facility.name) {
+        const existingFacility = await prisma.facility.findUnique({ where: { name } });
+        if (existingFacility) {
+            res.status(400);
+            throw new Error(`A facility named "${name}" already exists.`);
+        }
+    }
+
+    const updatedFacility = await prisma.facility.update({
+        where: { id: facilityId },
+        data: { name, address },
+    });
+
+    await logAction('FACILITY_UPDATED', req.user.id, { facilityId });
+    res.json(new ApiResponse(200, updatedFacility, 'Facility updated successfully'));
+});
+
+// @desc    Delete a facility and its levels and zones (Super admin only)
+// @route   DELETE /api/v1/facilities/:id
+// @access  Private/SuperAdmin
+export const deleteFacility = asyncHandler(async (req, res) => {
+    const facilityId = req.params.id;
+    const facility = await findFacilityOr404(res, facilityId);
+
+    const slotCount = await prisma.parkingSlot.count({ where: { facilityId } });
+    if (slotCount > 0) {
+        res.status(400);
+        throw new Error(`Cannot delete facility. ${slotCount} slot(s) are still placed in it.`);
+    }
+
+    await prisma.facility.delete({ where: { id: facilityId } });
+
+    await logAction('FACILITY_DELETED', req.user.id, { facilityId, name: facility.name });
+    res.json(new ApiResponse(200, null, 'Facility deleted successfully'));
+});
+
+// @desc    Add a level to a facility (Admin of the facility)
+// @route   POST /api/v1/facilities/:id/levels
+// @access  Private/Admin
+export const createLevel = asyncHandler(async (req, res) => {
+    const facilityId = req.params.id;
+    const { name, ordinal } = req.body;
+    assertCanManage(req, res, facilityId);
+
+    await findFacilityOr404(res, facilityId);
+    const existingLevel = await prisma.level.findUnique({ where: { facilityId_name: { facilityId, name } } });
+    if (existingLevel) {
+        res.status(400);
+        throw new Error(`Level "${name}" already exists in this facility.`);
+    }
+
+    const level = await prisma.level.create({ data: { facilityId, name, ordinal } });
+
+    await logAction('LEVEL_CREATED', req.user.id, { facilityId, levelId: level.id, name });
+    res.status(201).json(new ApiResponse(201, level, 'Level created successfully'));
+});
+
+// @desc    Update a level (Admin of the facility)
+// @route   PUT /api/v1/facilities/:id/levels/:levelId
+// @access  Private/Admin
+export const updateLevel = asyncHandler(async (req, res) => {
+    const { id: facilityId, levelId } = req.params;
+    const { name, ordinal } = req.body;
+    assertCanManage(req, res, facilityId);
+
+    const level = await prisma.level.findUnique({ where: { id: levelId } });
+    if (!level || level.facilityId !== facilityId) {
+        res.status(404);
+        throw new Error('Level not found in this facility');
+    }
+    if (name && name !== level.name) {
+        const existingLevel = await prisma.level.findUnique({ where: { facilityId_name: { facilityId, name } } });
+        if (existingLevel) {
+            res.status(400);
+            throw new Error(`Level "${name}" already exists in this facility.`);
+        }
+    }
+
+    const updatedLevel = await prisma.level.update({
+        where: { id: levelId },
+        data: { name, ordinal },
+    });
+
+    await logAction('LEVEL_UPDATED', req.user.id, { facilityId, levelId });
+    res.json(new ApiResponse(200, updatedLevel, 'Level updated successfully'));
+});
+
+// @desc    Delete a level (Admin of the facility)
+// @route   DELETE /api/v1/facilities/:id/levels/:levelId
+// @access  Private/Admin
+export const deleteLevel = asyncHandler(async (req, res) => {
+    const { id: facilityId, levelId } = req.params;
+    assertCanManage(req, res, facilityId);
+
+    const level = await prisma.level.findUnique({ where: { id: levelId } });
+    if (!level || level.facilityId !== facilityId) {
+        res.status(404);
+        throw new Error('Level not found in this facility');
+    }
+    const slotCount = await prisma.parkingSlot.count({ where: { levelId } });
+    if (slotCount > 0) {
+        res.status(400);
+        throw new Error(`Cannot delete level. ${slotCount} slot(s) are still on it.`);
+    }
+
+    await prisma.level.delete({ where: { id: levelId } });
+
+    await logAction('LEVEL_DELETED', req.user.id, { facilityId, levelId, name: level.name });
+    res.json(new ApiResponse(200, null, 'Level deleted successfully'));
+});
+
+// Checks that an optional levelId from the body belongs to the facility
+const assertLevelInFacility = async (res, facilityId, levelId) => {
+    if (levelId === undefined || levelId === null) return;
+    const level = await prisma.level.findUnique({ where: { id: levelId } });
+    if (!level || level.facilityId !== facilityId) {
+        res.status(400);
+        throw new Error('Level not found in this facility.');
+    }
+};
+
+// @desc    Add a zone to a facility, optionally on one level (Admin of the facility)
+// @route   POST /api/v1/facilities/:id/zones
+// @access  Private/Admin
+export const createZone = asyncHandler(async (req, res) => {
+    const facilityId = req.params.id;
+    const { name, description, levelId } = req.body;
+    assertCanManage(req, res, facilityId);
+
+    await findFacilityOr404(res, facilityId);
+    await assertLevelInFacility(res, facilityId, levelId);
+    const existingZone = await prisma.zone.findUnique({ where: { facilityId_name: { facilityId, name } } });
+    if (existingZone) {
+        res.status(400);
+        throw new Error(`Zone "${name}" already exists in this facility.`);
+    }
+
+    const zone = await prisma.zone.create({ data: { facilityId, name, description, levelId } });
+
+    await logAction('ZONE_CREATED', req.user.id, { facilityId, zoneId: zone.id, name });
+    res.status(201).json(new ApiResponse(201, zone, 'Zone created successfully'));
+});
+
+// @desc    Update a zone (Admin of the facility)
+// @route   PUT /api/v1/facilities/:id/zones/:zoneId
+// @access  Private/Admin
+export const updateZone = asyncHandler(async (req, res) => {
+    const { id: facilityId, zoneId } = req.params;
+    const { name, description, levelId } = req.body;
+    assertCanManage(req, res, facilityId);
+
+    const zone = await prisma.zone.findUnique({ where: { id: zoneId } });
+    if (!zone || zone.facilityId !== facilityId) {
+        res.status(404);
+        throw new Error('Zone not found in this facility');
+    }
+    await assertLevelInFacility(res, facilityId, levelId);
+    if (name && name !== zone.name) {
+        const existingZone = await prisma.zone.findUnique({ where: { facilityId_name: { facilityId, name } } });
+        if (existingZone) {
+            res.status(400);
+            throw new Error(`Zone "${name}" already exists in this facility.`);
+        }
+    }
+
+    const updatedZone = await prisma.zone.update({
+        where: { id: zoneId },
+        data: { name, description, levelId },
+    });
+
+    await logAction('ZONE_UPDATED', req.user.id, { facilityId, zoneId });
+    res.json(new ApiResponse(200, updatedZone, 'Zone updated successfully'));
+});
+
+// @desc    Delete a zone (Admin of the facility)
+// @route   DELETE /api/v1/facilities/:id/zones/:zoneId
+// @access  Private/Admin
+export const deleteZone = asyncHandler(async (req, res) => {
+    const { id: facilityId, zoneId } = req.params;
+    assertCanManage(req, res, facilityId);
+
+    const zone = await prisma.zone.findUnique({ where: { id: zoneId } });
+    if (!zone || zone.facilityId !== facilityId) {
+        res.status(404);
+        throw new Error('Zone not found in this facility');
+    }
+    const slotCount = await prisma.parkingSlot.count({ where: { zoneId } });
+    if (slotCount > 0) {
+        res.status(400);
+        throw new Error(`Cannot delete zone. ${slotCount} slot(s) are still in it.`);
+    }
+
+    await prisma.zone.delete({ where: { id: zoneId } });
+
+    await logAction('ZONE_DELETED', req.user.id, { facilityId, zoneId, name: zone.name });
+    res.json(new ApiResponse(200, null, 'Zone deleted successfully'));
+});
+
+// @desc    Place slots without a facility into one, parsing levels/zones from their location (Super admin only)
+//          Pass { dryRun: true } to preview the parsed placements without saving them
+// @route   POST /api/v1/facilities/import-locations
+// @access  Private/SuperAdmin
+export const importSlotLocations = asyncHandler(async (req, res) => {
+    const { facilityName, dryRun } = req.body;
+
+    const result = await backfillSlotHierarchy({ facilityName, dryRun });
+
+    if (!dryRun) {
+        await logAction('SLOT_LOCATIONS_IMPORTED', req.user.id, { facilityId: result.facility?.id ?? null, updated: result.updated });
+    }
+    res.json(new ApiResponse(200, result, dryRun
+        ? `${result.plan.length} slot(s) would be placed.`
+        : `${result.updated} slot(s) placed in "${facilityName}".`));
+});
+
+// @desc    List the administrators of a facility
+// @route   GET /api/v1/facilities/:id/admins
+// @access  Private/Admin
+export const listFacilityAdmins = asyncHandler(async (req, res) => {
+    const facilityId = req.params.id;
+    if (!canViewFacility(req.user, facilityId)) {
+        res.status(403);
+        throw new Error('You are not an administrator of this facility.');
+    }
+    await findFacilityOr404(res, facilityId);
+
+    const assignments = await prisma.facilityAdmin.findMany({
+        where: { facilityId },
+        orderBy: { createdAt: 'asc' },
+        include: { user: { select: { id: true, name: true, email: true, role: true } } },
+    });
+    res.json(new ApiResponse(200, assignments, 'Facility administrators fetched successfully'));
+});
+
+// @desc    Assign an ADMIN or ATTENDANT user to a facility (Super admin only)
+// @route   POST /api/v1/facilities/:id/admins
+// @access  Private/SuperAdmin
+export const addFacilityAdmin = asyncHandler(async (req, res) => {
+    const facilityId = req.params.id;
+    const { userId } = req.body;
+
+    await findFacilityOr404(res, facilityId);
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found');
+    }
+    if (!FACILITY_STAFF_ROLES.includes(user.role)) {
+        res.status(400);
+        throw new Error(`Only users with the ${FACILITY_STAFF_ROLES.join(' or ')} role can be assigned to a facility (this user is ${user.role}).`);
+    }
+
+    const existingAssignment = await prisma.facilityAdmin.findUnique({ where: { userId_facilityId: { userId, facilityId } } });
+    if (existingAssignment) {
+        res.status(400);
+        throw new Error('User is already an administrator of this facility.');
+    }
+
+    const assignment = await prisma.facilityAdmin.create({ data: { userId, facilityId } });
+
+    await logAction('FACILITY_ADMIN_ADDED', req.user.id, { facilityId, userId });
+    res.status(201).json(new ApiResponse(201, assignment, 'Facility administrator added successfully'));
+});
+
+// @desc    Remove an administrator from a facility (Super admin only)
+// @route   DELETE /api/v1/facilities/:id/admins/:userId
+// @access  Private/SuperAdmin
+export const removeFacilityAdmin = asyncHandler(async (req, res) => {
+    const { id: facilityId, userId } = req.params;
+
+    const assignment = await prisma.facilityAdmin.findUnique({ where: { userId_facilityId: { userId, facilityId } } });
+    if (!assignment) {
+        res.status(404);
+        throw new Error('User is not an administrator of this facility');
+    }
+
+    await prisma.facilityAdmin.delete({ where: { id: assignment.id } });
+
+    await logAction('FACILITY_ADMIN_REMOVED', req.user.id, { facilityId, userId });
+    res.json(new ApiResponse(200, null, 'Facility administrator removed successfully'));
+});
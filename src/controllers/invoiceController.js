@@ -0,0 +1,317 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { logAction } from '../services/actionLogService.js';
+import { getUserBalance, OUTSTANDING_STATUSES } from '../services/invoiceService.js';
+import { getPaymentProvider } from '../services/payments/index.js';
+import { hasPermission, seesAllFacilities, canManageFacility, canViewFacility, adminFacilityWhere } from '../middlewares/authMiddleware.js';
+
+const invoiceInclude = {
+    parkingSession: {
+        select: {
+            id: true, checkInAt: true, checkOutAt: true, feeDetails: true,
+            slot: { select: { id: true, slotNumber: true, facilityId: true } },
+            vehicle: { select: { id: true, plateNumber: true } },
+        },
+    },
+    user: { select: { id: true, name: true, email: true } },
+};
+
+// @desc    List invoices (User: their own, facility staff: their facilities', Super admin/auditor: all)
+// @route   GET /api/v1/invoices
+// @access  Private
+export const listInvoices = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query; // Coerced and capped by the route's schema
+    const skip = (page - 1) * limit;
+    const { status, userId, overdue } = req.query;
+
+    let whereClause = {};
+    if (!hasPermission(req.user, 'invoice:read')) {
+        whereClause.userId = req.user.id;
+    } else {
+        whereClause = adminFacilityWhere(req.user, (facilityIds) => ({ parkingSession: { slot: { facilityId: facilityIds } } }));
+        if (userId) whereClause.userId = userId;
+    }
+    if (status) {
+        whereClause.status = status;
+    }
+    if (overdue) {
+        whereClause.status = { in: OUTSTANDING_STATUSES };
+        whereClause.dueAt = { lt: new Date() };
+    }
+
+    const invoices = await prisma.invoice.findMany({
+        where: whereClause,
+        include: invoiceInclude,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+    });
+
+    const totalInvoices = await prisma.invoice.count({ where: whereClause });
+
+    res.json(new ApiResponse(200, {
+        data: invoices,
+        currentPage: page,
+        totalPages: Math.ceil(totalInvoices / limit),
+        totalItems: totalInvoices,
+        itemsPerPage: limit
+    }, "Invoices fetched successfully"));
+});
+
+// @desc    Ledger summary for the current user (Super admin/auditor may pass ?userId=)
+// @route   GET /api/v1/invoices/balance
+// @access  Private
+export const getBalance = asyncHandler(async (req, res) => {
+    const seesAllBalances = hasPermission(req.user, 'invoice:read') && seesAllFacilities(req.user);
+    const userId = seesAllBalances && req.query.userId ? req.query.userId : req.user.id;
+
+    const balance = await getUserBalance(userId);
+    res.json(new ApiResponse(200, { userId, ...balance }, "Balance fetched successfully"));
+});
+
+// @desc    Unpaid balances grouped per user (Super admin/auditor)
+// @route   GET /api/v1/invoices/outstanding
+// @access  Private/SuperAdmin
+export const listOutstandingBalances = asyncHandler(async (req, res) => {
+    // Balances span every facility, so staff limited to some facilities cannot see them
+    if (!seesAllFacilities(req.user)) {
+        res.status(403);
+        throw new Error('Outstanding balances are only available to roles that see every facility.');
+    }
+    const { page, limit } = req.query; // Coerced and capped by the route's schema
+    const skip = (page - 1) * limit;
+    const whereClause = { status: { in: OUTSTANDING_STATUSES } };
+    if (req.query.overdue) {
+        whereClause.dueAt = { lt: new Date() };
+    }
+
+    const balances = await prisma.invoice.groupBy({
+        by: ['userId'],
+        where: whereClause,
+        _sum: { amount: true },
+        _count: { _all: true },
+        _min: { dueAt: true },
+        orderBy: { _sum: { amount: 'desc' } },
+        skip,
+        take: limit,
+    });
+    const totalUsers = (await prisma.invoice.groupBy({ by: ['userId'], where: whereClause })).length;
+
+    const users = await prisma.user.findMany({
+        where: { id: { in: balances.map((b) => b.userId) } },
+        select: { id: true, name: true, email: true },
+    });
+    const usersById = new Map(users.map((u) => [u.id, u]));
+    const now = new Date();
+
+    const data = balances.map((b) => ({
+        user: usersById.get(b.userId) || { id: b.userId },
+        outstanding: Number(b._sum.amount || 0),
+        unpaidInvoiceCount: b._count._all,
+        oldestDueAt: b._min.dueAt,
+        overdue: b._min.dueAt < now,
+    }));
+
+    res.json(new ApiResponse(200, {
+        data,
+        currentPage: page,
+        totalPages: Math.ceil(totalUsers / limit),
+        totalItems: totalUsers,
+        itemsPerPage: limit
+    }, "Outstanding balances fetched successfully"));
+});
+
+// @desc    Get a specific invoice with its ledger entries
+// @route   GET /api/v1/invoices/:id
+// @access  Private (Owner or staff with invoice:read)
+export const getInvoiceById = asyncHandler(async (req, res) => {
+    const invoice = await prisma.invoice.findUnique({
+        where: { id: req.params.id },
+        include: { ...invoiceInclude, payments: { orderBy: { createdAt: 'asc' } } },
+    });
+
+    if (!invoice) {
+        res.status(404);
+        throw new Error('Invoice not found');
+    }
+    const staffView = hasPermission(req.user, 'invoice:read') && canViewFacility(req.user, invoice.parkingSession.slot.facilityId);
+    if (invoice.userId !== req.user.id && !staffView) {
+        res.status(403);
+        throw new Error('Not authorized to view this invoice');
+    }
+
+    res.json(new ApiResponse(200, invoice, "Invoice details fetched"));
+});
+
+// @desc    Pay an UNPAID invoice through the configured payment provider
+// @route   POST /api/v1/invoices/:id/pay
+// @access  Private (Owner)
+export const payInvoice = asyncHandler(async (req, res) => {
+    const invoiceId = req.params.id;
+    const { paymentMethod } = req.body;
+
+    const invoice = await prisma.invoice.findUnique({ where: { id: invoiceId } });
+    if (!invoice) {
+        res.status(404);
+        throw new Error('Invoice not found');
+    }
+    if (invoice.userId !== req.user.id) {
+        res.status(403);
+        throw new Error('You can only pay your own invoices.');
+    }
+    if (invoice.status !== 'UNPAID') {
+        res.status(invoice.status === 'PROCESSING' ? 409 : 400);
+        throw new Error(invoice.status === 'PROCESSING'
+            ? 'A payment for this invoice is already in progress.'
+            : `Invoice is already ${invoice.status.toLowerCase()}.`);
+    }
+
+    // Claim the invoice before charging so two concurrent requests cannot both reach the provider
+    const { count } = await prisma.invoice.updateMany({
+        where: { id: invoiceId, status: 'UNPAID' },
+        data: { status: 'PROCESSING', claimedAt: new Date() },
+    });
+    if (count === 0) {
+        res.status(409);
+        throw new Error('A payment for this invoice is already in progress.');
+    }
+
+    const provider = getPaymentProvider();
+    let result;
+    try {
+        result = await provider.charge({
+            amount: Number(invoice.amount),
+            currency: invoice.currency,
+            reference: invoice.id,
+            userId: invoice.userId,
+            paymentMethod,
+        });
+    } catch (error) {
+        await prisma.invoice.update({ where: { id: invoiceId }, data: { status: 'UNPAID', claimedAt: null } });
+        throw error;
+    }
+
+    const ledgerEntry = {
+        type: 'PAYMENT',
+        status: result.success ? 'SUCCEEDED' : 'FAILED',
+        amount: invoice.amount,
+        currency: invoice.currency,
+        provider: provider.name,
+        providerReference: result.providerReference || null,
+        failureReason: result.failureReason || null,
+        invoiceId,
+        userId: invoice.userId,
+    };
+
+    if (!result.success) {
+        await prisma.$transaction([
+            prisma.payment.create({ data: ledgerEntry }),
+            prisma.invoice.update({ where: { id: invoiceId }, data: { status: 'UNPAID', claimedAt: null } }),
+        ]);
+        await logAction('INVOICE_PAYMENT_FAILED', req.user.id, { invoiceId, reason: result.failureReason });
+        res.status(402);
+        throw new Error(`Payment failed: ${result.failureReason}`);
+    }
+
+    const [, paidInvoice] = await prisma.$transaction([
+        prisma.payment.create({ data: ledgerEntry }),
+        prisma.invoice.update({
+            where: { id: invoiceId },
+            data: { status: 'PAID', paidAt: new Date(), claimedAt: null },
+            include: { payments: true },
+        }),
+    ]);
+
+    await logAction('INVOICE_PAID', req.user.id, { invoiceId, amount: Number(invoice.amount), providerReference: result.providerReference });
+    res.json(new ApiResponse(200, paidInvoice, 'Invoice paid successfully.'));
+});
+
+// @desc    Refund a PAID invoice in full (Super admin, or facility staff granted invoice:refund)
+// @route   POST /api/v1/invoices/:id/refund
+// @access  Private/SuperAdmin
+export const refundInvoice = asyncHandler(async (req, res) => {
+    const invoiceId = req.params.id;
+    const { reason } = req.body;
+
+    const invoice = await prisma.invoice.findUnique({
+        where: { id: invoiceId },
+        include: {
+            payments: { where: { type: 'PAYMENT', status: 'SUCCEEDED' }, orderBy: { createdAt: 'desc' }, take: 1 },
+            parkingSession: { select: { slot: { select: { facilityId: true } } } },
+        },
+    });
+    if (!invoice) {
+        res.status(404);
+        throw new Error('Invoice not found');
+    }
+    if (!canManageFacility(req.user, invoice.parkingSession.slot.facilityId)) {
+        res.status(403);
+        throw new Error('You can only refund invoices for facilities you administer.');
+    }
+    if (invoice.status === 'REFUNDING') {
+        res.status(409);
+        throw new Error('A refund for this invoice is already in progress.');
+    }
+    if (invoice.status !== 'PAID' || invoice.payments.length === 0) {
+        res.status(400);
+        throw new Error('Only paid invoices can be refunded.');
+    }
+
+    // Claim the invoice before refunding so two concurrent requests cannot both reach the provider
+    const { count } = await prisma.invoice.updateMany({
+        where: { id: invoiceId, status: 'PAID' },
+        data: { status: 'REFUNDING', claimedAt: new Date() },
+    });
+    if (count === 0) {
+        res.status(409);
+        throw new Error('A refund for this invoice is already in progress.');
+    }
+
+    const provider = getPaymentProvider();
+    let result;
+    try {
+        result = await provider.refund({
+            amount: Number(invoice.amount),
+            currency: invoice.currency,
+            reference: invoice.id,
+            providerReference: invoice.payments[0].providerReference,
+        });
+    } catch (error) {
+        await prisma.invoice.update({ where: { id: invoiceId }, data: { status: 'PAID', claimedAt: null } });
+        throw error;
+    }
+
+    const ledgerEntry = {
+        type: 'REFUND',
+        status: result.success ? 'SUCCEEDED' : 'FAILED',
+        amount: invoice.amount,
+        currency: invoice.currency,
+        provider: provider.name,
+        providerReference: result.providerReference || null,
+        failureReason: result.failureReason || null,
+        invoiceId,
+        userId: invoice.userId,
+    };
+
+    if (!result.success) {
+        await prisma.$transaction([
+            prisma.payment.create({ data: ledgerEntry }),
+            prisma.invoice.update({ where: { id: invoiceId }, data: { status: 'PAID', claimedAt: null } }),
+        ]);
+        res.status(502);
+        throw new Error(`Refund failed: ${result.failureReason}`);
+    }
+
+    const [, refundedInvoice] = await prisma.$transaction([
+        prisma.payment.create({ data: ledgerEntry }),
+        prisma.invoice.update({
+            where: { id: invoiceId },
+            data: { status: 'REFUNDED', claimedAt: null },
+            include: { payments: true },
+        }),
+    ]);
+
+    await logAction('INVOICE_REFUNDED', req.user.id, { invoiceId, amount: Number(invoice.amount), reason });
+    res.json(new ApiResponse(200, refundedInvoice, 'Invoice refunded successfully.'));
+});
@@ -0,0 +1,48 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { logAction } from '../services/actionLogService.js';
+import { listLoginLockouts, unlockLogin } from '../services/loginThrottleService.js';
+import { isSuperAdmin } from '../middlewares/authMiddleware.js';
+
+// @desc    List accounts and IP addresses currently locked out of logging in
+// @route   GET /api/v1/login-lockouts
+// @access  Private (login-lockout:read)
+export const getLoginLockouts = asyncHandler(async (req, res) => {
+    const lockouts = await listLoginLockouts();
+    res.json(new ApiResponse(200, lockouts, 'Login lockouts fetched successfully'));
+});
+
+// @desc    Lift a lockout and forget the failed attempts. Body: { email } or { ip }
+// @route   POST /api/v1/login-lockouts/unlock
+// @access  Private (login-lockout:unlock)
+export const unlockLoginLockout = asyncHandler(async (req, res) => {
+    const { email, ip } = req.body;
+
+    if (Boolean(email) === Boolean(ip)) {
+        res.status(400);
+        throw new Error('Provide either an email or an ip to unlock.');
+    }
+
+    // A super-admin account under attack stays locked unless another super-admin lifts it
+    if (email && !isSuperAdmin(req.user)) {
+        const account = await prisma.user.findUnique({ where: { email: email.trim() }, select: { role: true } });
+        if (account && isSuperAdmin(account)) {
+            res.status(403);
+            throw new Error('Only a super admin can unlock a super admin account.');
+        }
+    }
+
+    const cleared = await unlockLogin({ email, ip });
+    if (!cleared) {
+        res.status(404);
+        throw new Error(`No failed logins recorded for ${email ? `email ${email}` : `IP ${ip}`}.`);
+    }
+
+    await logAction('LOGIN_LOCKOUT_CLEARED', req.user.id, {
+        ...(email ? { email } : { ip }),
+        failures: cleared.failures,
+        lockedUntil: cleared.lockedUntil,
+    });
+    res.json(new ApiResponse(200, null, 'Login unlocked successfully'));
+});
@@ -0,0 +1,148 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { parseWindow } from '../services/reservationService.js';
+import { scheduleMaintenance, cancelMaintenance } from '../services/maintenanceService.js';
+import { canManageFacility, canViewFacility, adminFacilityWhere } from '../middlewares/authMiddleware.js';
+
+
+const windowInclude = {
+    slot: { select: { id: true, slotNumber: true, facilityId: true, status: true } },
+    zone: { select: { id: true, name: true, facilityId: true } },
+};
+
+// The facility a window belongs to, through its slot or its zone
+const windowFacilityId = (window) => (window.slot ? window.slot.facilityId : window.zone?.facilityId ?? null);
+
+// `canAccess` is canManageFacility for changes; reads also admit roles that see every facility
+const findWindowOr404 = async (req, res, canAccess = canManageFacility) => {
+    const window = await prisma.maintenanceWindow.findUnique({
+        where: { id: req.params.id },
+        include: windowInclude,
+    });
+    if (!window) {
+        res.status(404);
+        throw new Error('Maintenance window not found');
+    }
+    if (!canAccess(req.user, windowFacilityId(window))) {
+        res.status(403);
+        throw new Error('You are not an administrator of the facility this maintenance window is in.');
+    }
+    return window;
+};
+
+// @desc    Schedule maintenance for a slot or a whole zone (Admin only)
+// @route   POST /api/v1/maintenance-windows
+// @access  Private/Admin
+export const createMaintenanceWindow = asyncHandler(async (req, res) => {
+    const { slotId, zoneId, startTime, endTime, reason } = req.body;
+
+    if (Boolean(slotId) === Boolean(zoneId)) {
+        res.status(400);
+        throw new Error('Provide exactly one of slotId or zoneId.');
+    }
+    const { window, error: windowError } = parseWindow(startTime, endTime);
+    if (windowError || !window) {
+        res.status(400);
+        throw new Error(windowError ? windowError.replace('reservation', 'maintenance') : 'startTime and endTime are required.');
+    }
+
+    let facilityId;
+    if (slotId) {
+        const slot = await prisma.parkingSlot.findUnique({ where: { id: slotId } });
+        if (!slot) {
+            res.status(404);
+            throw new Error('Parking slot not found');
+        }
+        facilityId = slot.facilityId;
+    } else {
+        const zone = await prisma.zone.findUnique({ where: { id: zoneId } });
+        if (!zone) {
+            res.status(404);
+            throw new Error('Zone not found');
+        }
+        facilityId = zone.facilityId;
+    }
+    if (!canManageFacility(req.user, facilityId)) {
+        res.status(403);
+        throw new Error('You can only schedule maintenance in a facility you administer.');
+    }
+
+    const result = await scheduleMaintenance({
+        slotId: slotId || null,
+        zoneId: zoneId || null,
+        startTime: window.start,
+        endTime: window.end,
+        reason,
+    }, req.user.id);
+
+    res.status(201).json(new ApiResponse(201, result,
+        `Maintenance scheduled. ${result.reassigned.length} reservation(s) moved, ${result.notified.length} holder(s) notified without a new slot.`));
+});
+
+// @desc    List maintenance windows
+// @route   GET /api/v1/maintenance-windows
+// @access  Private/Admin
+export const listMaintenanceWindows = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query; // Coerced and capped by the route's schema
+    const skip = (page - 1) * limit;
+    const { status, slotId, zoneId } = req.query;
+
+    const whereClause = {
+        ...(status && { status }),
+        ...(slotId && { slotId }),
+        ...(zoneId && { zoneId }),
+        // Facility admins see windows on their own facilities' slots and zones
+        ...(adminFacilityWhere(req.user, (inFacilities) => ({
+            OR: [{ slot: { facilityId: inFacilities } }, { zone: { facilityId: inFacilities } }],
+        }))),
+    };
+
+    const windows = await prisma.maintenanceWindow.findMany({
+        where: whereClause,
+        skip,
+        take: limit,
+        orderBy: { startTime: 'desc' },
+        include: windowInclude,
+    });
+
+    const totalWindows = await prisma.maintenanceWindow.count({ where: whereClause });
+
+    res.json(new ApiResponse(200, {
+        data: windows,
+        currentPage: page,
+        totalPages: Math.ceil(totalWindows / limit),
+        totalItems: totalWindows,
+        itemsPerPage: limit
+    }, 'Maintenance windows fetched successfully'));
+});
+
+// @desc    Get a maintenance window
+// @route   GET /api/v1/maintenance-windows/:id
+// @access  Private/Admin
+export const getMaintenanceWindowById = asyncHandler(async (req, res) => {
+    const window = await findWindowOr404(req, res, canViewFacility);
+    res.json(new ApiResponse(200, window, 'Maintenance window fetched successfully'));
+});
+
+// @desc    Cancel a scheduled maintenance window, or end an active one early
+// @route   PATCH /api/v1/maintenance-windows/:id/cancel
+// @access  Private/Admin
+export const cancelMaintenanceWindow = asyncHandler(async (req, res) => {
+    const window = await findWindowOr404(req, res);
+
+    if (!['SCHEDULED', 'ACTIVE'].includes(window.status)) {
+        res.status(400);
+        throw new Error(`Maintenance window is already ${window.status.toLowerCase()}.`);
+    }
+
+    const finished = await cancelMaintenance(window, req.user.id);
+    if (!finished) {
+        res.status(409);
+        throw new Error('Maintenance window changed while it was being cancelled. Please reload and try again.');
+    }
+
+    const updatedWindow = await prisma.maintenanceWindow.findUnique({ where: { id: window.id }, include: windowInclude });
+    res.json(new ApiResponse(200, updatedWindow,
+        window.status === 'ACTIVE' ? 'Maintenance ended early; slots are back in service' : 'Maintenance window cancelled'));
+});
@@ -0,0 +1,104 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { logAction } from '../services/actionLogService.js';
+import { retryOutboxItem } from '../services/outboxService.js';
+import { OUTBOX_STATUSES } from '../validators/outboxValidators.js';
+
+// @desc    Count outbox items by status, with the oldest email still waiting
+// @route   GET /api/v1/notification-outbox/summary
+// @access  Private/SuperAdmin
+export const getOutboxSummary = asyncHandler(async (req, res) => {
+    const groups = await prisma.notificationOutbox.groupBy({ by: ['status'], _count: { _all: true } });
+    const counts = Object.fromEntries(OUTBOX_STATUSES.map((status) => [status, 0]));
+    for (const group of groups) counts[group.status] = group._count._all;
+
+    const oldestPending = await prisma.notificationOutbox.findFirst({
+        where: { status: 'PENDING' },
+        orderBy: { createdAt: 'asc' },
+        select: { id: true, createdAt: true, attempts: true, nextAttemptAt: true },
+    });
+    res.json(new ApiResponse(200, { counts, oldestPending }, 'Outbox summary fetched successfully'));
+});
+
+// @desc    List outbox items. Filters: ?status=&template=&recipient=&userId=
+// @route   GET /api/v1/notification-outbox
+// @access  Private/SuperAdmin
+export const listOutboxItems = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query; // Coerced and capped by the route's schema
+    const skip = (page - 1) * limit;
+    const { status, template, recipient, userId } = req.query;
+
+    const whereClause = {
+        ...(status && { status }),
+        ...(template && { template }),
+        ...(recipient && { recipient: { contains: recipient } }),
+        ...(userId && { userId }),
+    };
+
+    const items = await prisma.notificationOutbox.findMany({
+        where: whereClause,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+    });
+
+    const totalItems = await prisma.notificationOutbox.count({ where: whereClause });
+
+    res.json(new ApiResponse(200, {
+        data: items,
+        currentPage: page,
+        totalPages: Math.ceil(totalItems / limit),
+        totalItems,
+        itemsPerPage: limit
+    }, 'Outbox items fetched successfully'));
+});
+
+// @desc    Get one outbox item
+// @route   GET /api/v1/notification-outbox/:id
+// @access  Private/SuperAdmin
+export const getOutboxItemById = asyncHandler(async (req, res) => {
+    const item = await prisma.notificationOutbox.findUnique({ where: { id: req.params.id } });
+    if (!item) {
+        res.status(404);
+        throw new Error('Outbox item not found');
+    }
+    res.json(new ApiResponse(200, item, 'Outbox item fetched successfully'));
+});
+
+// @desc    Send an outbox item again now. DEAD items start over with a fresh set of attempts.
+// @route   POST /api/v1/notification-outbox/:id/retry
+// @access  Private/SuperAdmin
+export const retryOutboxItemById = asyncHandler(async (req, res) => {
+    const item = await prisma.notificationOutbox.findUnique({ where: { id: req.params.id } });
+    if (!item) {
+        res.status(404);
+        throw new Error('Outbox item not found');
+    }
+    if (item.status === 'SENT') {
+        res.status(400);
+        throw new Error('This notification has already been sent.');
+    }
+
+    const retried = await retryOutboxItem(item);
+    if (!retried) {
+        res.status(409);
+        throw new Error('This notification is being sent right now. Please reload and try again.');
+    }
+
+    await logAction('NOTIFICATION_RETRY_REQUESTED', req.user.id, { outboxId: item.id, previousStatus: item.status });
+    res.json(new ApiResponse(200, retried, 'Notification queued for immediate delivery'));
+});
+
+// @desc    Queue every DEAD item again
+// @route   POST /api/v1/notification-outbox/retry-dead
+// @access  Private/SuperAdmin
+export const retryDeadOutboxItems = asyncHandler(async (req, res) => {
+    const { count } = await prisma.notificationOutbox.updateMany({
+        where: { status: 'DEAD' },
+        data: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() },
+    });
+
+    await logAction('NOTIFICATION_RETRY_REQUESTED', req.user.id, { deadItems: count });
+    res.json(new ApiResponse(200, { requeued: count }, `${count} dead notification(s) queued for delivery`));
+});
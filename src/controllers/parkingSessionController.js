@@ -0,0 +1,195 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { logAction } from '../services/actionLogService.js';
+import { closeSession } from '../services/parkingSessionService.js';
+import { hasPermission, canManageFacility, canViewFacility, adminFacilityWhere } from '../middlewares/authMiddleware.js';
+
+const sessionInclude = {
+    vehicle: { select: { id: true, plateNumber: true, vehicleType: true, size: true } },
+    slot: { select: { id: true, slotNumber: true, location: true, facilityId: true } },
+    user: { select: { id: true, name: true, email: true } },
+};
+
+// @desc    Check a vehicle in to the slot of an APPROVED request
+// @route   POST /api/v1/parking-sessions/check-in
+// @access  Private (Owner or Admin)
+export const checkIn = asyncHandler(async (req, res) => {
+    const { slotRequestId } = req.body;
+
+    const slotRequest = await prisma.slotRequest.findUnique({
+        where: { id: slotRequestId },
+    });
+
+    if (!slotRequest) {
+        res.status(404);
+        throw new Error('Slot request not found.');
+    }
+    const staffCheckIn = hasPermission(req.user, 'session:manage') && canManageFacility(req.user, slotRequest.facilityId);
+    if (slotRequest.userId !== req.user.id && !staffCheckIn) {
+        res.status(403);
+        throw new Error('Not authorized to check in for this slot request.');
+    }
+    if (slotRequest.requestStatus !== 'APPROVED' || !slotRequest.slotId) {
+        res.status(400);
+        throw new Error(`Only approved requests with an assigned slot can be checked in. Status is ${slotRequest.requestStatus}.`);
+    }
+
+    // Reservations can be checked in a little early, but not once their window is over
+    const now = new Date();
+    const earlyMs = parseInt(process.env.CHECK_IN_EARLY_MINUTES || '15', 10) * 60 * 1000;
+    if (slotRequest.startTime && now.getTime() < slotRequest.startTime.getTime() - earlyMs) {
+        res.status(400);
+        throw new Error(`Check-in opens shortly before the reservation starts at ${slotRequest.startTime.toISOString()}.`);
+    }
+    if (slotRequest.endTime && now >= slotRequest.endTime) {
+        res.status(400);
+        throw new Error('The reservation window for this request has ended.');
+    }
+
+    const activeSession = await prisma.parkingSession.findFirst({
+        where: { slotRequestId, status: 'ACTIVE' },
+    });
+    if (activeSession) {
+        res.status(400);
+        throw new Error('This slot request already has an active parking session.');
+    }
+
+    let session;
+    try {
+        session = await prisma.parkingSession.create({
+            data: {
+                slotRequestId,
+                slotId: slotRequest.slotId,
+                activeSlotId: slotRequest.slotId,
+                vehicleId: slotRequest.vehicleId,
+                userId: slotRequest.userId,
+            },
+            include: sessionInclude,
+        });
+    } catch (error) {
+        // activeSlotId is unique, so a concurrent check-in on the same slot lands here
+        if (error.code === 'P2002') {
+            res.status(409);
+            throw new Error('The assigned slot is already occupied by an active parking session.');
+        }
+        throw error;
+    }
+
+    await logAction('PARKING_SESSION_CHECKED_IN', req.user.id, { sessionId: session.id, requestId: slotRequestId, slotId: session.slotId, vehicleId: session.vehicleId });
+    res.status(201).json(new ApiResponse(201, session, 'Vehicle checked in successfully.'));
+});
+
+// @desc    Check a vehicle out, ending its active parking session
+// @route   PATCH /api/v1/parking-sessions/:id/check-out
+// @access  Private (Owner or Admin)
+export const checkOut = asyncHandler(async (req, res) => {
+    const sessionId = req.params.id;
+
+    const session = await prisma.parkingSession.findUnique({
+        where: { id: sessionId },
+        include: { slot: { select: { facilityId: true } } },
+    });
+
+    if (!session) {
+        res.status(404);
+        throw new Error('Parking session not found.');
+    }
+    const staffCheckOut = hasPermission(req.user, 'session:manage') && canManageFacility(req.user, session.slot.facilityId);
+    if (session.userId !== req.user.id && !staffCheckOut) {
+        res.status(403);
+        throw new Error('Not authorized to check out this parking session.');
+    }
+    if (session.status !== 'ACTIVE') {
+        res.status(400);
+        throw new Error('Parking session is already checked out.');
+    }
+
+    const closedSession = await prisma.$transaction((tx) => closeSession(tx, sessionId));
+    if (!closedSession) {
+        res.status(409);
+        throw new Error('Parking session was checked out concurrently.');
+    }
+
+    const completedSession = await prisma.parkingSession.findUnique({
+        where: { id: sessionId },
+        include: sessionInclude,
+    });
+
+    await logAction('PARKING_SESSION_CHECKED_OUT', req.user.id, { sessionId, requestId: session.slotRequestId, slotId: session.slotId, vehicleId: session.vehicleId, feeAmount: completedSession.feeAmount });
+    res.json(new ApiResponse(200, completedSession, 'Vehicle checked out successfully.'));
+});
+
+// @desc    List the current user's active parking sessions
+// @route   GET /api/v1/parking-sessions/active
+// @access  Private
+export const listMyActiveSessions = asyncHandler(async (req, res) => {
+    const sessions = await prisma.parkingSession.findMany({
+        where: { userId: req.user.id, status: 'ACTIVE' },
+        include: sessionInclude,
+        orderBy: { checkInAt: 'desc' },
+    });
+
+    res.json(new ApiResponse(200, sessions, 'Active parking sessions fetched successfully'));
+});
+
+// @desc    List every vehicle currently parked in the staff member's facilities (Admin, attendant, auditor)
+// @route   GET /api/v1/parking-sessions/parked
+// @access  Private/Admin
+export const listParkedVehicles = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query; // Coerced and capped by the route's schema
+    const skip = (page - 1) * limit;
+    const { search } = req.query; // search by plate number or slot number
+
+    const whereClause = {
+        status: 'ACTIVE',
+        ...adminFacilityWhere(req.user, (facilityIds) => ({ slot: { facilityId: facilityIds } })),
+    };
+    if (search) {
+        whereClause.OR = [
+            { vehicle: { plateNumber: { contains: search } } },
+            { slot: { slotNumber: { contains: search } } },
+        ];
+    }
+
+    const sessions = await prisma.parkingSession.findMany({
+        where: whereClause,
+        include: sessionInclude,
+        skip,
+        take: limit,
+        orderBy: { checkInAt: 'asc' }, // Longest parked first
+    });
+
+    const totalSessions = await prisma.parkingSession.count({ where: whereClause });
+
+    res.json(new ApiResponse(200, {
+        data: sessions,
+        currentPage: page,
+        totalPages: Math.ceil(totalSessions / limit),
+        totalItems: totalSessions,
+        itemsPerPage: limit
+    }, "Parked vehicles fetched successfully"));
+});
+
+// @desc    Get a specific parking session by ID
+// @route   GET /api/v1/parking-sessions/:id
+// @access  Private (Owner or Admin)
+export const getSessionById = asyncHandler(async (req, res) => {
+    const sessionId = req.params.id;
+    const session = await prisma.parkingSession.findUnique({
+        where: { id: sessionId },
+        include: sessionInclude,
+    });
+
+    if (!session) {
+        res.status(404);
+        throw new Error('Parking session not found');
+    }
+    const staffView = hasPermission(req.user, 'session:read') && canViewFacility(req.user, session.slot.facilityId);
+    if (session.userId !== req.user.id && !staffView) {
+        res.status(403);
+        throw new Error('Not authorized to view this parking session');
+    }
+
+    res.json(new ApiResponse(200, session, "Parking session details fetched"));
+});
@@ -2,51 +2,24 @@ import prisma from '../config/db.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiResponse } from '../utils/apiResponse.js';
 import { logAction } from '../services/actionLogService.js';
+import { parseWindow, slotFreeDuring } from '../services/reservationService.js';
+import { processWaitlistForSlot } from '../services/waitlistService.js';
+import { reassignAffectedRequests } from '../services/maintenanceService.js';
+import { resolveSlotClass } from '../services/vehicleClassService.js';
+import { publishSlotEvent } from '../services/eventBus.js';
+import { importSlots } from '../services/slotImportService.js';
+import { resolvePlacement, placementWhere } from '../services/facilityService.js';
+import { hasPermission, canManageFacility, adminFacilityWhere } from '../middlewares/authMiddleware.js';
 
 // @desc    Bulk create parking slots (Admin only)
 // @route   POST /api/v1/parking-slots/bulk
 // @access  Private/Admin
 export const bulkCreateSlots = asyncHandler(async (req, res) => {
-    const { slots } = req.body; // Expecting an array of slot objects [{ slotNumber, size, vehicleType, location }, ...]
-
-    if (!Array.isArray(slots) || slots.length === 0) {
-        res.status(400);
-        throw new Error('Slots array is required and cannot be empty.');
-    }
-
-    const createdSlots = [];
-    const errors = [];
-
-    for (const slotData of slots) {
-        if (!slotData.slotNumber || !slotData.size || !slotData.vehicleType || !slotData.location) {
-            errors.push({ slotData, error: 'Missing required fields (slotNumber, size, vehicleType, location)' });
-            continue;
-        }
-        if (typeof slotData.slotNumber !== 'string' || typeof slotData.size !== 'string' || typeof slotData.vehicleType !== 'string' || typeof slotData.location !== 'string') {
-            errors.push({ slotData, error: 'Invalid data types for slot fields.'});
-            continue;
-        }
-        try {
-            const existingSlot = await prisma.parkingSlot.findUnique({ where: { slotNumber: slotData.slotNumber }});
-            if (existingSlot) {
-                errors.push({ slotData, error: `Slot number ${slotData.slotNumber} already exists.` });
-                continue;
-            }
-            const newSlot = await prisma.parkingSlot.create({
-                data: {
-                    slotNumber: slotData.slotNumber,
-                    size: slotData.size,
-                    vehicleType: slotData.vehicleType,
-                    location: slotData.location,
-                    status: 'AVAILABLE', // Default
-                },
-            });
-            createdSlots.push(newSlot);
-        } catch (error) {
-            errors.push({ slotData, error: error.message });
-        }
-    }
+    const { slots } = req.body; // Expecting an array of slot objects [{ slotNumber, size, vehicleType, location, facilityId?, levelId?, zoneId? }, ...]
 
+    const { createdSlots, errors } = await importSlots(slots, {
+        canPlace: (facilityId) => canManageFacility(req.user, facilityId),
+    });
     await logAction('SLOTS_BULK_CREATED', req.user.id, { createdCount: createdSlots.length, errorCount: errors.length });
 
     if (errors.length > 0) {
@@ -64,46 +37,59 @@ export const bulkCreateSlots = asyncHandler(async (req, res) => {
 // @route   POST /api/v1/parking-slots
 // @access  Private/Admin
 export const createSlot = asyncHandler(async (req, res) => {
-    const { slotNumber, size, vehicleType, location } = req.body;
+    const { slotNumber, size, vehicleType, location, facilityId, levelId, zoneId } = req.body;
 
-    if (!slotNumber || !size || !vehicleType || !location) {
+    const existingSlot = await prisma.parkingSlot.findUnique({ where: { slotNumber }});
+    if (existingSlot) {
         res.status(400);
-        throw new Error('Slot number, size, vehicle type, and location are required.');
+        throw new Error(`Slot number ${slotNumber} already exists.`);
     }
-    if (typeof slotNumber !== 'string' || typeof size !== 'string' || typeof vehicleType !== 'string' || typeof location !== 'string') {
+    const { slotClass, error: classError } = await resolveSlotClass({ vehicleType, size });
+    if (classError) {
         res.status(400);
-        throw new Error('Invalid data types for slot fields.');
+        throw new Error(classError);
     }
-
-    const existingSlot = await prisma.parkingSlot.findUnique({ where: { slotNumber }});
-    if (existingSlot) {
+    const { placement, error: placementError } = await resolvePlacement({ facilityId, levelId, zoneId });
+    if (placementError) {
         res.status(400);
-        throw new Error(`Slot number ${slotNumber} already exists.`);
+        throw new Error(placementError);
+    }
+    if (!canManageFacility(req.user, placement.facilityId)) {
+        res.status(403);
+        throw new Error('Slots can only be created in a facility you administer.');
     }
 
     const slot = await prisma.parkingSlot.create({
         data: {
             slotNumber,
-            size,
-            vehicleType,
+            ...slotClass,
             location,
             status: 'AVAILABLE',
+            ...placement,
         },
     });
     await logAction('SLOT_CREATED', req.user.id, { slotId: slot.id, slotNumber: slot.slotNumber });
+    publishSlotEvent('slot.created', slot);
+    await processWaitlistForSlot(slot.id);
     res.status(201).json(new ApiResponse(201, slot, 'Parking slot created successfully'));
 });
 
 
-// @desc    List all parking slots (Admin - all, Users - available only)
+// @desc    List parking slots (Super admin/auditor - all, facility staff - their facilities, Users - available only)
+//          Pass ?from=&to= to get only slots free for that whole window,
+//          and ?facilityId=&levelId=&zoneId= to narrow by placement
 // @route   GET /api/v1/parking-slots
 // @access  Private
 export const listSlots = asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const { page, limit } = req.query; // Coerced and capped by the route's schema
     const skip = (page - 1) * limit;
     const searchTerm = (req.query.search || '').toLowerCase(); 
-    const statusFilter = req.query.status; // Optional: 'AVAILABLE', 'UNAVAILABLE'
+    const statusFilter = req.query.status; // Optional: 'AVAILABLE', 'UNAVAILABLE', 'MAINTENANCE'
+    const { window, error: windowError } = parseWindow(req.query.from, req.query.to);
+    if (windowError) {
+        res.status(400);
+        throw new Error(windowError.replace('startTime', 'from').replace('endTime', 'to'));
+    }
 
     let whereClause = {
         OR: [
@@ -112,14 +98,22 @@ export const listSlots = asyncHandler(async (req, res) => {
             { size: { contains: searchTerm,} },
             { location: { contains: searchTerm,} },
         ],
+        ...placementWhere(req.query),
     };
 
-    if (req.user.role === 'USER') {
+    const staffView = hasPermission(req.user, 'slot:read');
+    if (!staffView) {
         whereClause.status = 'AVAILABLE'; // Users only see available slots
-    } else if (req.user.role === 'ADMIN' && statusFilter) {
-        if (['AVAILABLE', 'UNAVAILABLE', 'MAINTENANCE'].includes(statusFilter.toUpperCase())) {
-            whereClause.status = statusFilter.toUpperCase();
-        }
+    } else if (statusFilter) {
+        whereClause.status = statusFilter;
+    }
+
+    whereClause.AND = [];
+    if (staffView) {
+        whereClause.AND.push(adminFacilityWhere(req.user)); // Facility staff see their own facilities' slots
+    }
+    if (window) {
+        whereClause.AND.push(slotFreeDuring(window.start, window.end));
     }
 
 
@@ -128,6 +122,11 @@ export const listSlots = asyncHandler(async (req, res) => {
         skip,
         take: limit,
         orderBy: { slotNumber: 'asc' }, // Or createdAt: 'desc'
+        include: {
+            facility: { select: { id: true, name: true } },
+            level: { select: { id: true, name: true } },
+            zone: { select: { id: true, name: true } },
+        },
     });
 
     const totalSlots = await prisma.parkingSlot.count({ where: whereClause });
@@ -141,6 +140,48 @@ export const listSlots = asyncHandler(async (req, res) => {
     }, "Parking slots fetched successfully"));
 });
 
+const SUMMARY_GROUPINGS = {
+    facility: { key: 'facilityId', model: 'facility' },
+    level: { key: 'levelId', model: 'level' },
+    zone: { key: 'zoneId', model: 'zone' },
+};
+
+// @desc    Slot counts per facility, level or zone, broken down by status (Admin only)
+//          ?groupBy=facility|level|zone (default facility), optionally narrowed by ?facilityId=&levelId=&zoneId=
+// @route   GET /api/v1/parking-slots/summary
+// @access  Private/Admin
+export const getSlotSummary = asyncHandler(async (req, res) => {
+    const grouping = SUMMARY_GROUPINGS[req.query.groupBy];
+
+    const groups = await prisma.parkingSlot.groupBy({
+        by: [grouping.key, 'status'],
+        where: { AND: [placementWhere(req.query), adminFacilityWhere(req.user)] },
+        _count: { _all: true },
+    });
+
+    const ids = [...new Set(groups.map((group) => group[grouping.key]).filter(Boolean))];
+    const records = await prisma[grouping.model].findMany({
+        where: { id: { in: ids } },
+        select: { id: true, name: true },
+    });
+    const names = new Map(records.map((record) => [record.id, record.name]));
+
+    // One row per area; slots not yet placed are reported under id null
+    const rows = new Map();
+    for (const group of groups) {
+        const id = group[grouping.key];
+        if (!rows.has(id)) {
+            rows.set(id, { id, name: id ? names.get(id) : null, total: 0, byStatus: {} });
+        }
+        const row = rows.get(id);
+        row.total += group._count._all;
+        row.byStatus[group.status] = group._count._all;
+    }
+
+    const summary = [...rows.values()].sort((a, b) => (a.name ?? '\uffff').localeCompare(b.name ?? '\uffff'));
+    res.json(new ApiResponse(200, { groupBy, groups: summary }, 'Slot summary fetched successfully'));
+});
+
 // @desc    Get a specific parking slot by ID
 // @route   GET /api/v1/parking-slots/:id
 // @access  Private
@@ -148,6 +189,7 @@ export const getSlotById = asyncHandler(async (req, res) => {
     const slotId = req.params.id;
     const slot = await prisma.parkingSlot.findUnique({
         where: { id: slotId },
+        include: { facility: true, level: true, zone: true },
     });
 
     if (!slot) {
@@ -157,7 +199,7 @@ export const getSlotById = asyncHandler(async (req, res) => {
 
     // Users can only see details of available slots if they fetch by ID directly
     // or if they are an admin. ListSlots already filters by 'AVAILABLE' for users.
-    if (req.user.role === 'USER' && slot.status !== 'AVAILABLE') {
+    if (!hasPermission(req.user, 'slot:read') && slot.status !== 'AVAILABLE') {
         // Optional: If you want to restrict users from seeing non-available slots even by ID
         // res.status(403);
         // throw new Error('Slot is not available for viewing.');
@@ -172,17 +214,7 @@ export const getSlotById = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 export const updateSlot = asyncHandler(async (req, res) => {
     const slotId = req.params.id;
-    const { slotNumber, size, vehicleType, location, status } = req.body;
-
-    // Basic Validation
-    if (slotNumber && typeof slotNumber !== 'string') throw new Error('Invalid slot number');
-    if (size && typeof size !== 'string') throw new Error('Invalid size');
-    if (vehicleType && typeof vehicleType !== 'string') throw new Error('Invalid vehicle type');
-    if (location && typeof location !== 'string') throw new Error('Invalid location');
-    if (status && !['AVAILABLE', 'UNAVAILABLE', 'MAINTENANCE'].includes(status)) {
-        res.status(400);
-        throw new Error('Invalid status value. Must be AVAILABLE, UNAVAILABLE, or MAINTENANCE.');
-    }
+    const { slotNumber, size, vehicleType, location, status, facilityId, levelId, zoneId } = req.body;
 
     const slot = await prisma.parkingSlot.findUnique({
         where: { id: slotId },
@@ -192,6 +224,10 @@ export const updateSlot = asyncHandler(async (req, res) => {
         res.status(404);
         throw new Error('Parking slot not found');
     }
+    if (!canManageFacility(req.user, slot.facilityId)) {
+        res.status(403);
+        throw new Error('You are not an administrator of the facility this slot is in.');
+    }
 
     if (slotNumber && slotNumber !== slot.slotNumber) {
         const existingSlot = await prisma.parkingSlot.findUnique({ where: { slotNumber }});
@@ -201,19 +237,61 @@ export const updateSlot = asyncHandler(async (req, res) => {
         }
     }
 
+    let slotClass = {};
+    if (size || vehicleType) {
+        const resolved = await resolveSlotClass({ vehicleType: vehicleType || slot.vehicleType, size: size || slot.size });
+        if (resolved.error) {
+            res.status(400);
+            throw new Error(resolved.error);
+        }
+        slotClass = resolved.slotClass;
+    }
+
+    // Moving a slot: a new zone/level pulls in its facility, and a new facility clears
+    // a level/zone that is not being set alongside it
+    const { placement, error: placementError } = await resolvePlacement({ facilityId, levelId, zoneId });
+    if (placementError) {
+        res.status(400);
+        throw new Error(placementError);
+    }
+    if (placement.facilityId && placement.facilityId !== slot.facilityId) {
+        if (!canManageFacility(req.user, placement.facilityId)) {
+            res.status(403);
+            throw new Error('Slots can only be moved to a facility you administer.');
+        }
+        placement.levelId = placement.levelId ?? null;
+        placement.zoneId = placement.zoneId ?? null;
+    }
+
     const updatedSlot = await prisma.parkingSlot.update({
         where: { id: slotId },
         data: {
             slotNumber: slotNumber || slot.slotNumber,
-            size: size || slot.size,
-            vehicleType: vehicleType || slot.vehicleType,
+            size: slotClass.size || slot.size,
+            vehicleType: slotClass.vehicleType || slot.vehicleType,
             location: location || slot.location,
             status: status || slot.status,
+            ...placement,
         },
     });
 
     await logAction('SLOT_UPDATED', req.user.id, { slotId: updatedSlot.id });
-    res.json(new ApiResponse(200, updatedSlot, 'Parking slot updated successfully'));
+    publishSlotEvent('slot.updated', updatedSlot);
+    // A slot coming back into service, or resized/retyped, may now suit someone waiting
+    if (updatedSlot.status === 'AVAILABLE') {
+        await processWaitlistForSlot(updatedSlot.id);
+    }
+    // Taken out of service with no end date: move current and future bookings elsewhere
+    let maintenance;
+    if (updatedSlot.status === 'MAINTENANCE' && slot.status !== 'MAINTENANCE') {
+        maintenance = await reassignAffectedRequests({
+            slotId: updatedSlot.id,
+            startTime: new Date(),
+            endTime: null,
+            reason: 'Marked for maintenance by an administrator',
+        });
+    }
+    res.json(new ApiResponse(200, maintenance ? { ...updatedSlot, maintenance } : updatedSlot, 'Parking slot updated successfully'));
 });
 
 
@@ -231,6 +309,10 @@ export const deleteSlot = asyncHandler(async (req, res) => {
         res.status(404);
         throw new Error('Parking slot not found');
     }
+    if (!canManageFacility(req.user, slot.facilityId)) {
+        res.status(403);
+        throw new Error('You are not an administrator of the facility this slot is in.');
+    }
 
     // Check if the slot is currently assigned or has pending requests
     if (slot.status === 'UNAVAILABLE') {
@@ -249,6 +331,11 @@ export const deleteSlot = asyncHandler(async (req, res) => {
         res.status(400);
         throw new Error('Cannot delete slot. There are pending requests associated with it.');
     }
+    const sessionCount = await prisma.parkingSession.count({ where: { slotId: slotId } });
+    if (sessionCount > 0) {
+        res.status(400);
+        throw new Error('Cannot delete slot. It has recorded parking sessions. Mark it UNAVAILABLE instead.');
+    }
 
 
     await prisma.parkingSlot.delete({
@@ -256,5 +343,6 @@ export const deleteSlot = asyncHandler(async (req, res) => {
     });
 
     await logAction('SLOT_DELETED', req.user.id, { slotId, slotNumber: slot.slotNumber });
+    publishSlotEvent('slot.deleted', slot);
     res.json(new ApiResponse(200, null, 'Parking slot deleted successfully'));
 });
\ No newline at end of file
@@ -0,0 +1,62 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { logAction } from '../services/actionLogService.js';
+import {
+    PERMISSIONS,
+    EDITABLE_ROLES,
+    isKnownPermission,
+    describeRoles,
+    setRolePermission,
+    resetRolePermission,
+} from '../services/permissionService.js';
+
+const validateRoleAndPermission = (req, res) => {
+    const { role, permission } = req.params;
+    if (!EDITABLE_ROLES.includes(role)) {
+        res.status(400);
+        throw new Error(`Role must be one of ${EDITABLE_ROLES.join(', ')} (SUPER_ADMIN always has every permission).`);
+    }
+    if (!isKnownPermission(permission)) {
+        res.status(400);
+        throw new Error(`Unknown permission "${permission}".`);
+    }
+    return { role, permission };
+};
+
+// @desc    List roles with their effective permissions, defaults and overrides, plus every permission
+// @route   GET /api/v1/roles
+// @access  Private (role:read)
+export const listRoles = asyncHandler(async (req, res) => {
+    const roles = await describeRoles();
+    const permissions = Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+    res.json(new ApiResponse(200, { roles, permissions }, 'Roles fetched successfully'));
+});
+
+// @desc    Grant or revoke a permission for a role. Body: { granted: true|false }
+// @route   PUT /api/v1/roles/:role/permissions/:permission
+// @access  Private (role:manage)
+export const updateRolePermission = asyncHandler(async (req, res) => {
+    const { role, permission } = validateRoleAndPermission(req, res);
+    const { granted } = req.body;
+
+    const override = await setRolePermission(role, permission, granted);
+
+    await logAction('ROLE_PERMISSION_CHANGED', req.user.id, { role, permission, granted });
+    res.json(new ApiResponse(200, override, `Permission ${granted ? 'granted' : 'revoked'} successfully`));
+});
+
+// @desc    Drop a role's override for a permission, going back to the default
+// @route   DELETE /api/v1/roles/:role/permissions/:permission
+// @access  Private (role:manage)
+export const resetRolePermissionOverride = asyncHandler(async (req, res) => {
+    const { role, permission } = validateRoleAndPermission(req, res);
+
+    const removed = await resetRolePermission(role, permission);
+    if (!removed) {
+        res.status(404);
+        throw new Error(`${role} has no override for ${permission}.`);
+    }
+
+    await logAction('ROLE_PERMISSION_RESET', req.user.id, { role, permission });
+    res.json(new ApiResponse(200, null, 'Permission reset to the default successfully'));
+});
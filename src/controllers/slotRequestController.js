@@ -2,18 +2,49 @@ import prisma from '../config/db.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiResponse } from '../utils/apiResponse.js';
 import { logAction } from '../services/actionLogService.js';
-import { sendEmail } from '../config/mailer.js'; // Assuming sendEmail is correctly set up
-
-// @desc    Create a parking slot request (User)
+import { releaseApprovedRequest } from '../services/requestReleaseService.js';
+import { hasOverdueInvoices } from '../services/invoiceService.js';
+import { overlapsWindow, requestWindow, parseWindow } from '../services/reservationService.js';
+import { allocateSlot } from '../services/slotAllocationService.js';
+import { isKnownStrategy, listStrategies } from '../services/assignmentStrategies.js';
+import { resolvePlacement } from '../services/facilityService.js';
+import { hasPermission, isSuperAdmin, seesAllFacilities, canManageFacility, canViewFacility } from '../middlewares/authMiddleware.js';
+import { addToWaitlist, getWaitlistPosition, processWaitlistForSlot } from '../services/waitlistService.js';
+import { notifyRequestApproved, notifyRequestRejected } from '../services/notificationService.js';
+import { applyApprovalPolicy } from '../services/approvalPolicyService.js';
+import { publishRequestEvent, publishSlotEvent } from '../services/eventBus.js';
+
+// Requests not tied to a facility form a shared queue all staff can see, and anyone
+// allowed to approve requests can decide on; once a request holds a slot it belongs to
+// that slot's facility
+const adminRequestWhere = (user) => (
+    seesAllFacilities(user) ? {} : { OR: [{ facilityId: null }, { facilityId: { in: user.facilityIds || [] } }] }
+);
+const canViewRequest = (user, slotRequest) => !slotRequest.facilityId || canViewFacility(user, slotRequest.facilityId);
+const canDecideRequest = (user, slotRequest) => canManageFacility(user, slotRequest.facilityId)
+    || (!slotRequest.facilityId && ['PENDING', 'WAITLISTED'].includes(slotRequest.requestStatus));
+
+// @desc    Create a parking slot request, optionally for a startTime-endTime window (User)
 // @route   POST /api/v1/slot-requests
 // @access  Private/User
 export const createSlotRequest = asyncHandler(async (req, res) => {
-    const { vehicleId } = req.body;
+    const { vehicleId, startTime, endTime, preferredLocation, assignmentStrategy, facilityId, preferredLevelId, preferredZoneId } = req.body;
     const userId = req.user.id;
 
-    if (!vehicleId || typeof vehicleId !== 'string') {
+    if (assignmentStrategy !== undefined && !isKnownStrategy(assignmentStrategy)) {
+        res.status(400);
+        throw new Error(`Assignment strategy must be one of ${listStrategies().map((s) => s.name).join(', ')}.`);
+    }
+    // Preferred level/zone must exist and, when a facility is required, be inside it
+    const { error: placementError } = await resolvePlacement({ facilityId, levelId: preferredLevelId, zoneId: preferredZoneId });
+    if (placementError) {
         res.status(400);
-        throw new Error('Vehicle ID is required and must be a string.');
+        throw new Error(placementError);
+    }
+    const { window, error: windowError } = parseWindow(startTime, endTime);
+    if (windowError) {
+        res.status(400);
+        throw new Error(windowError);
     }
 
     const vehicle = await prisma.vehicle.findUnique({
@@ -29,11 +60,17 @@ export const createSlotRequest = asyncHandler(async (req, res) => {
         throw new Error('You can only request slots for your own vehicles.');
     }
 
-    // Check if there's already an active (pending/approved) request for this vehicle
+    if (process.env.BLOCK_REQUESTS_WITH_OVERDUE_INVOICES === 'true' && await hasOverdueInvoices(userId)) {
+        res.status(403);
+        throw new Error('You have overdue invoices. Please settle them before requesting a new slot.');
+    }
+
+    // Check if there's already an active (pending/approved) request for this vehicle in the same window
     const existingRequest = await prisma.slotRequest.findFirst({
         where: {
             vehicleId,
-            requestStatus: { in: ['PENDING', 'APPROVED'] },
+            requestStatus: { in: ['PENDING', 'WAITLISTED', 'APPROVED'] },
+            ...(window ? overlapsWindow(window.start, window.end) : overlapsWindow(new Date(), null)),
         },
     });
 
@@ -47,34 +84,55 @@ export const createSlotRequest = asyncHandler(async (req, res) => {
             userId,
             vehicleId,
             requestStatus: 'PENDING',
+            startTime: window ? window.start : null,
+            endTime: window ? window.end : null,
+            preferredLocation: preferredLocation || null,
+            assignmentStrategy: assignmentStrategy || null,
+            facilityId: facilityId || null,
+            preferredLevelId: preferredLevelId || null,
+            preferredZoneId: preferredZoneId || null,
         },
     });
 
     await logAction('SLOT_REQUEST_CREATED', userId, { requestId: slotRequest.id, vehicleId });
+    publishRequestEvent('request.created', slotRequest);
+
+    // Admin-configured rules may approve, reject or hold the request straight away
+    const { request, decision, rule, summary, assignment } = await applyApprovalPolicy({ ...slotRequest, vehicle, user: req.user });
     // Optional: Notify admins about new request
-    res.status(201).json(new ApiResponse(201, slotRequest, 'Slot request created successfully. Awaiting admin approval.'));
+    res.status(201).json(new ApiResponse(201,
+        {
+            ...request,
+            policyDecision: { decision, ruleId: rule?.id ?? null, ruleName: rule?.name ?? null },
+            ...(assignment && { assignment }),
+        },
+        `Slot request created successfully. ${summary}`
+    ));
 });
 
-// @desc    List slot requests (User: their own, Admin: all)
+// @desc    List slot requests (User: their own, facility staff: their facilities' and the shared queue,
+//          Super admin/auditor: all)
 // @route   GET /api/v1/slot-requests
 // @access  Private
 export const listSlotRequests = asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const { page, limit } = req.query; // Coerced and capped by the route's schema
     const skip = (page - 1) * limit;
     const { status, search } = req.query; // search by vehicle plate or user email (admin)
 
+    const staffView = hasPermission(req.user, 'request:read');
     let whereClause = {};
-    if (req.user.role === 'USER') {
+    if (!staffView) {
         whereClause.userId = req.user.id;
+    } else {
+        whereClause.AND = [adminRequestWhere(req.user)];
     }
 
-    if (status && ['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED'].includes(status.toUpperCase())) {
-        whereClause.requestStatus = status.toUpperCase();
+    if (status) {
+        whereClause.requestStatus = status;
     }
 
     if (search) {
-        if (req.user.role === 'ADMIN') {
+        if (staffView) {
             whereClause.OR = [
                 { vehicle: { plateNumber: { contains: search, mode: 'insensitive' } } },
                 { user: { email: { contains: search, mode: 'insensitive' } } },
@@ -113,6 +171,40 @@ export const listSlotRequests = asyncHandler(async (req, res) => {
 });
 
 
+// @desc    List the waitlist in queue order (Admin)
+// @route   GET /api/v1/slot-requests/waitlist
+// @access  Private/Admin
+export const listWaitlist = asyncHandler(async (req, res) => {
+    const { page, limit } = req.query; // Coerced and capped by the route's schema
+    const skip = (page - 1) * limit;
+
+    const whereClause = { requestStatus: 'WAITLISTED', ...adminRequestWhere(req.user) };
+    if (req.query.size) {
+        whereClause.vehicle = { size: req.query.size };
+    }
+
+    const waitlist = await prisma.slotRequest.findMany({
+        where: whereClause,
+        include: {
+            vehicle: { select: { id: true, plateNumber: true, vehicleType: true, size: true } },
+            user: { select: { id: true, name: true, email: true } },
+        },
+        skip,
+        take: limit,
+        orderBy: [{ waitlistedAt: 'asc' }, { id: 'asc' }],
+    });
+
+    const totalWaiting = await prisma.slotRequest.count({ where: whereClause });
+
+    res.json(new ApiResponse(200, {
+        data: waitlist,
+        currentPage: page,
+        totalPages: Math.ceil(totalWaiting / limit),
+        totalItems: totalWaiting,
+        itemsPerPage: limit
+    }, "Waitlist fetched successfully"));
+});
+
 // @desc    Get a specific slot request by ID
 // @route   GET /api/v1/slot-requests/:id
 // @access  Private (Owner or Admin)
@@ -132,13 +224,16 @@ export const getSlotRequestById = asyncHandler(async (req, res) => {
         throw new Error('Slot request not found');
     }
 
-    if (req.user.role === 'USER' && slotRequest.userId !== req.user.id) {
+    const isOwner = slotRequest.userId === req.user.id;
+    if (!isOwner && (!hasPermission(req.user, 'request:read') || !canViewRequest(req.user, slotRequest))) {
         res.status(403);
         throw new Error('Not authorized to view this slot request');
     }
 
+    const waitlistPosition = await getWaitlistPosition(slotRequest);
+
     await logAction('SLOT_REQUEST_VIEWED', req.user.id, { requestId });
-    res.json(new ApiResponse(200, slotRequest, "Slot request details fetched"));
+    res.json(new ApiResponse(200, { ...slotRequest, waitlistPosition }, "Slot request details fetched"));
 });
 
 
@@ -150,11 +245,6 @@ export const updateSlotRequest = asyncHandler(async (req, res) => {
     const { vehicleId } = req.body; // Only allow changing vehicle for a PENDING request by user
     const userId = req.user.id;
 
-    if (!vehicleId || typeof vehicleId !== 'string') {
-        res.status(400);
-        throw new Error('New Vehicle ID is required.');
-    }
-
     const slotRequest = await prisma.slotRequest.findUnique({
         where: { id: requestId },
     });
@@ -180,11 +270,13 @@ export const updateSlotRequest = asyncHandler(async (req, res) => {
 
     // Check if there's already an active (pending/approved) request for THIS NEW vehicle
     if (newVehicle.id !== slotRequest.vehicleId) { 
+        const { start, end } = requestWindow(slotRequest);
         const existingRequestForNewVehicle = await prisma.slotRequest.findFirst({
             where: {
                 vehicleId: newVehicle.id,
-                requestStatus: { in: ['PENDING', 'APPROVED'] },
-                NOT: { id: requestId } // Exclude the current request being updated
+                requestStatus: { in: ['PENDING', 'WAITLISTED', 'APPROVED'] },
+                NOT: { id: requestId }, // Exclude the current request being updated
+                ...overlapsWindow(start, end),
             },
         });
         if (existingRequestForNewVehicle) {
@@ -200,11 +292,12 @@ export const updateSlotRequest = asyncHandler(async (req, res) => {
     });
 
     await logAction('SLOT_REQUEST_UPDATED_BY_USER', userId, { requestId, newVehicleId: vehicleId });
+    publishRequestEvent('request.updated', updatedRequest);
     res.json(new ApiResponse(200, updatedRequest, 'Slot request updated successfully.'));
 });
 
 
-// @desc    Cancel a PENDING slot request (User)
+// @desc    Cancel a PENDING or WAITLISTED slot request (User)
 // @route   PATCH /api/v1/slot-requests/:id/cancel
 // @access  Private/User
 export const cancelSlotRequest = asyncHandler(async (req, res) => {
@@ -223,28 +316,30 @@ export const cancelSlotRequest = asyncHandler(async (req, res) => {
         res.status(403);
         throw new Error('Not authorized to cancel this slot request.');
     }
-    if (slotRequest.requestStatus !== 'PENDING') {
+    if (!['PENDING', 'WAITLISTED'].includes(slotRequest.requestStatus)) {
         res.status(400);
         throw new Error(`Cannot cancel request. Status is already ${slotRequest.requestStatus}.`);
     }
 
     const cancelledRequest = await prisma.slotRequest.update({
         where: { id: requestId },
-        data: { requestStatus: 'CANCELLED' },
+        data: { requestStatus: 'CANCELLED', waitlistedAt: null },
     });
 
     await logAction('SLOT_REQUEST_CANCELLED_BY_USER', userId, { requestId });
+    publishRequestEvent('request.updated', cancelledRequest);
     res.json(new ApiResponse(200, cancelledRequest, 'Slot request cancelled successfully.'));
 });
 
 
-// @desc    Approve a slot request (Admin) 
+// @desc    Approve a slot request (Admin); waitlists it when no compatible slot is free
 // @route   PATCH /api/v1/slot-requests/:requestId/approve
 // @access  Private/Admin- (from previous response, slightly adapted)
 export const approveRequest = asyncHandler(
     async (req, res) => {
     const { requestId } = req.params;
-    const { slotId: manuallyAssignedSlotId } = req.body; // Optional: Admin manual assignment
+    // Optional: Admin manual assignment, strategy override, or a facility/level/zone to assign within
+    const { slotId: manuallyAssignedSlotId, strategy, facilityId, levelId, zoneId } = req.body;
 
     const slotRequest = await prisma.slotRequest.findUnique({
         where: { id: requestId },
@@ -255,78 +350,85 @@ export const approveRequest = asyncHandler(
         res.status(404);
         throw new Error('Slot request not found');
     }
-    if (slotRequest.requestStatus !== 'PENDING') {
+    if (!['PENDING', 'WAITLISTED'].includes(slotRequest.requestStatus)) {
         res.status(400);
         throw new Error(`Request already ${slotRequest.requestStatus.toLowerCase()}`);
     }
+    if (!canDecideRequest(req.user, slotRequest)) {
+        res.status(403);
+        throw new Error('This request belongs to a facility you do not administer.');
+    }
 
-    let assignedSlot;
-    if (manuallyAssignedSlotId) {
-        if (typeof manuallyAssignedSlotId !== 'string') {
-            res.status(400);
-            throw new Error('Invalid Slot ID format');
-        }
-        assignedSlot = await prisma.parkingSlot.findFirst({
-            where: {
-                id: manuallyAssignedSlotId,
-                status: 'AVAILABLE',
-                // Basic compatibility check, admin should be aware
-                size: slotRequest.vehicle.size,
-                OR: [
-                    { vehicleType: slotRequest.vehicle.vehicleType },
-                    { vehicleType: { equals: 'any', mode: 'insensitive' } }
-                ]
-            }
-        });
-        if (!assignedSlot) {
-            res.status(400);
-            throw new Error('Manually assigned slot is not available or not compatible.');
+    if (strategy !== undefined && !isKnownStrategy(strategy)) {
+        res.status(400);
+        throw new Error(`Assignment strategy must be one of ${listStrategies().map((s) => s.name).join(', ')}.`);
+    }
+    const { placement: scope, error: placementError } = await resolvePlacement({ facilityId, levelId, zoneId });
+    if (placementError) {
+        res.status(400);
+        throw new Error(placementError);
+    }
+    // Facility admins can only hand out slots from their own facilities
+    if (!isSuperAdmin(req.user)) {
+        if (scope.facilityId && !canManageFacility(req.user, scope.facilityId)) {
+            res.status(403);
+            throw new Error('You are not an administrator of the selected facility.');
         }
-    } else {
-        // Automatic Slot Assignment Logic
-        assignedSlot = await prisma.parkingSlot.findFirst({
-            where: {
-                status: 'AVAILABLE',
-                size: slotRequest.vehicle.size,
-                OR: [
-                    { vehicleType: slotRequest.vehicle.vehicleType },
-                    { vehicleType: { equals: 'any', mode: 'insensitive' } }
-                ]
-            },
-            orderBy: { createdAt: 'asc' }, // Example: oldest available
-        });
+        scope.facilityId = scope.facilityId || { in: req.user.facilityIds || [] };
     }
 
-    if (!assignedSlot) {
+    // Basic compatibility check for manual assignment, admin should be aware
+    const allocation = await allocateSlot(slotRequest, {
+        slotId: manuallyAssignedSlotId,
+        strategy,
+        scope,
+        onAssigned: (tx, slot) => notifyRequestApproved(slotRequest, slot, tx),
+    });
+
+    if (allocation.status === 'REQUEST_CHANGED') {
+        res.status(409);
+        throw new Error('Slot request was modified concurrently. Please refresh and retry.');
+    }
+    if (allocation.status === 'NO_SLOT' && manuallyAssignedSlotId) {
+        res.status(400);
+        throw new Error('Manually assigned slot is not available or not compatible.');
+    }
+    if (allocation.status === 'NO_SLOT' && (facilityId || levelId || zoneId)) {
+        // The admin asked for a specific area; don't silently queue for any slot instead
         res.status(400);
-        throw new Error('No compatible parking slot available for this vehicle.');
+        throw new Error('No compatible parking slot is free in the selected facility/level/zone.');
     }
+    if (allocation.status === 'NO_SLOT') {
+        // Nothing free right now: queue the request and hand it the next compatible slot
+        const waitlistedRequest = slotRequest.requestStatus === 'WAITLISTED'
+            ? await prisma.slotRequest.findUnique({ where: { id: requestId } })
+            : await addToWaitlist(slotRequest);
+        if (!waitlistedRequest || waitlistedRequest.requestStatus !== 'WAITLISTED') {
+            res.status(409);
+            throw new Error('Slot request was modified concurrently. Please refresh and retry.');
+        }
+        const waitlistPosition = await getWaitlistPosition({ ...waitlistedRequest, vehicle: slotRequest.vehicle });
 
-    const updatedRequest = await prisma.slotRequest.update({
-        where: { id: requestId },
-        data: {
-            requestStatus: 'APPROVED',
-            slotId: assignedSlot.id,
-            assignedSlotNumber: assignedSlot.slotNumber,
-            approvedAt: new Date(),
-        },
-    });
+        await logAction('SLOT_REQUEST_WAITLISTED', req.user.id, { requestId, vehicleId: slotRequest.vehicleId, position: waitlistPosition });
+        return res.status(202).json(new ApiResponse(202,
+            { ...waitlistedRequest, waitlistPosition },
+            `No compatible parking slot available. Request added to the waitlist at position ${waitlistPosition}.`
+        ));
+    }
 
-    await prisma.parkingSlot.update({
-        where: { id: assignedSlot.id },
-        data: { status: 'UNAVAILABLE' },
-    });
+    const { slot: assignedSlot, request: updatedRequest } = allocation;
+    const assignment = { strategy: allocation.strategy, reason: allocation.reason };
 
-    await logAction('SLOT_REQUEST_APPROVED', req.user.id, { requestId, vehicleId: slotRequest.vehicleId, slotId: assignedSlot.id });
+    await logAction('SLOT_REQUEST_APPROVED', req.user.id, { requestId, vehicleId: slotRequest.vehicleId, slotId: assignedSlot.id, ...assignment });
 
-    const emailHtml = `...`; // Email HTML (from previous example)
-    try {
-        await sendEmail(slotRequest.user.email, 'Parking Slot Approved!', emailHtml); // Make sure email subject and body are good
-    } catch (emailError) {
-        console.error("Failed to send approval email:", emailError);
-    }
+    res.json(new ApiResponse(200, { ...updatedRequest, assignment }, 'Slot request approved and slot assigned.'));
+});
 
-    res.json(new ApiResponse(200, updatedRequest, 'Slot request approved and slot assigned.'));
+// @desc    List the available slot assignment strategies
+// @route   GET /api/v1/slot-requests/assignment-strategies
+// @access  Private
+export const listAssignmentStrategies = asyncHandler(async (req, res) => {
+    res.json(new ApiResponse(200, listStrategies(), 'Assignment strategies fetched successfully'));
 });
 
 // @desc    Reject a slot request (Admin)
@@ -345,35 +447,70 @@ export const rejectRequest = asyncHandler(async (req, res) => {
         res.status(404);
         throw new Error('Slot request not found');
     }
-    if (slotRequest.requestStatus !== 'PENDING') {
+    if (!['PENDING', 'WAITLISTED'].includes(slotRequest.requestStatus)) {
         res.status(400);
         throw new Error(`Request is already ${slotRequest.requestStatus.toLowerCase()}. Cannot reject.`);
     }
+    if (!canDecideRequest(req.user, slotRequest)) {
+        res.status(403);
+        throw new Error('This request belongs to a facility you do not administer.');
+    }
 
-    const rejectedRequest = await prisma.slotRequest.update({
-        where: { id: requestId },
-        data: {
-            requestStatus: 'REJECTED',
-            // Store rejectionReason if your schema supports it (e.g., in a 'remarks' or 'details' field)
-        },
+    const rejectedRequest = await prisma.$transaction(async (tx) => {
+        const updated = await tx.slotRequest.update({
+            where: { id: requestId },
+            data: {
+                requestStatus: 'REJECTED',
+                waitlistedAt: null,
+                // Store rejectionReason if your schema supports it (e.g., in a 'remarks' or 'details' field)
+            },
+        });
+        await notifyRequestRejected(slotRequest, rejectionReason, tx);
+        return updated;
     });
 
     await logAction('SLOT_REQUEST_REJECTED', req.user.id, { requestId, vehicleId: slotRequest.vehicleId, reason: rejectionReason });
+    publishRequestEvent('request.updated', rejectedRequest);
+
+    res.json(new ApiResponse(200, rejectedRequest, 'Slot request rejected.'));
+});
+
+// @desc    Release the slot held by an APPROVED request (Owner or Admin)
+// @route   PATCH /api/v1/slot-requests/:id/release
+// @access  Private (Owner or staff with request:release)
+export const releaseSlotRequest = asyncHandler(async (req, res) => {
+    const requestId = req.params.id;
+
+    const slotRequest = await prisma.slotRequest.findUnique({
+        where: { id: requestId },
+    });
+
+    if (!slotRequest) {
+        res.status(404);
+        throw new Error('Slot request not found.');
+    }
+    const isOwner = slotRequest.userId === req.user.id;
+    if (!isOwner && (!hasPermission(req.user, 'request:release') || !canManageFacility(req.user, slotRequest.facilityId))) {
+        res.status(403);
+        throw new Error('Not authorized to release this slot request.');
+    }
+    if (slotRequest.requestStatus !== 'APPROVED') {
+        res.status(400);
+        throw new Error(`Only approved requests can be released. Status is ${slotRequest.requestStatus}.`);
+    }
 
-    // Send email notification for rejection
-    const emailHtml = `
-        <h1>Parking Slot Request Rejected</h1>
-        <p>Dear ${slotRequest.user.name},</p>
-        <p>We regret to inform you that your parking slot request for vehicle <strong>${slotRequest.vehicle.plateNumber}</strong> has been rejected.</p>
-        ${rejectionReason ? `<p><strong>Reason:</strong> ${rejectionReason}</p>` : ''}
-        <p>Please contact support if you have any questions.</p>
-        <p>Thank you.</p>
-    `;
-    try {
-        await sendEmail(slotRequest.user.email, 'Parking Slot Request Rejected', emailHtml);
-    } catch (emailError) {
-        console.error("Failed to send rejection email:", emailError);
+    const released = await prisma.$transaction((tx) => releaseApprovedRequest(tx, slotRequest));
+    if (!released) {
+        res.status(409);
+        throw new Error('Slot request was modified concurrently. Please retry.');
     }
+    const { releasedRequest, freedSlot } = released;
 
-    res.json(new ApiResponse(200, rejectedRequest, 'Slot request rejected.'));
+    await logAction('SLOT_REQUEST_RELEASED', req.user.id, { requestId, vehicleId: slotRequest.vehicleId, slotId: slotRequest.slotId });
+    publishRequestEvent('request.updated', releasedRequest);
+    if (freedSlot) publishSlotEvent('slot.updated', freedSlot);
+    if (slotRequest.slotId) {
+        await processWaitlistForSlot(slotRequest.slotId);
+    }
+    res.json(new ApiResponse(200, releasedRequest, 'Slot released successfully.'));
 });
\ No newline at end of file
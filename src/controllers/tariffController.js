@@ -0,0 +1,193 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { logAction } from '../services/actionLogService.js';
+import { findTariff, calculateFee } from '../services/tariffService.js';
+import { hasPermission } from '../middlewares/authMiddleware.js';
+
+// Returns the first problem with a tariff's bands, or null when they are usable. Hours
+// and rates are already checked by the route's schema.
+const validateBands = (bands) => {
+    for (const band of bands) {
+        if (band.startHour === band.endHour) return 'A band cannot start and end at the same hour.';
+    }
+    return null;
+};
+
+const toBandData = (bands) => bands.map(({ startHour, endHour, hourlyRate }) => ({ startHour, endHour, hourlyRate }));
+
+// @desc    Create a tariff (Super admin only)
+// @route   POST /api/v1/tariffs
+// @access  Private/SuperAdmin
+export const createTariff = asyncHandler(async (req, res) => {
+    const { name, slotSize, vehicleType, hourlyRate, dailyCap, gracePeriodMinutes, bands = [] } = req.body;
+
+    const bandError = validateBands(bands);
+    if (bandError) {
+        res.status(400);
+        throw new Error(bandError);
+    }
+
+    const existingTariff = await prisma.tariff.findUnique({ where: { slotSize_vehicleType: { slotSize, vehicleType } } });
+    if (existingTariff) {
+        res.status(400);
+        throw new Error(`A tariff for ${slotSize} slots and vehicle type ${vehicleType} already exists.`);
+    }
+
+    const tariff = await prisma.tariff.create({
+        data: {
+            name,
+            slotSize,
+            vehicleType,
+            hourlyRate,
+            dailyCap: dailyCap ?? null,
+            gracePeriodMinutes: gracePeriodMinutes ?? 0,
+            bands: { create: toBandData(bands) },
+        },
+        include: { bands: true },
+    });
+
+    await logAction('TARIFF_CREATED', req.user.id, { tariffId: tariff.id, slotSize, vehicleType });
+    res.status(201).json(new ApiResponse(201, tariff, 'Tariff created successfully'));
+});
+
+// @desc    List tariffs
+// @route   GET /api/v1/tariffs
+// @access  Private
+export const listTariffs = asyncHandler(async (req, res) => {
+    const whereClause = {};
+    if (!hasPermission(req.user, 'tariff:read')) {
+        whereClause.isActive = true; // Users only see tariffs in force
+    }
+
+    const tariffs = await prisma.tariff.findMany({
+        where: whereClause,
+        include: { bands: { orderBy: { startHour: 'asc' } } },
+        orderBy: [{ slotSize: 'asc' }, { vehicleType: 'asc' }],
+    });
+
+    res.json(new ApiResponse(200, tariffs, 'Tariffs fetched successfully'));
+});
+
+// @desc    Get a specific tariff by ID
+// @route   GET /api/v1/tariffs/:id
+// @access  Private
+export const getTariffById = asyncHandler(async (req, res) => {
+    const tariff = await prisma.tariff.findUnique({
+        where: { id: req.params.id },
+        include: { bands: { orderBy: { startHour: 'asc' } } },
+    });
+
+    if (!tariff) {
+        res.status(404);
+        throw new Error('Tariff not found');
+    }
+
+    res.json(new ApiResponse(200, tariff, 'Tariff details fetched'));
+});
+
+// @desc    Update a tariff; a supplied `bands` array replaces the existing bands (Super admin only)
+// @route   PUT /api/v1/tariffs/:id
+// @access  Private/SuperAdmin
+export const updateTariff = asyncHandler(async (req, res) => {
+    const tariffId = req.params.id;
+    const { name, hourlyRate, dailyCap, gracePeriodMinutes, isActive, bands } = req.body;
+
+    if (bands !== undefined) {
+        const bandError = validateBands(bands);
+        if (bandError) {
+            res.status(400);
+            throw new Error(bandError);
+        }
+    }
+
+    const tariff = await prisma.tariff.findUnique({ where: { id: tariffId } });
+    if (!tariff) {
+        res.status(404);
+        throw new Error('Tariff not found');
+    }
+
+    const updatedTariff = await prisma.$transaction(async (tx) => {
+        if (bands !== undefined) {
+            await tx.tariffBand.deleteMany({ where: { tariffId } });
+        }
+        return tx.tariff.update({
+            where: { id: tariffId },
+            data: {
+                name: name || tariff.name,
+                hourlyRate: hourlyRate ?? tariff.hourlyRate,
+                dailyCap: dailyCap !== undefined ? dailyCap : tariff.dailyCap,
+                gracePeriodMinutes: gracePeriodMinutes ?? tariff.gracePeriodMinutes,
+                isActive: isActive ?? tariff.isActive,
+                ...(bands !== undefined && { bands: { create: toBandData(bands) } }),
+            },
+            include: { bands: true },
+        });
+    });
+
+    await logAction('TARIFF_UPDATED', req.user.id, { tariffId });
+    res.json(new ApiResponse(200, updatedTariff, 'Tariff updated successfully'));
+});
+
+// @desc    Delete a tariff (Super admin only)
+// @route   DELETE /api/v1/tariffs/:id
+// @access  Private/SuperAdmin
+export const deleteTariff = asyncHandler(async (req, res) => {
+    const tariffId = req.params.id;
+
+    const tariff = await prisma.tariff.findUnique({ where: { id: tariffId } });
+    if (!tariff) {
+        res.status(404);
+        throw new Error('Tariff not found');
+    }
+
+    const pricedSessions = await prisma.parkingSession.count({ where: { tariffId } });
+    if (pricedSessions > 0) {
+        res.status(400);
+        throw new Error('Cannot delete a tariff that has priced parking sessions. Deactivate it instead.');
+    }
+
+    await prisma.tariff.delete({ where: { id: tariffId } });
+
+    await logAction('TARIFF_DELETED', req.user.id, { tariffId, slotSize: tariff.slotSize, vehicleType: tariff.vehicleType });
+    res.json(new ApiResponse(200, null, 'Tariff deleted successfully'));
+});
+
+// @desc    Estimate the price of parking a vehicle, before requesting a slot
+// @route   GET /api/v1/tariffs/quote?vehicleId=...&from=...&to=... (or &durationMinutes=...)
+// @access  Private
+export const getQuote = asyncHandler(async (req, res) => {
+    const { vehicleId, from, to, durationMinutes } = req.query;
+
+    const start = from ? new Date(from) : new Date();
+    const end = to ? new Date(to) : new Date(start.getTime() + (durationMinutes || 0) * 60 * 1000);
+    if (end <= start) {
+        res.status(400);
+        throw new Error('Provide a valid `from`/`to` window or a positive `durationMinutes`.');
+    }
+
+    const vehicle = await prisma.vehicle.findUnique({ where: { id: vehicleId } });
+    if (!vehicle) {
+        res.status(404);
+        throw new Error('Vehicle not found.');
+    }
+    if (vehicle.userId !== req.user.id && !hasPermission(req.user, 'vehicle:read')) {
+        res.status(403);
+        throw new Error('Not authorized to quote for this vehicle.');
+    }
+
+    // Slots are assigned by matching size, so the vehicle's size decides the slot tariff
+    const tariff = await findTariff(vehicle.size, vehicle.vehicleType);
+    if (!tariff) {
+        res.status(404);
+        throw new Error(`No tariff is configured for ${vehicle.size} slots and vehicle type ${vehicle.vehicleType}.`);
+    }
+
+    const fee = calculateFee(tariff, start, end);
+    res.json(new ApiResponse(200, {
+        tariff: { id: tariff.id, name: tariff.name, slotSize: tariff.slotSize, vehicleType: tariff.vehicleType },
+        from: start,
+        to: end,
+        ...fee,
+    }, 'Parking quote calculated'));
+});
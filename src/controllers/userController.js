@@ -2,15 +2,18 @@ import prisma from '../config/db.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiResponse } from '../utils/apiResponse.js';
 import { logAction } from '../services/actionLogService.js';
+import { changeUserRole } from '../services/userAccountService.js';
+import { deactivateAccount, reactivateAccount, restoreDeadline } from '../services/accountStatusService.js';
+import { isSuperAdmin } from '../middlewares/authMiddleware.js';
 
-// @desc    Get all users (Admin only)
+// @desc    Get all users (Admin only). Deleted accounts are left out unless ?status=DELETED
 // @route   GET /api/v1/users
 // @access  Private/Admin
 export const listUsers = asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const { page, limit } = req.query; // Coerced and capped by the route's schema
     const skip = (page - 1) * limit;
     const searchTerm = req.query.search || ''; // Search by name or email
+    const { status } = req.query;
 
     const whereClause = {
         // Exclude the current admin from the list if desired, or other system users
@@ -19,6 +22,7 @@ export const listUsers = asyncHandler(async (req, res) => {
             { name: { contains: searchTerm, mode: 'insensitive' } },
             { email: { contains: searchTerm, mode: 'insensitive' } },
         ],
+        status: status || { not: 'DELETED' },
     };
 
     const users = await prisma.user.findMany({
@@ -31,6 +35,7 @@ export const listUsers = asyncHandler(async (req, res) => {
             name: true,
             email: true,
             role: true,
+            status: true,
             createdAt: true,
             updatedAt: true,
         }
@@ -47,42 +52,110 @@ export const listUsers = asyncHandler(async (req, res) => {
     }, "Users fetched successfully"));
 });
 
-// @desc    Delete user (Admin only)
-// @route   DELETE /api/v1/users/:id
-// @access  Private/Admin
-export const deleteUser = asyncHandler(async (req, res) => {
-    const userIdToDelete = req.params.id;
+// Loads the account an admin wants to suspend, delete or restore. Admins cannot act on
+// themselves, and only a super-admin can act on another super-admin.
+const findManagedUserOr404 = async (req, res) => {
+    if (req.params.id === req.user.id) {
+        res.status(400);
+        throw new Error('You cannot change the status of your own account through this endpoint.');
+    }
+    const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found');
+    }
+    if (user.role === 'SUPER_ADMIN' && !isSuperAdmin(req.user)) {
+        res.status(403);
+        throw new Error('Only a super-admin can change the status of a super-admin account.');
+    }
+    return user;
+};
 
-    if (userIdToDelete === req.user.id) {
+// @desc    Suspend a user: they are signed out, their open requests are cancelled or released,
+//          and they cannot log in until reactivated. Body: { reason? }
+// @route   PATCH /api/v1/users/:id/suspend
+// @access  Private (user:suspend)
+export const suspendUser = asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+    const user = await findManagedUserOr404(req, res);
+    if (user.status !== 'ACTIVE') {
         res.status(400);
-        throw new Error("Admin cannot delete their own account through this endpoint.");
+        throw new Error(`Only active accounts can be suspended. This account is ${user.status.toLowerCase()}.`);
     }
 
-    const user = await prisma.user.findUnique({
-        where: { id: userIdToDelete },
+    const result = await deactivateAccount(user.id, 'SUSPENDED', reason);
+
+    await logAction('USER_SUSPENDED', req.user.id, {
+        userId: user.id,
+        reason,
+        sessionsRevoked: result.sessionsRevoked,
+        cancelledRequestIds: result.cancelledRequestIds,
+        releasedRequestIds: result.releasedRequestIds,
     });
+    res.json(new ApiResponse(200, result, 'User suspended successfully'));
+});
 
-    if (!user) {
-        res.status(404);
-        throw new Error('User not found');
+// @desc    Lift a suspension
+// @route   PATCH /api/v1/users/:id/reactivate
+// @access  Private (user:suspend)
+export const reactivateUser = asyncHandler(async (req, res) => {
+    const user = await findManagedUserOr404(req, res);
+    if (user.status !== 'SUSPENDED') {
+        res.status(400);
+        throw new Error(`Only suspended accounts can be reactivated. This account is ${user.status.toLowerCase()}.`);
     }
 
-    // Add any cleanup logic here if necessary (e.g., reassigning resources, nullifying relations)
-    // For now, Prisma's cascade rules (if defined) or simple deletion.
-    // Be careful with cascading deletes of vehicles, requests etc. Consider soft delete or archiving.
-    // For this example, we'll proceed with a hard delete.
+    const reactivatedUser = await reactivateAccount(user.id);
 
-    await prisma.actionLog.deleteMany({ where: { userId: userIdToDelete }});
-    await prisma.slotRequest.deleteMany({ where: { userId: userIdToDelete }});
-    await prisma.vehicle.deleteMany({ where: { userId: userIdToDelete }}); // This will delete user's vehicles too
-    // If vehicles or requests should be preserved, you need a different strategy.
+    await logAction('USER_REACTIVATED', req.user.id, { userId: user.id, suspendedAt: user.suspendedAt, reason: user.statusReason });
+    res.json(new ApiResponse(200, reactivatedUser, 'User reactivated successfully'));
+});
 
-    await prisma.user.delete({
-        where: { id: userIdToDelete },
+// @desc    Soft-delete a user. Like a suspension, but the account can only be restored for
+//          USER_RESTORE_WINDOW_DAYS (default 30). Their vehicles, requests, sessions,
+//          invoices and action logs are kept; after the window their name, email and plate
+//          numbers are anonymized so those can be registered again. Body: { reason? }
+// @route   DELETE /api/v1/users/:id
+// @access  Private (user:delete)
+export const deleteUser = asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+    const user = await findManagedUserOr404(req, res);
+    if (user.status === 'DELETED') {
+        res.status(400);
+        throw new Error('User is already deleted.');
+    }
+
+    const result = await deactivateAccount(user.id, 'DELETED', reason);
+
+    await logAction('USER_DELETED_BY_ADMIN', req.user.id, {
+        deletedUserId: user.id,
+        deletedUserEmail: user.email,
+        reason,
+        sessionsRevoked: result.sessionsRevoked,
+        cancelledRequestIds: result.cancelledRequestIds,
+        releasedRequestIds: result.releasedRequestIds,
     });
+    res.json(new ApiResponse(200, { ...result, restorableUntil: restoreDeadline(result.user) }, 'User deleted successfully'));
+});
 
-    await logAction('USER_DELETED_BY_ADMIN', req.user.id, { deletedUserId: userIdToDelete, deletedUserEmail: user.email });
-    res.json(new ApiResponse(200, null, 'User deleted successfully'));
+// @desc    Restore a soft-deleted user within the restore window
+// @route   PATCH /api/v1/users/:id/restore
+// @access  Private (user:delete)
+export const restoreUser = asyncHandler(async (req, res) => {
+    const user = await findManagedUserOr404(req, res);
+    if (user.status !== 'DELETED') {
+        res.status(400);
+        throw new Error('Only deleted accounts can be restored.');
+    }
+    if (restoreDeadline(user) < new Date()) {
+        res.status(410); // Gone
+        throw new Error('The restore window for this account has passed.');
+    }
+
+    const restoredUser = await reactivateAccount(user.id);
+
+    await logAction('USER_RESTORED', req.user.id, { userId: user.id, deletedAt: user.deletedAt });
+    res.json(new ApiResponse(200, restoredUser, 'User restored successfully'));
 });
 
 // @desc    Get user by ID (Admin only)
@@ -96,8 +169,13 @@ export const getUserById = asyncHandler(async (req, res) => {
             name: true,
             email: true,
             role: true,
+            status: true,
+            statusReason: true,
+            suspendedAt: true,
+            deletedAt: true,
             createdAt: true,
             updatedAt: true,
+            facilityAdmins: { select: { facility: { select: { id: true, name: true } } } },
             vehicles: { select: { id: true, plateNumber: true, vehicleType: true } },
             slotRequests: { select: { id: true, requestStatus: true, createdAt: true } }
         }
@@ -107,5 +185,33 @@ export const getUserById = asyncHandler(async (req, res) => {
         res.status(404);
         throw new Error('User not found');
     }
-    res.json(new ApiResponse(200, user, "User details fetched successfully"));
-});
\ No newline at end of file
+    res.json(new ApiResponse(200, { ...user, restorableUntil: restoreDeadline(user) }, "User details fetched successfully"));
+});
+// @desc    Change a user's role (Super admin only)
+// @route   PATCH /api/v1/users/:id/role
+// @access  Private/SuperAdmin
+export const updateUserRole = asyncHandler(async (req, res) => {
+    const userId = req.params.id;
+    const { role } = req.body;
+
+    if (userId === req.user.id) {
+        res.status(400);
+        throw new Error('You cannot change your own role.');
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found');
+    }
+    // user:role can be granted to other roles; handing out or taking away super-admin stays with super-admins
+    if ((role === 'SUPER_ADMIN' || user.role === 'SUPER_ADMIN') && !isSuperAdmin(req.user)) {
+        res.status(403);
+        throw new Error('Only a super-admin can grant or remove the SUPER_ADMIN role.');
+    }
+
+    const updatedUser = await changeUserRole(userId, role);
+
+    await logAction('USER_ROLE_CHANGED', req.user.id, { userId, from: user.role, to: role });
+    res.json(new ApiResponse(200, updatedUser, 'User role updated successfully'));
+});
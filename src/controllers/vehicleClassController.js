@@ -0,0 +1,235 @@
+import prisma from '../config/db.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import { logAction } from '../services/actionLogService.js';
+import { ANY_VEHICLE_TYPE, normalizeCode } from '../services/vehicleClassService.js';
+
+// The name defaults to the code as given
+const readCodeAndName = (req) => {
+    const { code, name } = req.body;
+    return { code: normalizeCode(code), name: name?.trim() || code.trim() };
+};
+
+// How many vehicles, slots and tariffs still use a type or size code
+const countUsage = async (field, code) => {
+    const [vehicles, slots, tariffs] = await Promise.all([
+        prisma.vehicle.count({ where: { [field]: code } }),
+        prisma.parkingSlot.count({ where: { [field]: code } }),
+        prisma.tariff.count({ where: { [field === 'size' ? 'slotSize' : field]: code } }),
+    ]);
+    return { vehicles, slots, tariffs, total: vehicles + slots + tariffs };
+};
+
+// @desc    Get the vehicle type and size catalogues and the compatibility matrix
+// @route   GET /api/v1/vehicle-classes
+// @access  Private
+export const getVehicleClasses = asyncHandler(async (req, res) => {
+    const [vehicleTypes, sizes, compatibility] = await Promise.all([
+        prisma.vehicleType.findMany({ orderBy: { code: 'asc' } }),
+        prisma.vehicleSize.findMany({ orderBy: [{ rank: 'asc' }, { code: 'asc' }] }),
+        prisma.slotCompatibility.findMany({
+            orderBy: [{ slotVehicleType: 'asc' }, { slotSize: 'asc' }, { vehicleType: 'asc' }, { vehicleSize: 'asc' }],
+        }),
+    ]);
+    res.json(new ApiResponse(200, { vehicleTypes, sizes, compatibility }, 'Vehicle classes fetched successfully'));
+});
+
+// @desc    Add a vehicle type to the catalogue (Super admin only)
+// @route   POST /api/v1/vehicle-classes/types
+// @access  Private/SuperAdmin
+export const createVehicleType = asyncHandler(async (req, res) => {
+    const { code, name } = readCodeAndName(req);
+    if (code === ANY_VEHICLE_TYPE) {
+        res.status(400);
+        throw new Error(`"${ANY_VEHICLE_TYPE}" is reserved for slots that take every vehicle type.`);
+    }
+
+    const existingType = await prisma.vehicleType.findUnique({ where: { code } });
+    if (existingType) {
+        res.status(400);
+        throw new Error(`Vehicle type "${code}" already exists.`);
+    }
+
+    const vehicleType = await prisma.vehicleType.create({ data: { code, name } });
+    await logAction('VEHICLE_TYPE_CREATED', req.user.id, { code });
+    res.status(201).json(new ApiResponse(201, vehicleType, 'Vehicle type created. Add compatibility entries before vehicles of this type can park.'));
+});
+
+// @desc    Rename a vehicle type (the code cannot change)
+// @route   PUT /api/v1/vehicle-classes/types/:code
+// @access  Private/SuperAdmin
+export const updateVehicleType = asyncHandler(async (req, res) => {
+    const { name } = req.body;
+
+    const code = normalizeCode(req.params.code);
+    const existingType = await prisma.vehicleType.findUnique({ where: { code } });
+    if (!existingType) {
+        res.status(404);
+        throw new Error('Vehicle type not found');
+    }
+
+    const vehicleType = await prisma.vehicleType.update({ where: { code }, data: { name: name.trim() } });
+    await logAction('VEHICLE_TYPE_UPDATED', req.user.id, { code });
+    res.json(new ApiResponse(200, vehicleType, 'Vehicle type updated successfully'));
+});
+
+// @desc    Remove an unused vehicle type and its compatibility entries
+// @route   DELETE /api/v1/vehicle-classes/types/:code
+// @access  Private/SuperAdmin
+export const deleteVehicleType = asyncHandler(async (req, res) => {
+    const code = normalizeCode(req.params.code);
+    const existingType = await prisma.vehicleType.findUnique({ where: { code } });
+    if (!existingType) {
+        res.status(404);
+        throw new Error('Vehicle type not found');
+    }
+
+    const usage = await countUsage('vehicleType', code);
+    if (usage.total > 0) {
+        res.status(400);
+        throw new Error(`Vehicle type "${code}" is still used by ${usage.vehicles} vehicle(s), ${usage.slots} slot(s) and ${usage.tariffs} tariff(s).`);
+    }
+
+    await prisma.$transaction([
+        prisma.slotCompatibility.deleteMany({ where: { OR: [{ slotVehicleType: code }, { vehicleType: code }] } }),
+        prisma.vehicleType.delete({ where: { code } }),
+    ]);
+    await logAction('VEHICLE_TYPE_DELETED', req.user.id, { code });
+    res.json(new ApiResponse(200, null, 'Vehicle type deleted successfully'));
+});
+
+// @desc    Add a size to the catalogue (Super admin only)
+// @route   POST /api/v1/vehicle-classes/sizes
+// @access  Private/SuperAdmin
+export const createVehicleSize = asyncHandler(async (req, res) => {
+    const { code, name } = readCodeAndName(req);
+    const { rank } = req.body;
+
+    const existingSize = await prisma.vehicleSize.findUnique({ where: { code } });
+    if (existingSize) {
+        res.status(400);
+        throw new Error(`Size "${code}" already exists.`);
+    }
+
+    const vehicleSize = await prisma.vehicleSize.create({ data: { code, name, rank } });
+    await logAction('VEHICLE_SIZE_CREATED', req.user.id, { code, rank: vehicleSize.rank });
+    res.status(201).json(new ApiResponse(201, vehicleSize, 'Size created. Add compatibility entries before vehicles of this size can park.'));
+});
+
+// @desc    Rename or re-rank a size (the code cannot change)
+// @route   PUT /api/v1/vehicle-classes/sizes/:code
+// @access  Private/SuperAdmin
+export const updateVehicleSize = asyncHandler(async (req, res) => {
+    const { name, rank } = req.body;
+
+    const code = normalizeCode(req.params.code);
+    const existingSize = await prisma.vehicleSize.findUnique({ where: { code } });
+    if (!existingSize) {
+        res.status(404);
+        throw new Error('Size not found');
+    }
+
+    const vehicleSize = await prisma.vehicleSize.update({
+        where: { code },
+        data: {
+            name: name ? name.trim() : existingSize.name,
+            rank: rank ?? existingSize.rank,
+        },
+    });
+    await logAction('VEHICLE_SIZE_UPDATED', req.user.id, { code, rank: vehicleSize.rank });
+    res.json(new ApiResponse(200, vehicleSize, 'Size updated successfully'));
+});
+
+// @desc    Remove an unused size and its compatibility entries
+// @route   DELETE /api/v1/vehicle-classes/sizes/:code
+// @access  Private/SuperAdmin
+export const deleteVehicleSize = asyncHandler(async (req, res) => {
+    const code = normalizeCode(req.params.code);
+    const existingSize = await prisma.vehicleSize.findUnique({ where: { code } });
+    if (!existingSize) {
+        res.status(404);
+        throw new Error('Size not found');
+    }
+
+    const usage = await countUsage('size', code);
+    if (usage.total > 0) {
+        res.status(400);
+        throw new Error(`Size "${code}" is still used by ${usage.vehicles} vehicle(s), ${usage.slots} slot(s) and ${usage.tariffs} tariff(s).`);
+    }
+
+    await prisma.$transaction([
+        prisma.slotCompatibility.deleteMany({ where: { OR: [{ slotSize: code }, { vehicleSize: code }] } }),
+        prisma.vehicleSize.delete({ where: { code } }),
+    ]);
+    await logAction('VEHICLE_SIZE_DELETED', req.user.id, { code });
+    res.json(new ApiResponse(200, null, 'Size deleted successfully'));
+});
+
+// @desc    Let a slot class (type + size) take a vehicle class
+// @route   POST /api/v1/vehicle-classes/compatibility
+// @access  Private/SuperAdmin
+export const addCompatibility = asyncHandler(async (req, res) => {
+    const fields = ['slotVehicleType', 'slotSize', 'vehicleType', 'vehicleSize'];
+    const [slotVehicleType, slotSize, vehicleType, vehicleSize] = fields.map((field) => normalizeCode(req.body[field]));
+
+    const typeCodes = slotVehicleType === ANY_VEHICLE_TYPE ? [vehicleType] : [slotVehicleType, vehicleType];
+    const knownTypes = await prisma.vehicleType.count({ where: { code: { in: typeCodes } } });
+    if (knownTypes !== new Set(typeCodes).size) {
+        res.status(400);
+        throw new Error('Unknown vehicle type. Add it to the catalogue first.');
+    }
+    const sizeCodes = [slotSize, vehicleSize];
+    const knownSizes = await prisma.vehicleSize.count({ where: { code: { in: sizeCodes } } });
+    if (knownSizes !== new Set(sizeCodes).size) {
+        res.status(400);
+        throw new Error('Unknown size. Add it to the catalogue first.');
+    }
+
+    const data = { slotVehicleType, slotSize, vehicleType, vehicleSize };
+    const existingEntry = await prisma.slotCompatibility.findUnique({ where: { slotVehicleType_slotSize_vehicleType_vehicleSize: data } });
+    if (existingEntry) {
+        res.status(400);
+        throw new Error('This compatibility entry already exists.');
+    }
+
+    const entry = await prisma.slotCompatibility.create({ data });
+    await logAction('SLOT_COMPATIBILITY_ADDED', req.user.id, data);
+    res.status(201).json(new ApiResponse(201, entry, 'Compatibility entry added successfully'));
+});
+
+// @desc    Remove a compatibility entry. Refused if it would leave registered vehicles
+//          or existing slots with no match at all.
+// @route   DELETE /api/v1/vehicle-classes/compatibility/:id
+// @access  Private/SuperAdmin
+export const removeCompatibility = asyncHandler(async (req, res) => {
+    const entry = await prisma.slotCompatibility.findUnique({ where: { id: req.params.id } });
+    if (!entry) {
+        res.status(404);
+        throw new Error('Compatibility entry not found');
+    }
+
+    const otherEntries = { id: { not: entry.id } };
+    const [vehicles, vehicleAlternatives, slots, slotAlternatives] = await Promise.all([
+        prisma.vehicle.count({ where: { vehicleType: entry.vehicleType, size: entry.vehicleSize } }),
+        prisma.slotCompatibility.count({ where: { ...otherEntries, vehicleType: entry.vehicleType, vehicleSize: entry.vehicleSize } }),
+        prisma.parkingSlot.count({ where: { vehicleType: entry.slotVehicleType, size: entry.slotSize } }),
+        prisma.slotCompatibility.count({ where: { ...otherEntries, slotVehicleType: entry.slotVehicleType, slotSize: entry.slotSize } }),
+    ]);
+    if (vehicles > 0 && vehicleAlternatives === 0) {
+        res.status(400);
+        throw new Error(`${vehicles} registered ${entry.vehicleSize} ${entry.vehicleType} vehicle(s) would no longer fit any slot.`);
+    }
+    if (slots > 0 && slotAlternatives === 0) {
+        res.status(400);
+        throw new Error(`${slots} ${entry.slotSize} "${entry.slotVehicleType}" slot(s) would no longer take any vehicle.`);
+    }
+
+    await prisma.slotCompatibility.delete({ where: { id: entry.id } });
+    await logAction('SLOT_COMPATIBILITY_REMOVED', req.user.id, {
+        slotVehicleType: entry.slotVehicleType,
+        slotSize: entry.slotSize,
+        vehicleType: entry.vehicleType,
+        vehicleSize: entry.vehicleSize,
+    });
+    res.json(new ApiResponse(200, null, 'Compatibility entry removed successfully'));
+});
@@ -2,19 +2,18 @@ import prisma from '../config/db.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiResponse } from '../utils/apiResponse.js';
 import { logAction } from '../services/actionLogService.js';
+import { hasPermission } from '../middlewares/authMiddleware.js';
+import { resolveVehicleClass } from '../services/vehicleClassService.js';
 
 // Add Vehicle (from previous response)
 export const addVehicle = asyncHandler(async (req, res) => {
   const { plateNumber, vehicleType, size, otherAttributes } = req.body;
   const userId = req.user.id;
 
-  if (!plateNumber || !vehicleType || !size) {
+  const { vehicleClass, error: classError } = await resolveVehicleClass({ vehicleType, size });
+  if (classError) {
     res.status(400);
-    throw new Error('Plate number, vehicle type, and size are required.');
-  }
-  if (typeof plateNumber !== 'string' || typeof vehicleType !== 'string' || typeof size !== 'string') {
-      res.status(400);
-      throw new Error('Invalid data types for plate number, vehicle type, or size.');
+    throw new Error(classError);
   }
 
   const existingVehicle = await prisma.vehicle.findUnique({ where: { plateNumber } });
@@ -26,8 +25,7 @@ export const addVehicle = asyncHandler(async (req, res) => {
   const vehicle = await prisma.vehicle.create({
     data: {
       plateNumber,
-      vehicleType,
-      size,
+      ...vehicleClass,
       otherAttributes: otherAttributes || {},
       userId,
     },
@@ -40,17 +38,11 @@ export const addVehicle = asyncHandler(async (req, res) => {
 
 // List User's Vehicles (from previous response)
 export const listUserVehicles = asyncHandler(async (req, res) => {
-  const userId = req.body.id || req.user.id; 
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
+  const userId = req.user.id;
+  const { page, limit } = req.query; // Coerced and capped by the route's schema
   const skip = (page - 1) * limit;
   const searchTerm = (req.query.search || '').toLowerCase();
 
-  if(!userId){
-    res.status(400);
-    throw new Error('User ID is required');
-  }
-
   const whereClause = {
     userId,
     OR: [
@@ -95,8 +87,8 @@ export const getVehicleById = asyncHandler(async (req, res) => {
         throw new Error('Vehicle not found');
     }
 
-    // Check ownership or if admin
-    if (vehicle.userId !== req.user.id && req.user.role !== 'ADMIN') {
+    // Check ownership or if staff may see other users' vehicles
+    if (vehicle.userId !== req.user.id && !hasPermission(req.user, 'vehicle:read')) {
         res.status(403);
         throw new Error('Not authorized to view this vehicle');
     }
@@ -113,10 +105,6 @@ export const updateVehicle = asyncHandler(async (req, res) => {
     const vehicleId = req.params.id;
     const { vehicleType, size, otherAttributes } = req.body; // Plate number is unique, typically not updated.
 
-    // Basic Validation
-    if (vehicleType && typeof vehicleType !== 'string') throw new Error('Invalid vehicle type');
-    if (size && typeof size !== 'string') throw new Error('Invalid size');
-
     const vehicle = await prisma.vehicle.findUnique({
         where: { id: vehicleId },
     });
@@ -131,12 +119,22 @@ export const updateVehicle = asyncHandler(async (req, res) => {
         throw new Error('Not authorized to update this vehicle');
     }
 
+    let vehicleClass = {};
+    if (vehicleType || size) {
+        const resolved = await resolveVehicleClass({ vehicleType: vehicleType || vehicle.vehicleType, size: size || vehicle.size });
+        if (resolved.error) {
+            res.status(400);
+            throw new Error(resolved.error);
+        }
+        vehicleClass = resolved.vehicleClass;
+    }
+
     // Cannot update plateNumber via this route, handle separately if needed
     const updatedVehicle = await prisma.vehicle.update({
         where: { id: vehicleId },
         data: {
-            vehicleType: vehicleType || vehicle.vehicleType,
-            size: size || vehicle.size,
+            vehicleType: vehicleClass.vehicleType || vehicle.vehicleType,
+            size: vehicleClass.size || vehicle.size,
             otherAttributes: otherAttributes !== undefined ? otherAttributes : vehicle.otherAttributes,
         },
     });
@@ -169,7 +167,7 @@ export const deleteVehicle = asyncHandler(async (req, res) => {
     const activeRequests = await prisma.slotRequest.count({
         where: {
             vehicleId: vehicleId,
-            requestStatus: { in: ['PENDING', 'APPROVED'] }
+            requestStatus: { in: ['PENDING', 'WAITLISTED', 'APPROVED'] }
         }
     });
 
@@ -1,37 +1,109 @@
 import jwt from 'jsonwebtoken';
 import prisma from '../config/db.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
+import { findActiveSession } from '../services/sessionService.js';
+import { getRolePermissions, FACILITY_STAFF_ROLES, ALL_FACILITY_ROLES } from '../services/permissionService.js';
 
 export const protect = asyncHandler(async (req, res, next) => {
-  let token;
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await prisma.user.findUnique({ where: { id: decoded.id }, select: { id: true, email: true, role: true, name: true } });
-      if (!req.user) {
-        res.status(401);
-        throw new Error('Not authorized, user not found');
-      }
-      next();
-    } catch (error) {
-      console.error(error);
-      res.status(401);
-      throw new Error('Not authorized, token failed');
-    }
-  }
-  if (!token) {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
     res.status(401);
     throw new Error('Not authorized, no token');
   }
+
+  // Only a bad or expired token is a generic failure; the checks below say what went wrong
+  let decoded;
+  try {
+    decoded = jwt.verify(req.headers.authorization.split(' ')[1], process.env.JWT_SECRET);
+  } catch {
+    res.status(401);
+    throw new Error('Not authorized, token failed');
+  }
+
+  req.user = await prisma.user.findUnique({ where: { id: decoded.id }, select: { id: true, email: true, role: true, name: true, locale: true, passwordChangedAt: true, emailVerifiedAt: true, status: true } });
+  if (!req.user) {
+    res.status(401);
+    throw new Error('Not authorized, user not found');
+  }
+  if (req.user.status !== 'ACTIVE') {
+    res.status(401);
+    throw new Error(`Not authorized, account is ${req.user.status.toLowerCase()}`);
+  }
+  // Tokens issued before the last password change stop working (iat is in seconds)
+  if (req.user.passwordChangedAt && decoded.iat < Math.floor(req.user.passwordChangedAt.getTime() / 1000)) {
+    res.status(401);
+    throw new Error('Not authorized, password was changed');
+  }
+  // Access tokens belong to a login session, which logout and password changes revoke
+  const session = decoded.sid && await findActiveSession(decoded.sid, req.user.id);
+  if (!session) {
+    res.status(401);
+    throw new Error('Not authorized, session has ended');
+  }
+  req.sessionId = session.id;
+  req.user.permissions = await getRolePermissions(req.user.role);
+  // Facility staff only act in the facilities they are assigned to
+  if (FACILITY_STAFF_ROLES.includes(req.user.role)) {
+    const assignments = await prisma.facilityAdmin.findMany({ where: { userId: req.user.id }, select: { facilityId: true } });
+    req.user.facilityIds = assignments.map((assignment) => assignment.facilityId);
+  }
+  next();
 });
 
-export const authorize = (...roles) => {
+// For routes that act in the user's name: new accounts must confirm their email first.
+// Use after `protect`.
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerifiedAt) {
+    res.status(403);
+    throw new Error('Please verify your email address first. Check your inbox or ask for a new link at /api/v1/auth/resend-verification.');
+  }
+  next();
+};
+
+// EventSource can't set headers, so event streams may pass the JWT as ?access_token=.
+// Put this in front of `protect` on those routes only, since URLs end up in logs.
+export const acceptQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+export const hasPermission = (user, permission) => Boolean(user?.permissions?.includes(permission));
+
+// Lets the request through only if the user's role has every listed permission (see
+// permissionService). Per-facility limits are enforced in the controllers with
+// canManageFacility/canViewFacility/adminFacilityWhere.
+export const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!req.user || !roles.includes(req.user.role)) {
+    const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
       res.status(403); // Forbidden
-      throw new Error(`User role ${req.user ? req.user.role : 'GUEST'} is not authorized to access this route`);
+      throw new Error(`User role ${req.user ? req.user.role : 'GUEST'} is missing the ${missing.join(', ')} permission to access this route`);
     }
     next();
   };
-};
\ No newline at end of file
+};
+
+export const isSuperAdmin = (user) => user.role === 'SUPER_ADMIN';
+
+// Super-admins and auditors reach every facility; other staff only their assigned ones
+export const seesAllFacilities = (user) => ALL_FACILITY_ROLES.includes(user.role);
+
+// Whether `user` may act on things in `facilityId` (what they may do is up to their
+// permissions). Slots and requests outside any facility (null) belong to the super-admin.
+export const canManageFacility = (user, facilityId) => {
+  if (isSuperAdmin(user)) return true;
+  return FACILITY_STAFF_ROLES.includes(user.role) && Boolean(facilityId) && (user.facilityIds || []).includes(facilityId);
+};
+
+// Whether `user` may look at things in `facilityId`; auditors see every facility
+export const canViewFacility = (user, facilityId) => seesAllFacilities(user) || canManageFacility(user, facilityId);
+
+// Prisma filter limiting a staff member's view to their facilities; `field` names the
+// facility column (or a nested filter builder for related models). Empty for super-admins
+// and auditors.
+export const adminFacilityWhere = (user, field = 'facilityId') => {
+  if (seesAllFacilities(user)) return {};
+  const inFacilities = { in: user.facilityIds || [] };
+  return typeof field === 'function' ? field(inFacilities) : { [field]: inFacilities };
+};
@@ -4,6 +4,7 @@ const errorHandler = (err, req, res, next) => {
     res.status(statusCode);
     res.json({
       message: err.message,
+      ...(err.errors && { errors: err.errors }), // Per-field problems from validate()
       stack: process.env.NODE_ENV === 'production' ? null : err.stack,
     });
   };
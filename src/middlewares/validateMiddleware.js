@@ -0,0 +1,70 @@
+// Checks req.params, req.query and req.body against a schema built from
+// validators/rules.js, e.g.
+//   validate({ params: { id: id() }, body: { name: string({ required: true }) } })
+// Fields the schema does not list are dropped from query and body, so controllers only
+// ever see declared input (a location left out of the schema accepts nothing; params
+// are left alone unless declared). Any problem ends the request with a 400 whose
+// `errors` lists every bad field as { location, field, message }.
+const LOCATIONS = ['params', 'query', 'body'];
+
+const joinPath = (parent, key) => (key.startsWith('[') || !parent ? `${parent}${key}` : `${parent}.${key}`);
+
+const createContext = (location, errors) => {
+  const context = {
+    field(rule, value, path) {
+      if (value === undefined) {
+        if (rule.fallback !== undefined) return rule.fallback;
+        if (rule.required) errors.push({ location, field: path, message: 'is required' });
+        return undefined;
+      }
+      if (value === null && rule.nullable) return null;
+      const result = value === null ? { error: 'must not be null' } : rule.check(value, {
+        field: (childRule, childValue, key) => context.field(childRule, childValue, joinPath(path, key)),
+        shape: (shape, source) => context.shape(shape, source, path),
+      });
+      if (result.error) {
+        errors.push({ location, field: path, message: result.error });
+        return undefined;
+      }
+      return result.value;
+    },
+    shape(shape, source, parent = '') {
+      const parsed = {};
+      for (const [key, rule] of Object.entries(shape)) {
+        const value = context.field(rule, Object.hasOwn(source, key) ? source[key] : undefined, joinPath(parent, key));
+        if (value !== undefined) parsed[key] = value;
+      }
+      return parsed;
+    },
+  };
+  return context;
+};
+
+export const validate = (schema = {}) => {
+  return (req, res, next) => {
+    const errors = [];
+    for (const location of LOCATIONS) {
+      if (location === 'params' && !schema.params) continue;
+      const source = req[location] ?? {};
+      if (typeof source !== 'object' || Array.isArray(source)) {
+        errors.push({ location, field: '', message: 'must be a JSON object' });
+        continue;
+      }
+      const parsed = createContext(location, errors).shape(schema[location] || {}, source);
+      // Express 5 exposes req.query through a getter, so it is shadowed rather than assigned
+      if (location === 'query') {
+        Object.defineProperty(req, 'query', { value: parsed, writable: true, configurable: true, enumerable: true });
+      } else {
+        req[location] = parsed;
+      }
+    }
+
+    if (errors.length > 0) {
+      res.status(400); // Bad Request
+      const error = new Error(`Validation failed: ${errors.map(({ location, field, message }) => `${field || location} ${message}`).join('; ')}`);
+      error.errors = errors;
+      throw error;
+    }
+    next();
+  };
+};
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+    createRule,
+    listRules,
+    getRuleById,
+    updateRule,
+    deleteRule,
+    evaluateRules
+} from '../controllers/approvalRuleController.js';
+import { protect, requirePermission } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import { createRuleSchema, ruleByIdSchema, updateRuleSchema, evaluateRulesSchema } from '../validators/approvalRuleValidators.js';
+
+const router = express.Router();
+
+// The approval policy applies to every facility, so managing it is kept to super-admins
+// by default
+router.use(protect);
+
+router.post('/evaluate', requirePermission('approval-rule:read'), validate(evaluateRulesSchema), evaluateRules); // POST /api/v1/approval-rules/evaluate - Dry-run the policy for a vehicle
+
+router.route('/')
+    .get(requirePermission('approval-rule:read'), validate(), listRules) // GET /api/v1/approval-rules - Rules in evaluation order
+    .post(requirePermission('approval-rule:write'), validate(createRuleSchema), createRule); // POST /api/v1/approval-rules - Create a rule
+
+router.route('/:id')
+    .get(requirePermission('approval-rule:read'), validate(ruleByIdSchema), getRuleById) // GET /api/v1/approval-rules/:id
+    .put(requirePermission('approval-rule:write'), validate(updateRuleSchema), updateRule) // PUT /api/v1/approval-rules/:id
+    .delete(requirePermission('approval-rule:write'), validate(ruleByIdSchema), deleteRule); // DELETE /api/v1/approval-rules/:id
+
+export default router;
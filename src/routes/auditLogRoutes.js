@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+    listAuditLogs,
+    exportAuditLogs,
+    getEntityTimeline,
+    getAuditRetention,
+    pruneAuditLogs
+} from '../controllers/auditLogController.js';
+import { protect, requirePermission } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import { listAuditLogsSchema, exportAuditLogsSchema, entityTimelineSchema } from '../validators/auditLogValidators.js';
+
+const router = express.Router();
+
+router.use(protect); // The audit log spans every facility
+
+router.get('/', requirePermission('audit:read'), validate(listAuditLogsSchema), listAuditLogs); // GET /api/v1/audit-logs - ?action=&userId=&from=&to=&entity=<type>:<id>&cursor=&limit=
+router.get('/export', requirePermission('audit:read'), validate(exportAuditLogsSchema), exportAuditLogs); // GET /api/v1/audit-logs/export - Same filters, ?format=csv|ndjson
+router.get('/retention', requirePermission('audit:read'), validate(), getAuditRetention); // GET /api/v1/audit-logs/retention
+router.post('/prune', requirePermission('audit:prune'), validate(), pruneAuditLogs); // POST /api/v1/audit-logs/prune - Drop view entries past retention now
+router.get('/entities/:type/:id', requirePermission('audit:read'), validate(entityTimelineSchema), getEntityTimeline); // GET /api/v1/audit-logs/entities/:type/:id - Timeline of one slot, request, user...
+
+export default router;
@@ -1,13 +1,47 @@
 import express from 'express';
-import { registerUser, loginUser, getMe, updateUserProfile } from '../controllers/authController.js';
+import {
+  registerUser,
+  loginUser,
+  getMe,
+  updateUserProfile,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllDevices,
+  listSessions,
+  revokeOwnSession,
+} from '../controllers/authController.js';
 import { protect } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import {
+  registerSchema,
+  loginSchema,
+  updateProfileSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  refreshTokenSchema,
+  sessionByIdSchema,
+} from '../validators/authValidators.js';
 
 const router = express.Router();
 
-router.post('/register', registerUser);
-router.post('/login', loginUser);
-router.get('/me', protect, getMe);
-router.put('/profile', protect, updateUserProfile);
+router.post('/register', validate(registerSchema), registerUser);
+router.post('/login', validate(loginSchema), loginUser);
+router.get('/me', protect, validate(), getMe);
+router.put('/profile', protect, validate(updateProfileSchema), updateUserProfile);
+router.post('/forgot-password', validate(forgotPasswordSchema), forgotPassword);
+router.post('/reset-password', validate(resetPasswordSchema), resetPassword);
+router.post('/verify-email', validate(verifyEmailSchema), verifyEmail);
+router.post('/resend-verification', protect, validate(), resendVerificationEmail);
+router.post('/refresh', validate(refreshTokenSchema), refreshAccessToken);
+router.post('/logout', protect, validate(), logoutUser);
+router.post('/logout-all', protect, validate(), logoutAllDevices);
+router.get('/sessions', protect, validate(), listSessions);
+router.delete('/sessions/:id', protect, validate(sessionByIdSchema), revokeOwnSession);
 
 
 export default router;
\ No newline at end of file
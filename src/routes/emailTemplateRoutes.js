@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+    listEmailTemplates,
+    getEmailTemplate,
+    upsertEmailTemplate,
+    resetEmailTemplate,
+    previewEmailTemplate
+} from '../controllers/emailTemplateController.js';
+import { protect, requirePermission } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import {
+    emailTemplateByNameSchema,
+    emailTemplateByLocaleSchema,
+    upsertEmailTemplateSchema,
+    previewEmailTemplateSchema
+} from '../validators/emailTemplateValidators.js';
+
+const router = express.Router();
+
+router.use(protect); // Templates are shared by every facility
+
+router.get('/', requirePermission('email-template:read'), validate(), listEmailTemplates); // GET /api/v1/email-templates
+router.get('/:name', requirePermission('email-template:read'), validate(emailTemplateByNameSchema), getEmailTemplate); // GET /api/v1/email-templates/:name - Content in every locale
+router.post('/:name/preview', requirePermission('email-template:read'), validate(previewEmailTemplateSchema), previewEmailTemplate); // POST /api/v1/email-templates/:name/preview - Render with sample data
+router.route('/:name/:locale')
+    .put(requirePermission('email-template:write'), validate(upsertEmailTemplateSchema), upsertEmailTemplate) // PUT /api/v1/email-templates/:name/:locale - Save custom content for a locale
+    .delete(requirePermission('email-template:write'), validate(emailTemplateByLocaleSchema), resetEmailTemplate); // DELETE /api/v1/email-templates/:name/:locale - Back to the built-in text
+
+export default router;
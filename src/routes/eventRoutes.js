@@ -0,0 +1,10 @@
+import express from 'express';
+import { streamEvents } from '../controllers/eventController.js';
+import { protect, acceptQueryToken } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+
+const router = express.Router();
+
+router.get('/stream', acceptQueryToken, protect, validate(), streamEvents); // GET /api/v1/events/stream - Live updates (text/event-stream)
+
+export default router;
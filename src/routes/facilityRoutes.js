@@ -0,0 +1,66 @@
+import express from 'express';
+import {
+    createFacility,
+    listFacilities,
+    getFacilityById,
+    updateFacility,
+    deleteFacility,
+    createLevel,
+    updateLevel,
+    deleteLevel,
+    createZone,
+    updateZone,
+    deleteZone,
+    importSlotLocations,
+    listFacilityAdmins,
+    addFacilityAdmin,
+    removeFacilityAdmin
+} from '../controllers/facilityController.js';
+import { protect, requirePermission } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import {
+    createFacilitySchema,
+    facilityByIdSchema,
+    updateFacilitySchema,
+    createLevelSchema,
+    levelByIdSchema,
+    updateLevelSchema,
+    createZoneSchema,
+    zoneByIdSchema,
+    updateZoneSchema,
+    importSlotLocationsSchema,
+    addFacilityAdminSchema,
+    facilityAdminByIdSchema
+} from '../validators/facilityValidators.js';
+
+const router = express.Router();
+
+router.use(protect); // All facility routes require login; changes need a super-admin or an admin of that facility
+
+router.post('/import-locations', requirePermission('facility:manage'), validate(importSlotLocationsSchema), importSlotLocations); // POST /api/v1/facilities/import-locations - Place unplaced slots by parsing their location
+
+router.route('/')
+    .get(validate(), listFacilities)            // GET /api/v1/facilities - Facilities with slot counts
+    .post(requirePermission('facility:manage'), validate(createFacilitySchema), createFacility); // POST /api/v1/facilities - Create a facility
+
+router.route('/:id')
+    .get(validate(facilityByIdSchema), getFacilityById) // GET /api/v1/facilities/:id - Facility with its levels and zones
+    .put(requirePermission('facility:write'), validate(updateFacilitySchema), updateFacility) // PUT /api/v1/facilities/:id
+    .delete(requirePermission('facility:manage'), validate(facilityByIdSchema), deleteFacility); // DELETE /api/v1/facilities/:id - Only when no slots are placed in it
+
+router.post('/:id/levels', requirePermission('facility:write'), validate(createLevelSchema), createLevel); // POST /api/v1/facilities/:id/levels
+router.route('/:id/levels/:levelId')
+    .put(requirePermission('facility:write'), validate(updateLevelSchema), updateLevel) // PUT /api/v1/facilities/:id/levels/:levelId
+    .delete(requirePermission('facility:write'), validate(levelByIdSchema), deleteLevel); // DELETE /api/v1/facilities/:id/levels/:levelId
+
+router.post('/:id/zones', requirePermission('facility:write'), validate(createZoneSchema), createZone); // POST /api/v1/facilities/:id/zones
+router.route('/:id/zones/:zoneId')
+    .put(requirePermission('facility:write'), validate(updateZoneSchema), updateZone) // PUT /api/v1/facilities/:id/zones/:zoneId
+    .delete(requirePermission('facility:write'), validate(zoneByIdSchema), deleteZone); // DELETE /api/v1/facilities/:id/zones/:zoneId
+
+router.route('/:id/admins')
+    .get(requirePermission('user:read'), validate(facilityByIdSchema), listFacilityAdmins) // GET /api/v1/facilities/:id/admins
+    .post(requirePermission('facility:manage'), validate(addFacilityAdminSchema), addFacilityAdmin); // POST /api/v1/facilities/:id/admins - Assign an ADMIN or ATTENDANT user to the facility
+router.delete('/:id/admins/:userId', requirePermission('facility:manage'), validate(facilityAdminByIdSchema), removeFacilityAdmin); // DELETE /api/v1/facilities/:id/admins/:userId
+
+export default router;
@@ -4,6 +4,19 @@ import userRoutes from './userRoutes.js';
 import vehicleRoutes from './vehicleRoutes.js';
 import parkingSlotRoutes from './parkingSlotRoutes.js';
 import slotRequestRoutes from './slotRequestRoutes.js';
+import parkingSessionRoutes from './parkingSessionRoutes.js';
+import tariffRoutes from './tariffRoutes.js';
+import invoiceRoutes from './invoiceRoutes.js';
+import approvalRuleRoutes from './approvalRuleRoutes.js';
+import facilityRoutes from './facilityRoutes.js';
+import maintenanceRoutes from './maintenanceRoutes.js';
+import vehicleClassRoutes from './vehicleClassRoutes.js';
+import emailTemplateRoutes from './emailTemplateRoutes.js';
+import outboxRoutes from './outboxRoutes.js';
+import eventRoutes from './eventRoutes.js';
+import loginLockoutRoutes from './loginLockoutRoutes.js';
+import roleRoutes from './roleRoutes.js';
+import auditLogRoutes from './auditLogRoutes.js';
 
 const router = express.Router();
 
@@ -12,5 +25,18 @@ router.use('/users', userRoutes); // For admin to manage users
 router.use('/vehicles', vehicleRoutes);
 router.use('/parking-slots', parkingSlotRoutes);
 router.use('/slot-requests', slotRequestRoutes);
+router.use('/parking-sessions', parkingSessionRoutes);
+router.use('/tariffs', tariffRoutes);
+router.use('/invoices', invoiceRoutes);
+router.use('/approval-rules', approvalRuleRoutes);
+router.use('/facilities', facilityRoutes);
+router.use('/maintenance-windows', maintenanceRoutes);
+router.use('/vehicle-classes', vehicleClassRoutes);
+router.use('/email-templates', emailTemplateRoutes);
+router.use('/notification-outbox', outboxRoutes);
+router.use('/events', eventRoutes);
+router.use('/login-lockouts', loginLockoutRoutes);
+router.use('/roles', roleRoutes);
+router.use('/audit-logs', auditLogRoutes);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+    listInvoices,
+    getBalance,
+    listOutstandingBalances,
+    getInvoiceById,
+    payInvoice,
+    refundInvoice
+} from '../controllers/invoiceController.js';
+import { protect, requirePermission } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import {
+    listInvoicesSchema,
+    balanceSchema,
+    listOutstandingBalancesSchema,
+    invoiceByIdSchema,
+    payInvoiceSchema,
+    refundInvoiceSchema
+} from '../validators/invoiceValidators.js';
+
+const router = express.Router();
+
+router.use(protect); // All invoice routes require login
+
+router.get('/', validate(listInvoicesSchema), listInvoices);            // GET /api/v1/invoices - Users see their own, staff with invoice:read their facilities'
+router.get('/balance', validate(balanceSchema), getBalance);            // GET /api/v1/invoices/balance - Ledger summary (Super-admin or auditor may pass ?userId=)
+router.get('/outstanding', requirePermission('invoice:read'), validate(listOutstandingBalancesSchema), listOutstandingBalances); // GET /api/v1/invoices/outstanding - Super-admin/auditor list of unpaid balances per user
+
+router.get('/:id', validate(invoiceByIdSchema), getInvoiceById);        // GET /api/v1/invoices/:id - Owner or Admin
+router.post('/:id/pay', requirePermission('invoice:pay'), validate(payInvoiceSchema), payInvoice); // POST /api/v1/invoices/:id/pay - Owner pays an invoice
+router.post('/:id/refund', requirePermission('invoice:refund'), validate(refundInvoiceSchema), refundInvoice); // POST /api/v1/invoices/:id/refund - Staff with invoice:refund refunds a paid invoice
+
+export default router;
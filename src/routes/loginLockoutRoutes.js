@@ -0,0 +1,14 @@
+import express from 'express';
+import { getLoginLockouts, unlockLoginLockout } from '../controllers/loginLockoutController.js';
+import { protect, requirePermission } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import { unlockLoginLockoutSchema } from '../validators/loginLockoutValidators.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', requirePermission('login-lockout:read'), validate(), getLoginLockouts); // GET /api/v1/login-lockouts - Accounts and IPs locked out after failed logins
+router.post('/unlock', requirePermission('login-lockout:unlock'), validate(unlockLoginLockoutSchema), unlockLoginLockout); // POST /api/v1/login-lockouts/unlock - Lift a lockout by email or IP
+
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+    createMaintenanceWindow,
+    listMaintenanceWindows,
+    getMaintenanceWindowById,
+    cancelMaintenanceWindow
+} from '../controllers/maintenanceController.js';
+import { protect, requirePermission } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import {
+    createMaintenanceWindowSchema,
+    listMaintenanceWindowsSchema,
+    maintenanceWindowByIdSchema
+} from '../validators/maintenanceValidators.js';
+
+const router = express.Router();
+
+router.use(protect); // Facility staff manage windows in their own facilities
+
+router.route('/')
+    .post(requirePermission('maintenance:write'), validate(createMaintenanceWindowSchema), createMaintenanceWindow) // POST /api/v1/maintenance-windows - Schedule maintenance for a slot or zone
+    .get(requirePermission('maintenance:read'), validate(listMaintenanceWindowsSchema), listMaintenanceWindows); // GET /api/v1/maintenance-windows - ?status=&slotId=&zoneId=
+
+router.get('/:id', requirePermission('maintenance:read'), validate(maintenanceWindowByIdSchema), getMaintenanceWindowById); // GET /api/v1/maintenance-windows/:id
+router.patch('/:id/cancel', requirePermission('maintenance:write'), validate(maintenanceWindowByIdSchema), cancelMaintenanceWindow); // PATCH /api/v1/maintenance-windows/:id/cancel - Cancel, or end early if active
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+    getOutboxSummary,
+    listOutboxItems,
+    getOutboxItemById,
+    retryOutboxItemById,
+    retryDeadOutboxItems
+} from '../controllers/outboxController.js';
+import { protect, requirePermission } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import { listOutboxItemsSchema, outboxItemByIdSchema } from '../validators/outboxValidators.js';
+
+const router = express.Router();
+
+router.use(protect); // Outbox items span every facility; by default only super-admins and auditors see them
+
+router.get('/summary', requirePermission('outbox:read'), validate(), getOutboxSummary); // GET /api/v1/notification-outbox/summary - Counts by status
+router.post('/retry-dead', requirePermission('outbox:retry'), validate(), retryDeadOutboxItems); // POST /api/v1/notification-outbox/retry-dead
+router.get('/', requirePermission('outbox:read'), validate(listOutboxItemsSchema), listOutboxItems); // GET /api/v1/notification-outbox - ?status=&template=&recipient=&userId=
+router.get('/:id', requirePermission('outbox:read'), validate(outboxItemByIdSchema), getOutboxItemById); // GET /api/v1/notification-outbox/:id
+router.post('/:id/retry', requirePermission('outbox:retry'), validate(outboxItemByIdSchema), retryOutboxItemById); // POST /api/v1/notification-outbox/:id/retry - Send again now
+
+export default router;
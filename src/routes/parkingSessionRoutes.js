@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+    checkIn,
+    checkOut,
+    listMyActiveSessions,
+    listParkedVehicles,
+    getSessionById
+} from '../controllers/parkingSessionController.js';
+import { protect, requirePermission } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import { checkInSchema, listParkedVehiclesSchema, sessionByIdSchema } from '../validators/parkingSessionValidators.js';
+
+const router = express.Router();
+
+router.use(protect); // All parking session routes require login
+
+router.post('/check-in', validate(checkInSchema), checkIn);     // POST /api/v1/parking-sessions/check-in - Owner or Admin checks a vehicle in
+router.get('/active', validate(), listMyActiveSessions);        // GET /api/v1/parking-sessions/active - Current user's active sessions
+router.get('/parked', requirePermission('session:read'), validate(listParkedVehiclesSchema), listParkedVehicles); // GET /api/v1/parking-sessions/parked - Staff view of currently parked vehicles
+
+router.get('/:id', validate(sessionByIdSchema), getSessionById); // GET /api/v1/parking-sessions/:id - Owner or Admin views a session
+router.patch('/:id/check-out', validate(sessionByIdSchema), checkOut); // PATCH /api/v1/parking-sessions/:id/check-out - Owner or Admin checks a vehicle out
+
+export default router;
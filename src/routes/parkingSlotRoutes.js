@@ -5,20 +5,31 @@ import {
     listSlots,
     getSlotById,
     updateSlot,
-    deleteSlot
+    deleteSlot,
+    getSlotSummary
 } from '../controllers/parkingSlotController.js';
-import { protect, authorize } from '../middlewares/authMiddleware.js';
+import { protect, requirePermission } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import {
+    bulkCreateSlotsSchema,
+    createSlotSchema,
+    listSlotsSchema,
+    slotSummarySchema,
+    slotByIdSchema,
+    updateSlotSchema
+} from '../validators/parkingSlotValidators.js';
 
 const router = express.Router();
 
 // Publicly accessible (for users) or admin (for all) - handled by controller logic + protect
-router.get('/', protect, listSlots);      // GET /api/v1/parking-slots - Users see available, Admins see all/filtered
-router.get('/:id', protect, getSlotById); // GET /api/v1/parking-slots/:id - Users/Admins view specific slot
+router.get('/', protect, validate(listSlotsSchema), listSlots);      // GET /api/v1/parking-slots - Users see available, Admins see all/filtered
+router.get('/summary', protect, requirePermission('slot:read'), validate(slotSummarySchema), getSlotSummary); // GET /api/v1/parking-slots/summary - Staff counts per facility/level/zone
+router.get('/:id', protect, validate(slotByIdSchema), getSlotById); // GET /api/v1/parking-slots/:id - Users/Admins view specific slot
 
 // Admin only routes for creating, updating, and deleting slots
-router.post('/bulk', protect, authorize('ADMIN'), bulkCreateSlots); // POST /api/v1/parking-slots/bulk - Admin bulk creates slots
-router.post('/', protect, authorize('ADMIN'), createSlot);         // POST /api/v1/parking-slots - Admin creates a single slot
-router.put('/:id', protect, authorize('ADMIN'), updateSlot);       // PUT /api/v1/parking-slots/:id - Admin updates a slot
-router.delete('/:id', protect, authorize('ADMIN'), deleteSlot);   // DELETE /api/v1/parking-slots/:id - Admin deletes a slot
+router.post('/bulk', protect, requirePermission('slot:write'), validate(bulkCreateSlotsSchema), bulkCreateSlots); // POST /api/v1/parking-slots/bulk - Admin bulk creates slots
+router.post('/', protect, requirePermission('slot:write'), validate(createSlotSchema), createSlot); // POST /api/v1/parking-slots - Admin creates a single slot
+router.put('/:id', protect, requirePermission('slot:write'), validate(updateSlotSchema), updateSlot); // PUT /api/v1/parking-slots/:id - Admin updates a slot
+router.delete('/:id', protect, requirePermission('slot:write'), validate(slotByIdSchema), deleteSlot); // DELETE /api/v1/parking-slots/:id - Admin deletes a slot
 
 export default router;
\ No newline at end of file
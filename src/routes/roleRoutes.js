@@ -0,0 +1,16 @@
+import express from 'express';
+import { listRoles, updateRolePermission, resetRolePermissionOverride } from '../controllers/roleController.js';
+import { protect, requirePermission } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import { rolePermissionSchema, updateRolePermissionSchema } from '../validators/roleValidators.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', requirePermission('role:read'), validate(), listRoles); // GET /api/v1/roles - Roles, their permissions and the permission catalogue
+router.route('/:role/permissions/:permission')
+    .put(requirePermission('role:manage'), validate(updateRolePermissionSchema), updateRolePermission) // PUT /api/v1/roles/:role/permissions/:permission - Grant or revoke
+    .delete(requirePermission('role:manage'), validate(rolePermissionSchema), resetRolePermissionOverride); // DELETE /api/v1/roles/:role/permissions/:permission - Back to the default
+
+export default router;
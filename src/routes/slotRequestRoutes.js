@@ -4,28 +4,45 @@ import {
     listSlotRequests,
     getSlotRequestById,
     updateSlotRequest,    // User updates their PENDING request
-    cancelSlotRequest,    // User cancels their PENDING request
+    cancelSlotRequest,    // User cancels their PENDING/WAITLISTED request
     approveRequest,       // Admin approves a request
-    rejectRequest         // Admin rejects a request
+    rejectRequest,        // Admin rejects a request
+    releaseSlotRequest,   // Owner or Admin releases an APPROVED request's slot
+    listWaitlist,         // Admin views the waitlist queue
+    listAssignmentStrategies
 } from '../controllers/slotRequestController.js';
-import { protect, authorize } from '../middlewares/authMiddleware.js';
+import { protect, requirePermission, requireVerifiedEmail } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import {
+    createSlotRequestSchema,
+    listSlotRequestsSchema,
+    listWaitlistSchema,
+    slotRequestByIdSchema,
+    updateSlotRequestSchema,
+    approveRequestSchema,
+    rejectRequestSchema
+} from '../validators/slotRequestValidators.js';
 
 const router = express.Router();
 
 router.use(protect); // All slot request routes require login
 
 router.route('/')
-    .post(authorize('USER'), createSlotRequest) // POST /api/v1/slot-requests - Only users can create requests
-    .get(listSlotRequests);                     // GET /api/v1/slot-requests - Users see their own, Admins see all (paginated, searchable)
+    .post(requirePermission('request:create'), requireVerifiedEmail, validate(createSlotRequestSchema), createSlotRequest) // POST /api/v1/slot-requests - Only users with a verified email can create requests
+    .get(validate(listSlotRequestsSchema), listSlotRequests); // GET /api/v1/slot-requests - Users see their own, Admins see all (paginated, searchable)
+
+router.get('/assignment-strategies', validate(), listAssignmentStrategies); // GET /api/v1/slot-requests/assignment-strategies - Strategies that can be chosen for a request
+router.get('/waitlist', requirePermission('request:read'), validate(listWaitlistSchema), listWaitlist); // GET /api/v1/slot-requests/waitlist - Staff view waiting requests in queue order
 
 router.route('/:id')
-    .get(getSlotRequestById)                     // GET /api/v1/slot-requests/:id - User sees own, Admin sees any
-    .put(authorize('USER'), updateSlotRequest);  // PUT /api/v1/slot-requests/:id - User updates their PENDING request (e.g., change vehicle)
+    .get(validate(slotRequestByIdSchema), getSlotRequestById) // GET /api/v1/slot-requests/:id - User sees own, Admin sees any
+    .put(requirePermission('request:create'), validate(updateSlotRequestSchema), updateSlotRequest);  // PUT /api/v1/slot-requests/:id - User updates their PENDING request (e.g., change vehicle)
 
-router.patch('/:id/cancel', authorize('USER'), cancelSlotRequest); // PATCH /api/v1/slot-requests/:id/cancel - User cancels their PENDING request
+router.patch('/:id/cancel', requirePermission('request:create'), validate(slotRequestByIdSchema), cancelSlotRequest); // PATCH /api/v1/slot-requests/:id/cancel - User cancels their PENDING or WAITLISTED request
+router.patch('/:id/release', validate(slotRequestByIdSchema), releaseSlotRequest); // PATCH /api/v1/slot-requests/:id/release - Owner or staff with request:release frees the assigned slot
 
 // Admin actions for approving/rejecting requests
-router.patch('/:requestId/approve', authorize('ADMIN'), approveRequest); // PATCH /api/v1/slot-requests/:requestId/approve
-router.patch('/:requestId/reject', authorize('ADMIN'), rejectRequest);   // PATCH /api/v1/slot-requests/:requestId/reject
+router.patch('/:requestId/approve', requirePermission('request:approve'), validate(approveRequestSchema), approveRequest); // PATCH /api/v1/slot-requests/:requestId/approve
+router.patch('/:requestId/reject', requirePermission('request:approve'), validate(rejectRequestSchema), rejectRequest); // PATCH /api/v1/slot-requests/:requestId/reject
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+    createTariff,
+    listTariffs,
+    getTariffById,
+    updateTariff,
+    deleteTariff,
+    getQuote
+} from '../controllers/tariffController.js';
+import { protect, requirePermission } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import { createTariffSchema, tariffByIdSchema, updateTariffSchema, quoteSchema } from '../validators/tariffValidators.js';
+
+const router = express.Router();
+
+router.use(protect); // All tariff routes require login
+
+router.get('/quote', validate(quoteSchema), getQuote); // GET /api/v1/tariffs/quote - Estimated price for a vehicle and time window
+
+router.route('/')
+    .get(validate(), listTariffs)                  // GET /api/v1/tariffs - Users see active tariffs, staff with tariff:read see all
+    .post(requirePermission('tariff:write'), validate(createTariffSchema), createTariff); // POST /api/v1/tariffs - Create a tariff
+
+router.route('/:id')
+    .get(validate(tariffByIdSchema), getTariffById) // GET /api/v1/tariffs/:id
+    .put(requirePermission('tariff:write'), validate(updateTariffSchema), updateTariff) // PUT /api/v1/tariffs/:id - Update a tariff and its bands
+    .delete(requirePermission('tariff:write'), validate(tariffByIdSchema), deleteTariff); // DELETE /api/v1/tariffs/:id - Delete an unused tariff
+
+export default router;
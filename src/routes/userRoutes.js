@@ -2,21 +2,31 @@ import express from 'express';
 import {
     listUsers,
     deleteUser,
-    getUserById
+    getUserById,
+    updateUserRole,
+    suspendUser,
+    reactivateUser,
+    restoreUser
 } from '../controllers/userController.js';
-import { protect, authorize } from '../middlewares/authMiddleware.js';
+import { protect, requirePermission } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import { listUsersSchema, userByIdSchema, changeUserStatusSchema, updateUserRoleSchema } from '../validators/userValidators.js';
 
 const router = express.Router();
 
-// All user management routes are admin-only
+// All user management routes are for staff with the matching user:* permission
 router.use(protect);        // First, ensure the user is authenticated
-router.use(authorize('ADMIN')); // Then, ensure the user has the 'ADMIN' role
 
 router.route('/')
-    .get(listUsers); // GET /api/v1/users - List all users (paginated, searchable)
+    .get(requirePermission('user:read'), validate(listUsersSchema), listUsers); // GET /api/v1/users - List all users (paginated, searchable)
 
 router.route('/:id')
-    .get(getUserById)   // GET /api/v1/users/:id - Get a specific user by ID
-    .delete(deleteUser); // DELETE /api/v1/users/:id - Delete a user
+    .get(requirePermission('user:read'), validate(userByIdSchema), getUserById) // GET /api/v1/users/:id - Get a specific user by ID
+    .delete(requirePermission('user:delete'), validate(changeUserStatusSchema), deleteUser); // DELETE /api/v1/users/:id - Soft-delete a user
+
+router.patch('/:id/role', requirePermission('user:role'), validate(updateUserRoleSchema), updateUserRole); // PATCH /api/v1/users/:id/role - Change a user's role
+router.patch('/:id/suspend', requirePermission('user:suspend'), validate(changeUserStatusSchema), suspendUser); // PATCH /api/v1/users/:id/suspend - Sign out and block a user
+router.patch('/:id/reactivate', requirePermission('user:suspend'), validate(userByIdSchema), reactivateUser); // PATCH /api/v1/users/:id/reactivate - Lift a suspension
+router.patch('/:id/restore', requirePermission('user:delete'), validate(userByIdSchema), restoreUser); // PATCH /api/v1/users/:id/restore - Undo a deletion within the restore window
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,44 @@
+import express from 'express';
+import {
+    getVehicleClasses,
+    createVehicleType,
+    updateVehicleType,
+    deleteVehicleType,
+    createVehicleSize,
+    updateVehicleSize,
+    deleteVehicleSize,
+    addCompatibility,
+    removeCompatibility
+} from '../controllers/vehicleClassController.js';
+import { protect, requirePermission } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import {
+    createVehicleTypeSchema,
+    vehicleClassByCodeSchema,
+    updateVehicleTypeSchema,
+    createVehicleSizeSchema,
+    updateVehicleSizeSchema,
+    addCompatibilitySchema,
+    compatibilityByIdSchema
+} from '../validators/vehicleClassValidators.js';
+
+const router = express.Router();
+
+router.use(protect); // Anyone logged in can read the catalogues; changing them needs vehicle-class:write
+
+router.get('/', validate(), getVehicleClasses); // GET /api/v1/vehicle-classes - Types, sizes and the compatibility matrix
+
+router.post('/types', requirePermission('vehicle-class:write'), validate(createVehicleTypeSchema), createVehicleType); // POST /api/v1/vehicle-classes/types
+router.route('/types/:code')
+    .put(requirePermission('vehicle-class:write'), validate(updateVehicleTypeSchema), updateVehicleType) // PUT /api/v1/vehicle-classes/types/:code - Rename
+    .delete(requirePermission('vehicle-class:write'), validate(vehicleClassByCodeSchema), deleteVehicleType); // DELETE /api/v1/vehicle-classes/types/:code - Only when unused
+
+router.post('/sizes', requirePermission('vehicle-class:write'), validate(createVehicleSizeSchema), createVehicleSize); // POST /api/v1/vehicle-classes/sizes
+router.route('/sizes/:code')
+    .put(requirePermission('vehicle-class:write'), validate(updateVehicleSizeSchema), updateVehicleSize) // PUT /api/v1/vehicle-classes/sizes/:code - Rename or re-rank
+    .delete(requirePermission('vehicle-class:write'), validate(vehicleClassByCodeSchema), deleteVehicleSize); // DELETE /api/v1/vehicle-classes/sizes/:code - Only when unused
+
+router.post('/compatibility', requirePermission('vehicle-class:write'), validate(addCompatibilitySchema), addCompatibility); // POST /api/v1/vehicle-classes/compatibility
+router.delete('/compatibility/:id', requirePermission('vehicle-class:write'), validate(compatibilityByIdSchema), removeCompatibility); // DELETE /api/v1/vehicle-classes/compatibility/:id
+
+export default router;
@@ -1,16 +1,18 @@
 import express from 'express';
 import { addVehicle, listUserVehicles, getVehicleById, updateVehicle, deleteVehicle } from '../controllers/vehicleController.js'; // Assume these are created
-import { protect } from '../middlewares/authMiddleware.js';
+import { protect, requirePermission, requireVerifiedEmail } from '../middlewares/authMiddleware.js';
+import { validate } from '../middlewares/validateMiddleware.js';
+import { addVehicleSchema, listVehiclesSchema, vehicleByIdSchema, updateVehicleSchema } from '../validators/vehicleValidators.js';
 
 const router = express.Router();
 
 router.route('/')
-    .post(protect, addVehicle) // All logged-in users can add
-    .get(protect, listUserVehicles); // Users see their own vehicles
+    .post(protect, requirePermission('vehicle:create'), requireVerifiedEmail, validate(addVehicleSchema), addVehicle) // Users with a verified email can add
+    .get(protect, validate(listVehiclesSchema), listUserVehicles); // Users see their own vehicles
 
 router.route('/:id')
-    .get(protect, getVehicleById) // Logic in controller to check ownership
-    .put(protect, updateVehicle) // Logic in controller to check ownership
-    .delete(protect, deleteVehicle); // Logic in controller to check ownership
+    .get(protect, validate(vehicleByIdSchema), getVehicleById) // Logic in controller to check ownership
+    .put(protect, validate(updateVehicleSchema), updateVehicle) // Logic in controller to check ownership
+    .delete(protect, validate(vehicleByIdSchema), deleteVehicle); // Logic in controller to check ownership
 
-export default router;
\ No newline at end of file
+export default router;
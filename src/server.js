@@ -1,10 +1,28 @@
 import app from './app.js';
 import dotenv from 'dotenv';
+import { startMaintenanceScheduler } from './services/maintenanceService.js';
+import { startOutboxWorker } from './services/outboxService.js';
+import { startActionLogPruner } from './services/actionLogService.js';
+import { startInvoiceClaimSweeper } from './services/invoiceService.js';
+import { startAccountAnonymizer } from './services/accountStatusService.js';
+import { runSeeders } from './utils/seedData.js';
 
 dotenv.config(); // Ensure .env is loaded
 
 const PORT = process.env.PORT || 3000;
 
+// Creates the initial super-admin (and demo data, if enabled) when they are missing
+try {
+  await runSeeders();
+} catch (error) {
+  console.error('Seeding failed:', error);
+}
+
 app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on http://localhost:${PORT}`);
+  startMaintenanceScheduler();
+  startOutboxWorker();
+  startActionLogPruner();
+  startInvoiceClaimSweeper();
+  startAccountAnonymizer();
 });
\ No newline at end of file
@@ -0,0 +1,134 @@
+import crypto from 'node:crypto';
+import prisma from '../config/db.js';
+import { hashPassword } from '../utils/passwordUtil.js';
+import { startIntervalTask } from '../utils/intervalTask.js';
+import { logAction } from './actionLogService.js';
+import { revokeAllSessions } from './sessionService.js';
+import { releaseApprovedRequest } from './requestReleaseService.js';
+import { processWaitlistForSlot } from './waitlistService.js';
+import { publishAccountEvent, publishRequestEvent, publishSlotEvent } from './eventBus.js';
+
+export const ACCOUNT_STATUSES = ['ACTIVE', 'SUSPENDED', 'DELETED'];
+
+const ACCOUNT_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  status: true,
+  statusReason: true,
+  suspendedAt: true,
+  deletedAt: true,
+  updatedAt: true,
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const restoreWindowDays = () => parseInt(process.env.USER_RESTORE_WINDOW_DAYS, 10) || 30;
+
+// When a soft-deleted account stops being restorable; null for accounts not deleted
+export const restoreDeadline = (user) => (
+  user.deletedAt ? new Date(user.deletedAt.getTime() + restoreWindowDays() * MS_PER_DAY) : null
+);
+
+// Suspends (`status` SUSPENDED) or soft-deletes (DELETED) an account: signs it out
+// everywhere, cancels its pending and waitlisted requests and releases the slots its
+// approved ones hold. Nothing is deleted, so its history stays available for auditing.
+// Resolves to { user, sessionsRevoked, cancelledRequestIds, releasedRequestIds }.
+export const deactivateAccount = async (userId, status, reason) => {
+  const now = new Date();
+  const { user, sessionsRevoked, changedRequests, freedSlots } = await prisma.$transaction(async (tx) => {
+    const user = await tx.user.update({
+      where: { id: userId },
+      data: {
+        status,
+        statusReason: reason || null,
+        ...(status === 'SUSPENDED' ? { suspendedAt: now } : { deletedAt: now }),
+      },
+      select: ACCOUNT_SELECT,
+    });
+    const { count: sessionsRevoked } = await revokeAllSessions(userId, status === 'SUSPENDED' ? 'account_suspended' : 'account_deleted', tx);
+
+    const openRequests = await tx.slotRequest.findMany({
+      where: { userId, requestStatus: { in: ['PENDING', 'WAITLISTED', 'APPROVED'] } },
+    });
+    const changedRequests = [];
+    const freedSlots = [];
+    for (const slotRequest of openRequests) {
+      if (slotRequest.requestStatus === 'APPROVED') {
+        const released = await releaseApprovedRequest(tx, slotRequest);
+        if (!released) continue;
+        changedRequests.push(released.releasedRequest);
+        if (released.freedSlot) freedSlots.push(released.freedSlot);
+      } else {
+        changedRequests.push(await tx.slotRequest.update({
+          where: { id: slotRequest.id },
+          data: { requestStatus: 'CANCELLED', waitlistedAt: null },
+        }));
+      }
+    }
+    return { user, sessionsRevoked, changedRequests, freedSlots };
+  });
+
+  publishAccountEvent('account.deactivated', user);
+  for (const slotRequest of changedRequests) publishRequestEvent('request.updated', slotRequest);
+  for (const slot of freedSlots) publishSlotEvent('slot.updated', slot);
+  // Freed slots go to the next waiting request once this account's requests are out of the queue
+  for (const slot of freedSlots) await processWaitlistForSlot(slot.id);
+
+  return {
+    user,
+    sessionsRevoked,
+    cancelledRequestIds: changedRequests.filter((r) => r.requestStatus === 'CANCELLED').map((r) => r.id),
+    releasedRequestIds: changedRequests.filter((r) => r.requestStatus === 'COMPLETED').map((r) => r.id),
+  };
+};
+
+// Makes a suspended or soft-deleted account ACTIVE again. Cancelled and released requests
+// stay as they are.
+export const reactivateAccount = (userId) => prisma.user.update({
+  where: { id: userId },
+  data: { status: 'ACTIVE', statusReason: null, suspendedAt: null, deletedAt: null },
+  select: ACCOUNT_SELECT,
+});
+
+// Soft-deleted accounts past their restore window give up their name, email and plate
+// numbers, so the address and plates can be registered again. The user and vehicle rows
+// keep their ids, so requests, sessions, invoices and audit entries still point at them.
+// Resolves to the ids of the accounts anonymised.
+export const anonymizeExpiredAccounts = async (now = new Date()) => {
+  const deletedBefore = new Date(now.getTime() - restoreWindowDays() * MS_PER_DAY);
+  const expired = await prisma.user.findMany({
+    where: { status: 'DELETED', anonymizedAt: null, deletedAt: { lt: deletedBefore } },
+    select: { id: true },
+  });
+
+  for (const { id } of expired) {
+    // Nobody knows this password, so the account can never be logged into again
+    const password = await hashPassword(crypto.randomBytes(32).toString('base64url'));
+    await prisma.$transaction(async (tx) => {
+      const vehicles = await tx.vehicle.findMany({ where: { userId: id }, select: { id: true } });
+      for (const vehicle of vehicles) {
+        await tx.vehicle.update({ where: { id: vehicle.id }, data: { plateNumber: `deleted-${vehicle.id}` } });
+      }
+      await tx.passwordResetToken.deleteMany({ where: { userId: id } });
+      await tx.emailVerificationToken.deleteMany({ where: { userId: id } });
+      await tx.user.update({
+        where: { id },
+        data: { name: 'Deleted user', email: `deleted-${id}@invalid`, password, anonymizedAt: now },
+      });
+    });
+  }
+  return expired.map((user) => user.id);
+};
+
+// Runs anonymizeExpiredAccounts every USER_ANONYMIZE_INTERVAL_MINUTES (default daily; 0 disables)
+export const startAccountAnonymizer = () => startIntervalTask(
+  'Deleted account anonymization',
+  parseInt(process.env.USER_ANONYMIZE_INTERVAL_MINUTES || '1440', 10) * 60 * 1000,
+  async () => {
+    for (const userId of await anonymizeExpiredAccounts()) {
+      await logAction('USER_ANONYMIZED', null, { userId, via: 'schedule' });
+    }
+  },
+);
@@ -1,4 +1,5 @@
 import prisma from '../config/db.js';
+import { startIntervalTask } from '../utils/intervalTask.js';
 
 export const logAction = async (action, userId = null, details = null) => {
   try {
@@ -13,4 +14,97 @@ export const logAction = async (action, userId = null, details = null) => {
     console.error('Failed to log action:', error);
     // Decide if this error should propagate or be silently handled
   }
-};
\ No newline at end of file
+};
+
+// Which `details` keys hold the ID of each kind of entity. Request IDs appear as both
+// requestId and slotRequestId; sessionId is used for parking and login sessions alike
+// (IDs are unique across tables, so one ID only ever matches its own entity).
+export const AUDIT_ENTITY_KEYS = {
+  user: ['userId', 'deletedUserId'],
+  vehicle: ['vehicleId', 'newVehicleId'],
+  slot: ['slotId'],
+  request: ['requestId', 'slotRequestId'],
+  session: ['sessionId'],
+  invoice: ['invoiceId'],
+  facility: ['facilityId'],
+  level: ['levelId'],
+  zone: ['zoneId'],
+  tariff: ['tariffId'],
+  'approval-rule': ['ruleId'],
+  'maintenance-window': ['maintenanceWindowId'],
+  outbox: ['outboxId'],
+};
+
+// Entries mentioning the entity in `details`; a user's entries also include what they did
+export const auditEntityWhere = (type, id) => ({
+  OR: [
+    ...AUDIT_ENTITY_KEYS[type].map((key) => ({ details: { path: `$.${key}`, equals: id } })),
+    ...(type === 'user' ? [{ userId: id }] : []),
+  ],
+});
+
+// Prisma filter for the audit API. `actions` is a list of action names, `userId` the user
+// who acted, `from`/`to` a timestamp range and `entities` a list of { type, id } that
+// must all be mentioned.
+export const auditWhere = ({ actions, userId, from, to, entities = [] }) => ({
+  ...(actions?.length && { action: { in: actions } }),
+  ...(userId && { userId }),
+  ...((from || to) && { timestamp: { ...(from && { gte: from }), ...(to && { lte: to }) } }),
+  ...(entities.length && { AND: entities.map(({ type, id }) => auditEntityWhere(type, id)) }),
+});
+
+// One page of entries, newest first unless `order` is 'asc'. `cursor` is the nextCursor of
+// the previous page. Resolves to { data, nextCursor }, nextCursor being null on the last page.
+export const findActionLogs = async (where, { cursor, limit, order = 'desc' }) => {
+  const entries = await prisma.actionLog.findMany({
+    where,
+    orderBy: [{ timestamp: order }, { id: order }],
+    ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    take: limit + 1,
+    include: { user: { select: { id: true, name: true, email: true } } },
+  });
+  const hasMore = entries.length > limit;
+  const data = hasMore ? entries.slice(0, limit) : entries;
+  return { data, nextCursor: hasMore ? data[data.length - 1].id : null };
+};
+
+// Calls `onBatch` with every matching entry, oldest first, `batchSize` at a time so
+// exports of any size stay within memory. `onBatch` returning false stops early.
+export const forEachActionLogBatch = async (where, onBatch, batchSize = 500) => {
+  let cursor = null;
+  do {
+    const page = await findActionLogs(where, { cursor, limit: batchSize, order: 'asc' });
+    if ((await onBatch(page.data)) === false) return;
+    cursor = page.nextCursor;
+  } while (cursor);
+};
+
+// AUDIT_VIEW_RETENTION_DAYS (default 90; 0 keeps them forever) says how long *_VIEWED
+// entries are kept. Every other action is kept for good.
+export const auditRetentionSettings = () => ({
+  viewRetentionDays: parseInt(process.env.AUDIT_VIEW_RETENTION_DAYS || '90', 10),
+  pruneIntervalMinutes: parseInt(process.env.AUDIT_PRUNE_INTERVAL_MINUTES || '1440', 10),
+});
+
+// Deletes view entries older than the retention period. Resolves to { deleted, before },
+// `before` being null when view entries are kept forever.
+export const pruneActionLogs = async (now = new Date()) => {
+  const { viewRetentionDays } = auditRetentionSettings();
+  if (!(viewRetentionDays > 0)) return { deleted: 0, before: null };
+
+  const before = new Date(now.getTime() - viewRetentionDays * 24 * 60 * 60 * 1000);
+  const { count } = await prisma.actionLog.deleteMany({
+    where: { action: { endsWith: '_VIEWED' }, timestamp: { lt: before } },
+  });
+  return { deleted: count, before };
+};
+
+// Runs pruneActionLogs every AUDIT_PRUNE_INTERVAL_MINUTES (default daily; 0 disables)
+export const startActionLogPruner = () => startIntervalTask(
+  'Audit log pruning',
+  auditRetentionSettings().pruneIntervalMinutes * 60 * 1000,
+  async () => {
+    const { deleted, before } = await pruneActionLogs();
+    if (deleted > 0) await logAction('AUDIT_LOGS_PRUNED', null, { deleted, before, via: 'schedule' });
+  },
+);
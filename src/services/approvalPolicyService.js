@@ -0,0 +1,188 @@
+import prisma from '../config/db.js';
+import { logAction } from './actionLogService.js';
+import { overlapsWindow } from './reservationService.js';
+import { allocateSlot } from './slotAllocationService.js';
+import { addToWaitlist, getWaitlistPosition } from './waitlistService.js';
+import { notifyRequestApproved, notifyRequestRejected } from './notificationService.js';
+import { publishRequestEvent } from './eventBus.js';
+
+// Supported ApprovalRule.conditions keys. Every key present must match for the rule to fire.
+//   vehicleTypes:         ["car", "motorcycle"]   vehicle.vehicleType is one of these
+//   vehicleSizes:         ["small"]               vehicle.size is one of these
+//   userRoles:            ["USER"]                requesting user's role is one of these
+//   minCompletedRequests: 3                       user has at least this many COMPLETED requests
+//   maxRejectedRequests:  0                       user has at most this many REJECTED requests
+//   minOccupancyPercent:  0-100                   share of slots currently held is at least this
+//   maxOccupancyPercent:  0-100                   share of slots currently held is at most this
+//   timeOfDay:            { startHour, endHour }  request made in this hour range (wraps past midnight)
+//   daysOfWeek:           [1, 2, 3, 4, 5]         request made on these days (0 = Sunday)
+const LIST_KEYS = ['vehicleTypes', 'vehicleSizes', 'userRoles'];
+const COUNT_KEYS = ['minCompletedRequests', 'maxRejectedRequests'];
+const PERCENT_KEYS = ['minOccupancyPercent', 'maxOccupancyPercent'];
+const KNOWN_KEYS = [...LIST_KEYS, ...COUNT_KEYS, ...PERCENT_KEYS, 'timeOfDay', 'daysOfWeek'];
+
+// Returns the first problem with a conditions object, or null when it is usable
+export const validateConditions = (conditions) => {
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    return 'Conditions must be an object.';
+  }
+  const unknown = Object.keys(conditions).filter((key) => !KNOWN_KEYS.includes(key));
+  if (unknown.length > 0) return `Unknown condition(s): ${unknown.join(', ')}.`;
+
+  for (const key of LIST_KEYS) {
+    if (conditions[key] !== undefined && (!Array.isArray(conditions[key]) || !conditions[key].every((v) => typeof v === 'string'))) {
+      return `${key} must be an array of strings.`;
+    }
+  }
+  for (const key of COUNT_KEYS) {
+    if (conditions[key] !== undefined && !(Number.isInteger(conditions[key]) && conditions[key] >= 0)) {
+      return `${key} must be a non-negative integer.`;
+    }
+  }
+  for (const key of PERCENT_KEYS) {
+    if (conditions[key] !== undefined && !(typeof conditions[key] === 'number' && conditions[key] >= 0 && conditions[key] <= 100)) {
+      return `${key} must be a number between 0 and 100.`;
+    }
+  }
+  if (conditions.timeOfDay !== undefined) {
+    const { startHour, endHour } = conditions.timeOfDay || {};
+    if (!Number.isInteger(startHour) || !Number.isInteger(endHour) || startHour < 0 || startHour > 23 || endHour < 1 || endHour > 24 || startHour === endHour) {
+      return 'timeOfDay needs integer startHour (0-23) and endHour (1-24) that differ.';
+    }
+  }
+  if (conditions.daysOfWeek !== undefined && (!Array.isArray(conditions.daysOfWeek) || !conditions.daysOfWeek.every((d) => Number.isInteger(d) && d >= 0 && d <= 6))) {
+    return 'daysOfWeek must be an array of integers from 0 (Sunday) to 6.';
+  }
+  return null;
+};
+
+const inHourRange = ({ startHour, endHour }, hour) => (
+  startHour < endHour ? hour >= startHour && hour < endHour : hour >= startHour || hour < endHour
+);
+
+// Facts about the request are loaded lazily and at most once per evaluation
+const buildContext = (slotRequest, user, now) => {
+  const cache = {};
+  const once = (key, load) => {
+    if (!(key in cache)) cache[key] = load();
+    return cache[key];
+  };
+
+  return {
+    vehicle: slotRequest.vehicle,
+    user,
+    now,
+    completedRequests: () => once('completed', () => prisma.slotRequest.count({ where: { userId: user.id, requestStatus: 'COMPLETED' } })),
+    rejectedRequests: () => once('rejected', () => prisma.slotRequest.count({ where: { userId: user.id, requestStatus: 'REJECTED' } })),
+    occupancyPercent: () => once('occupancy', async () => {
+      const total = await prisma.parkingSlot.count();
+      if (total === 0) return 100;
+      const held = await prisma.parkingSlot.count({
+        where: {
+          OR: [
+            { status: { not: 'AVAILABLE' } },
+            { slotRequests: { some: { requestStatus: 'APPROVED', ...overlapsWindow(now, new Date(now.getTime() + 1)) } } },
+          ],
+        },
+      });
+      return (held / total) * 100;
+    }),
+  };
+};
+
+const matches = async (conditions, ctx) => {
+  const lower = (values) => values.map((v) => v.toLowerCase());
+
+  if (conditions.vehicleTypes && !lower(conditions.vehicleTypes).includes(ctx.vehicle.vehicleType.toLowerCase())) return false;
+  if (conditions.vehicleSizes && !lower(conditions.vehicleSizes).includes(ctx.vehicle.size.toLowerCase())) return false;
+  if (conditions.userRoles && !conditions.userRoles.includes(ctx.user.role)) return false;
+  if (conditions.timeOfDay && !inHourRange(conditions.timeOfDay, ctx.now.getHours())) return false;
+  if (conditions.daysOfWeek && !conditions.daysOfWeek.includes(ctx.now.getDay())) return false;
+  if (conditions.minCompletedRequests !== undefined && await ctx.completedRequests() < conditions.minCompletedRequests) return false;
+  if (conditions.maxRejectedRequests !== undefined && await ctx.rejectedRequests() > conditions.maxRejectedRequests) return false;
+  if (conditions.minOccupancyPercent !== undefined && await ctx.occupancyPercent() < conditions.minOccupancyPercent) return false;
+  if (conditions.maxOccupancyPercent !== undefined && await ctx.occupancyPercent() > conditions.maxOccupancyPercent) return false;
+  return true;
+};
+
+// Decides what happens to a newly created request. `slotRequest` must include its vehicle.
+// Returns { decision, rule }, where rule is null when no active rule matched (manual review).
+export const evaluateRequest = async (slotRequest, user, now = new Date()) => {
+  const rules = await prisma.approvalRule.findMany({
+    where: { isActive: true },
+    orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }],
+  });
+
+  const ctx = buildContext(slotRequest, user, now);
+  for (const rule of rules) {
+    if (await matches(rule.conditions || {}, ctx)) {
+      return { decision: rule.decision, rule };
+    }
+  }
+  return { decision: 'MANUAL_REVIEW', rule: null };
+};
+
+// Runs the policy on a freshly created PENDING request and carries out its decision.
+// `slotRequest` must include `vehicle` and `user`. Returns the request as it now stands,
+// the decision taken, the rule that fired and a short summary for the API response, plus
+// the assignment strategy and reason when a slot was allocated.
+export const applyApprovalPolicy = async (slotRequest) => {
+  const { decision, rule } = await evaluateRequest(slotRequest, slotRequest.user);
+  const { vehicle, user, ...plainRequest } = slotRequest;
+  if (!rule) {
+    return { request: plainRequest, decision, rule: null, summary: 'Awaiting admin approval.' };
+  }
+
+  const ruleDetails = { requestId: slotRequest.id, vehicleId: slotRequest.vehicleId, ruleId: rule.id, ruleName: rule.name, decision };
+
+  if (decision === 'AUTO_REJECT') {
+    const reason = rule.description || `Automatically rejected by policy "${rule.name}".`;
+    const rejected = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.slotRequest.updateMany({
+        where: { id: slotRequest.id, requestStatus: 'PENDING' },
+        data: { requestStatus: 'REJECTED' },
+      });
+      if (count > 0) await notifyRequestRejected(slotRequest, reason, tx);
+      return tx.slotRequest.findUnique({ where: { id: slotRequest.id } });
+    });
+    await logAction('SLOT_REQUEST_AUTO_REJECTED', null, ruleDetails);
+    publishRequestEvent('request.updated', rejected);
+    return { request: rejected, decision, rule, summary: reason };
+  }
+
+  if (decision === 'AUTO_APPROVE') {
+    const allocation = await allocateSlot(slotRequest, {
+      fromStatuses: ['PENDING'],
+      onAssigned: (tx, slot) => notifyRequestApproved(slotRequest, slot, tx),
+    });
+    if (allocation.status === 'ASSIGNED') {
+      const assignment = { strategy: allocation.strategy, reason: allocation.reason };
+      await logAction('SLOT_REQUEST_AUTO_APPROVED', null, { ...ruleDetails, slotId: allocation.slot.id, ...assignment });
+      return {
+        request: allocation.request,
+        decision,
+        rule,
+        assignment,
+        summary: `Approved automatically. Slot ${allocation.slot.slotNumber} assigned.`,
+      };
+    }
+
+    const waitlisted = allocation.status === 'NO_SLOT' ? await addToWaitlist(slotRequest) : null;
+    if (!waitlisted) {
+      // The request changed under us (e.g. cancelled straight away); report it as it now stands
+      const current = await prisma.slotRequest.findUnique({ where: { id: slotRequest.id } });
+      return { request: current, decision, rule, summary: 'Request changed while it was being approved.' };
+    }
+    const waitlistPosition = await getWaitlistPosition({ ...waitlisted, vehicle });
+    await logAction('SLOT_REQUEST_AUTO_APPROVED', null, { ...ruleDetails, waitlisted: true, position: waitlistPosition });
+    return {
+      request: { ...waitlisted, waitlistPosition },
+      decision,
+      rule,
+      summary: `Approved automatically, but no compatible slot is free. Waitlisted at position ${waitlistPosition}.`,
+    };
+  }
+
+  await logAction('SLOT_REQUEST_HELD_FOR_REVIEW', null, ruleDetails);
+  return { request: plainRequest, decision, rule, summary: 'Held for manual review by an admin.' };
+};
@@ -0,0 +1,120 @@
+import prisma from '../config/db.js';
+import { ANY_VEHICLE_TYPE, listSizeCodesFrom } from './vehicleClassService.js';
+
+// How many candidate slots a strategy hands to the allocator
+const CANDIDATE_LIMIT = 10;
+
+const findCandidates = (where, orderBy = { createdAt: 'asc' }) => prisma.parkingSlot.findMany({
+  where,
+  orderBy,
+  take: CANDIDATE_LIMIT,
+});
+
+// Each strategy receives the request (with its vehicle) and a Prisma filter for slots
+// that are free for the request's window and whose class the compatibility matrix lets
+// the vehicle use, and resolves to an ordered list of { slot, reason } candidates.
+// The allocator takes the first one it can lock.
+const strategies = {
+  'oldest-first': {
+    description: 'Oldest compatible slot.',
+    candidates: async (slotRequest, available) => {
+      const { vehicle } = slotRequest;
+      const slots = await findCandidates(available);
+      return slots.map((slot) => ({ slot, reason: `Oldest available slot that takes a ${vehicle.size} ${vehicle.vehicleType}.` }));
+    },
+  },
+
+  'best-fit': {
+    description: 'Exact size when possible, otherwise the next larger compatible size that is free (sizes ordered by catalogue rank).',
+    candidates: async (slotRequest, available) => {
+      const { vehicle } = slotRequest;
+      const sizes = await listSizeCodesFrom(vehicle.size);
+
+      const result = [];
+      for (const size of sizes) {
+        const slots = await findCandidates({ ...available, size });
+        for (const slot of slots) {
+          result.push({
+            slot,
+            reason: size === vehicle.size
+              ? `Exact size match (${size}).`
+              : `No ${vehicle.size} slot free; ${size} is the smallest free size that fits.`,
+          });
+        }
+        if (result.length >= CANDIDATE_LIMIT) break;
+      }
+      return result;
+    },
+  },
+
+  'zone-preference': {
+    description: "Slots in the request's preferred zone, then its preferred level, then matching its preferred location, then anywhere compatible.",
+    candidates: async (slotRequest, available) => {
+      const { preferredZoneId, preferredLevelId, preferredLocation } = slotRequest;
+
+      const tiers = [];
+      if (preferredZoneId) tiers.push({ where: { zoneId: preferredZoneId }, reason: 'In the preferred zone.' });
+      if (preferredLevelId) tiers.push({ where: { levelId: preferredLevelId }, reason: 'On the preferred level.' });
+      if (preferredLocation) {
+        tiers.push({ where: { location: { contains: preferredLocation } }, reason: `In the preferred location "${preferredLocation}".` });
+      }
+      const fallbackReason = tiers.length > 0
+        ? 'Nothing free in the preferred area; oldest compatible slot elsewhere.'
+        : 'No preference given; oldest compatible slot.';
+      tiers.push({ where: {}, reason: fallbackReason });
+
+      // The allocator skips slots already offered by an earlier tier
+      const result = [];
+      for (const tier of tiers) {
+        const slots = await findCandidates({ ...available, ...tier.where });
+        result.push(...slots.map((slot) => ({ slot, reason: tier.reason })));
+      }
+      return result;
+    },
+  },
+
+  'least-recently-used': {
+    description: 'The compatible slot that has gone longest without being assigned, to spread wear.',
+    candidates: async (slotRequest, available) => {
+      const slots = await findCandidates(
+        available,
+        [{ lastAssignedAt: 'asc' }, { createdAt: 'asc' }], // Never-assigned (NULL) slots sort first
+      );
+      return slots.map((slot) => ({
+        slot,
+        reason: slot.lastAssignedAt
+          ? `Least recently used compatible slot (last assigned ${slot.lastAssignedAt.toISOString()}).`
+          : 'Compatible slot that has never been assigned.',
+      }));
+    },
+  },
+
+  'reserve-any': {
+    description: 'Slots dedicated to a vehicle type first; "any" slots are kept in reserve until those run out.',
+    candidates: async (slotRequest, available) => {
+      const { vehicle } = slotRequest;
+      const dedicated = await findCandidates({ ...available, NOT: { vehicleType: ANY_VEHICLE_TYPE } });
+      const shared = await findCandidates({ ...available, vehicleType: ANY_VEHICLE_TYPE });
+      return [
+        ...dedicated.map((slot) => ({ slot, reason: `Dedicated ${vehicle.vehicleType} slot; "any" slots kept in reserve.` })),
+        ...shared.map((slot) => ({ slot, reason: `No dedicated ${vehicle.vehicleType} slot free; using a reserve "any" slot.` })),
+      ];
+    },
+  },
+};
+
+export const getDefaultStrategyName = () => process.env.SLOT_ASSIGNMENT_STRATEGY || 'oldest-first';
+
+export const isKnownStrategy = (name) => Object.prototype.hasOwnProperty.call(strategies, name);
+
+// Unknown or missing names fall back to the deployment default
+export const getStrategy = (name) => {
+  const resolved = isKnownStrategy(name) ? name : getDefaultStrategyName();
+  return { name: resolved, ...(strategies[resolved] || strategies['oldest-first']) };
+};
+
+export const listStrategies = () => Object.entries(strategies).map(([name, { description }]) => ({
+  name,
+  description,
+  isDefault: name === getDefaultStrategyName(),
+}));
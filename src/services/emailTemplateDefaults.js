@@ -0,0 +1,230 @@
+// Built-in email templates. Each one lists the variables it is rendered with, sample values
+// for previews, and its content per locale. Admins can override any locale (or add new
+// ones) through /api/v1/email-templates; the text here is used wherever they have not.
+//
+// Syntax: {{name}} inserts a variable (HTML-escaped in `html`), and
+// {{#name}}...{{/name}} keeps its contents only when `name` is non-empty. Sections cannot
+// be nested.
+
+const signOff = {
+  html: '<p>Thank you.</p>',
+  text: 'Thank you.',
+};
+
+export const DEFAULT_TEMPLATES = {
+  'request-approved': {
+    description: 'Sent when a slot request is approved, by an admin or an approval rule.',
+    variables: ['userName', 'plateNumber', 'slotNumber', 'slotLocation'],
+    sample: { userName: 'Jane Doe', plateNumber: 'RAB123A', slotNumber: 'A-12', slotLocation: 'Level 1, Zone A' },
+    locales: {
+      en: {
+        subject: 'Parking Slot Approved!',
+        html: `<h1>Parking Slot Approved</h1>
+<p>Dear {{userName}},</p>
+<p>Your parking slot request for vehicle <strong>{{plateNumber}}</strong> has been approved.</p>
+<p><strong>Slot:</strong> {{slotNumber}} ({{slotLocation}})</p>
+${signOff.html}`,
+        text: `Dear {{userName}},
+
+Your parking slot request for vehicle {{plateNumber}} has been approved.
+Slot: {{slotNumber}} ({{slotLocation}})
+
+${signOff.text}`,
+      },
+    },
+  },
+
+  'request-rejected': {
+    description: 'Sent when a slot request is rejected, by an admin or an approval rule.',
+    variables: ['userName', 'plateNumber', 'rejectionReason'],
+    sample: { userName: 'Jane Doe', plateNumber: 'RAB123A', rejectionReason: 'No permit on file for this vehicle.' },
+    locales: {
+      en: {
+        subject: 'Parking Slot Request Rejected',
+        html: `<h1>Parking Slot Request Rejected</h1>
+<p>Dear {{userName}},</p>
+<p>We regret to inform you that your parking slot request for vehicle <strong>{{plateNumber}}</strong> has been rejected.</p>
+{{#rejectionReason}}<p><strong>Reason:</strong> {{rejectionReason}}</p>{{/rejectionReason}}
+<p>Please contact support if you have any questions.</p>
+${signOff.html}`,
+        text: `Dear {{userName}},
+
+We regret to inform you that your parking slot request for vehicle {{plateNumber}} has been rejected.
+{{#rejectionReason}}Reason: {{rejectionReason}}
+{{/rejectionReason}}
+Please contact support if you have any questions.
+
+${signOff.text}`,
+      },
+    },
+  },
+
+  'waitlist-assigned': {
+    description: 'Sent when a waitlisted request gets a slot that has freed up.',
+    variables: ['userName', 'plateNumber', 'slotNumber', 'slotLocation'],
+    sample: { userName: 'Jane Doe', plateNumber: 'RAB123A', slotNumber: 'B-04', slotLocation: 'Level 2, Zone B' },
+    locales: {
+      en: {
+        subject: 'Parking Slot Assigned from Waitlist',
+        html: `<h1>Parking Slot Assigned</h1>
+<p>Dear {{userName}},</p>
+<p>Good news! A slot has become available and has been assigned to your vehicle <strong>{{plateNumber}}</strong>.</p>
+<p><strong>Slot:</strong> {{slotNumber}} ({{slotLocation}})</p>
+${signOff.html}`,
+        text: `Dear {{userName}},
+
+Good news! A slot has become available and has been assigned to your vehicle {{plateNumber}}.
+Slot: {{slotNumber}} ({{slotLocation}})
+
+${signOff.text}`,
+      },
+    },
+  },
+
+  'maintenance-reassigned': {
+    description: 'Sent when maintenance on a slot moves an approved request to another slot.',
+    variables: ['userName', 'plateNumber', 'oldSlotNumber', 'period', 'reason', 'newSlotNumber', 'newSlotLocation'],
+    sample: {
+      userName: 'Jane Doe',
+      plateNumber: 'RAB123A',
+      oldSlotNumber: 'A-12',
+      period: '2026-11-02T08:00:00.000Z to 2026-11-02T17:00:00.000Z',
+      reason: 'Resurfacing',
+      newSlotNumber: 'A-15',
+      newSlotLocation: 'Level 1, Zone A',
+    },
+    locales: {
+      en: {
+        subject: 'Your Parking Slot Has Changed',
+        html: `<h1>Parking Slot Changed</h1>
+<p>Dear {{userName}},</p>
+<p>Slot {{oldSlotNumber}} will be under maintenance from {{period}} ({{reason}}).</p>
+<p>Your vehicle <strong>{{plateNumber}}</strong> has been moved to a new slot.</p>
+<p><strong>New slot:</strong> {{newSlotNumber}} ({{newSlotLocation}})</p>
+${signOff.html}`,
+        text: `Dear {{userName}},
+
+Slot {{oldSlotNumber}} will be under maintenance from {{period}} ({{reason}}).
+Your vehicle {{plateNumber}} has been moved to a new slot.
+New slot: {{newSlotNumber}} ({{newSlotLocation}})
+
+${signOff.text}`,
+      },
+    },
+  },
+
+  'maintenance-notice': {
+    description: 'Sent when maintenance affects an approved request that could not be moved.',
+    variables: ['userName', 'plateNumber', 'slotNumber', 'period', 'reason'],
+    sample: {
+      userName: 'Jane Doe',
+      plateNumber: 'RAB123A',
+      slotNumber: 'A-12',
+      period: '2026-11-02T08:00:00.000Z until further notice',
+      reason: 'Barrier repair',
+    },
+    locales: {
+      en: {
+        subject: 'Upcoming Maintenance on Your Parking Slot',
+        html: `<h1>Parking Slot Maintenance</h1>
+<p>Dear {{userName}},</p>
+<p>Slot {{slotNumber}}, assigned to your vehicle <strong>{{plateNumber}}</strong>, will be under maintenance from {{period}} ({{reason}}).</p>
+<p>No other compatible slot is free for that time. Please move your vehicle before the maintenance starts, or contact support to arrange an alternative.</p>
+${signOff.html}`,
+        text: `Dear {{userName}},
+
+Slot {{slotNumber}}, assigned to your vehicle {{plateNumber}}, will be under maintenance from {{period}} ({{reason}}).
+No other compatible slot is free for that time. Please move your vehicle before the maintenance starts, or contact support to arrange an alternative.
+
+${signOff.text}`,
+      },
+    },
+  },
+
+  'password-reset': {
+    description: 'Sent when someone asks to reset the password of an account. Sent straight away rather than through the outbox, so the token is never stored.',
+    variables: ['userName', 'resetUrl', 'resetToken', 'expiresInMinutes'],
+    sample: {
+      userName: 'Jane Doe',
+      resetUrl: 'https://parking.example.com/reset-password?token=3f9a0c7e',
+      resetToken: '3f9a0c7e',
+      expiresInMinutes: 30,
+    },
+    locales: {
+      en: {
+        subject: 'Reset Your Password',
+        html: `<h1>Reset Your Password</h1>
+<p>Dear {{userName}},</p>
+<p>We received a request to reset the password for your account.</p>
+{{#resetUrl}}<p><a href="{{resetUrl}}">Choose a new password</a></p>{{/resetUrl}}
+<p>Your reset code is <strong>{{resetToken}}</strong>. It can be used once and expires in {{expiresInMinutes}} minutes.</p>
+<p>If you did not ask for this, you can ignore this email; your password will not change.</p>
+${signOff.html}`,
+        text: `Dear {{userName}},
+
+We received a request to reset the password for your account.
+{{#resetUrl}}Choose a new password: {{resetUrl}}
+{{/resetUrl}}
+Your reset code is {{resetToken}}. It can be used once and expires in {{expiresInMinutes}} minutes.
+If you did not ask for this, you can ignore this email; your password will not change.
+
+${signOff.text}`,
+      },
+    },
+  },
+
+  'email-verification': {
+    description: 'Sent after registering, and after changing the email address, to confirm the address. Sent straight away rather than through the outbox, so the token is never stored.',
+    variables: ['userName', 'email', 'verifyUrl', 'verificationToken', 'expiresInHours'],
+    sample: {
+      userName: 'Jane Doe',
+      email: 'jane@example.com',
+      verifyUrl: 'https://parking.example.com/verify-email?token=8b1d42aa',
+      verificationToken: '8b1d42aa',
+      expiresInHours: 48,
+    },
+    locales: {
+      en: {
+        subject: 'Confirm Your Email Address',
+        html: `<h1>Confirm Your Email Address</h1>
+<p>Dear {{userName}},</p>
+<p>Please confirm that <strong>{{email}}</strong> is your email address. You can add vehicles and request parking slots once it is confirmed.</p>
+{{#verifyUrl}}<p><a href="{{verifyUrl}}">Confirm my email address</a></p>{{/verifyUrl}}
+<p>Your confirmation code is <strong>{{verificationToken}}</strong>. It expires in {{expiresInHours}} hours.</p>
+<p>If you did not create an account, you can ignore this email.</p>
+${signOff.html}`,
+        text: `Dear {{userName}},
+
+Please confirm that {{email}} is your email address. You can add vehicles and request parking slots once it is confirmed.
+{{#verifyUrl}}Confirm it here: {{verifyUrl}}
+{{/verifyUrl}}
+Your confirmation code is {{verificationToken}}. It expires in {{expiresInHours}} hours.
+If you did not create an account, you can ignore this email.
+
+${signOff.text}`,
+      },
+    },
+  },
+
+  'account-locked': {
+    description: 'Sent when too many failed logins lock an account for a while.',
+    variables: ['userName', 'failedAttempts', 'lockedUntil', 'lockoutMinutes'],
+    sample: { userName: 'Jane Doe', failedAttempts: 5, lockedUntil: '2026-11-02T08:15:00.000Z', lockoutMinutes: 15 },
+    locales: {
+      en: {
+        subject: 'Your Account Has Been Temporarily Locked',
+        html: `<h1>Account Temporarily Locked</h1>
+<p>Dear {{userName}},</p>
+<p>There were {{failedAttempts}} failed attempts to log in to your account, so logging in is blocked for {{lockoutMinutes}} minutes (until {{lockedUntil}}).</p>
+<p>If this was you, you can try again after that time or reset your password. If it was not you, we recommend resetting your password now.</p>
+${signOff.html}`,
+        text: `Dear {{userName}},
+
+There were {{failedAttempts}} failed attempts to log in to your account, so logging in is blocked for {{lockoutMinutes}} minutes (until {{lockedUntil}}).
+If this was you, you can try again after that time or reset your password. If it was not you, we recommend resetting your password now.
+
+${signOff.text}`,
+      },
+    },
+  },
+};
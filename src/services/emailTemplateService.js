@@ -0,0 +1,63 @@
+import prisma from '../config/db.js';
+import { DEFAULT_TEMPLATES } from './emailTemplateDefaults.js';
+import { renderTemplateString } from './emailTemplateSyntax.js';
+
+export { renderTemplateString, findTemplateProblems } from './emailTemplateSyntax.js';
+
+export const getDefaultLocale = () => process.env.EMAIL_DEFAULT_LOCALE || 'en';
+
+// Canonical BCP 47 form ("en-us" -> "en-US"), or null if `locale` is not a valid tag
+export const normalizeLocale = (locale) => {
+  if (!locale || typeof locale !== 'string') return null;
+  try {
+    return Intl.getCanonicalLocales(locale)[0];
+  } catch {
+    return null;
+  }
+};
+
+// Locales to try for a recipient, most specific first: "fr-CA", then "fr", then the default
+const localeFallbacks = (locale) => {
+  const requested = normalizeLocale(locale);
+  const candidates = requested ? [requested, requested.split('-')[0]] : [];
+  return [...new Set([...candidates, getDefaultLocale()])];
+};
+
+export const isKnownTemplate = (name) => Object.prototype.hasOwnProperty.call(DEFAULT_TEMPLATES, name);
+
+// The content used for `name` in `locale` and where it comes from. An admin override in
+// that exact locale wins over the built-in text; null if neither exists.
+export const getTemplateContent = async (name, locale) => {
+  const override = await prisma.emailTemplate.findUnique({ where: { name_locale: { name, locale } } });
+  if (override) {
+    return { locale, source: 'custom', subject: override.subject, html: override.html, text: override.text, updatedAt: override.updatedAt };
+  }
+  const builtIn = DEFAULT_TEMPLATES[name]?.locales[locale];
+  return builtIn ? { locale, source: 'default', ...builtIn } : null;
+};
+
+// Content for the best locale available for a recipient, falling back from region to
+// language to the default locale
+const resolveTemplateContent = async (name, locale) => {
+  for (const candidate of localeFallbacks(locale)) {
+    const content = await getTemplateContent(name, candidate);
+    if (content) return content;
+  }
+  // Built-in templates always have English text
+  return { locale: 'en', source: 'default', ...DEFAULT_TEMPLATES[name].locales.en };
+};
+
+// Renders a built-in template for a recipient. `content` overrides the stored subject,
+// html and/or text, so unsaved edits can be previewed.
+// Resolves to { locale, subject, html, text }.
+export const renderEmail = async (name, locale, variables, content = {}) => {
+  if (!isKnownTemplate(name)) throw new Error(`Unknown email template "${name}".`);
+  const stored = await resolveTemplateContent(name, locale);
+  const source = { ...stored, ...content };
+  return {
+    locale: stored.locale,
+    subject: renderTemplateString(source.subject, variables).replace(/\s+/g, ' ').trim(),
+    html: renderTemplateString(source.html, variables, { html: true }),
+    text: renderTemplateString(source.text, variables),
+  };
+};
@@ -0,0 +1,43 @@
+// Template syntax shared by rendering and validation (see emailTemplateDefaults.js). Kept
+// apart from the database-backed template store so it can be used and tested on its own.
+import { DEFAULT_TEMPLATES } from './emailTemplateDefaults.js';
+
+const SECTION_PATTERN = /\{\{\s*#\s*(\w+)\s*\}\}([\s\S]*?)\{\{\s*\/\s*\1\s*\}\}/g;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+// Same spacing rules as SECTION_PATTERN, so validation accepts exactly what rendering handles
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*(\w*)\s*\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => value.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+export const renderTemplateString = (source, variables, { html = false } = {}) => source
+  .replace(SECTION_PATTERN, (match, name, body) => (variables[name] ? body : ''))
+  .replace(VARIABLE_PATTERN, (match, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) return '';
+    return html ? escapeHtml(String(value)) : String(value);
+  });
+
+// Problems with admin-supplied template text: unknown variables, nested sections (rendering
+// only resolves one level) and unbalanced sections. Returns a list of messages; empty means the text is fine.
+export const findTemplateProblems = (name, { subject, html, text }) => {
+  const allowed = new Set(DEFAULT_TEMPLATES[name].variables);
+  const problems = [];
+  for (const [part, source] of Object.entries({ subject, html, text })) {
+    const open = [];
+    for (const [, marker, variable] of source.matchAll(TAG_PATTERN)) {
+      if (!allowed.has(variable)) {
+        problems.push(`${part}: unknown variable "${variable}". Available: ${[...allowed].join(', ')}.`);
+      } else if (marker === '#') {
+        if (open.length > 0) {
+          problems.push(`${part}: {{#${variable}}} is inside {{#${open[open.length - 1]}}}; sections cannot be nested.`);
+        }
+        open.push(variable);
+      } else if (marker === '/' && open.pop() !== variable) {
+        problems.push(`${part}: {{/${variable}}} does not close the section opened before it.`);
+      }
+    }
+    for (const variable of open) problems.push(`${part}: {{#${variable}}} is never closed.`);
+  }
+  return problems;
+};
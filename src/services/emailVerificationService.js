@@ -0,0 +1,91 @@
+import prisma from '../config/db.js';
+import { sendEmail } from '../config/mailer.js';
+import { logAction } from './actionLogService.js';
+import { renderEmail } from './emailTemplateService.js';
+import { generateOneTimeToken, hashOneTimeToken, linkWithToken } from '../utils/oneTimeToken.js';
+
+// Minimum time between two verification emails to the same user
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const tokenTtlHours = () => parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS || '48', 10);
+
+// Sent directly rather than queued, like the password reset email, so the raw token is
+// never stored. A failed send is logged; the user can ask for another one.
+const sendVerificationEmail = async (user, token, verificationToken) => {
+  try {
+    const { subject, html, text } = await renderEmail('email-verification', user.locale, {
+      userName: user.name,
+      email: user.email,
+      // EMAIL_VERIFICATION_URL is the frontend page that submits the token
+      verifyUrl: linkWithToken(process.env.EMAIL_VERIFICATION_URL, token),
+      verificationToken: token,
+      expiresInHours: tokenTtlHours(),
+    });
+    await sendEmail(user.email, subject, html, text);
+    await logAction('EMAIL_VERIFICATION_SENT', user.id, { email: user.email, tokenId: verificationToken.id });
+  } catch (error) {
+    await logAction('EMAIL_VERIFICATION_SEND_FAILED', user.id, { email: user.email, tokenId: verificationToken.id, error: error.message });
+  }
+};
+
+// Issues a token for `user`'s current email, replacing any unused one, and emails it in
+// the background. Call it after the email is saved.
+export const startEmailVerification = async (user) => {
+  const { token, tokenHash } = generateOneTimeToken();
+  const verificationToken = await prisma.$transaction(async (tx) => {
+    await tx.emailVerificationToken.deleteMany({ where: { userId: user.id, usedAt: null } });
+    return tx.emailVerificationToken.create({
+      data: {
+        tokenHash,
+        email: user.email,
+        expiresAt: new Date(Date.now() + tokenTtlHours() * 60 * 60 * 1000),
+        userId: user.id,
+      },
+    });
+  });
+  sendVerificationEmail(user, token, verificationToken);
+  return verificationToken;
+};
+
+// Seconds the user must wait before another verification email can be sent; 0 if none
+export const secondsUntilResend = async (userId) => {
+  const latest = await prisma.emailVerificationToken.findFirst({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true },
+  });
+  if (!latest) return 0;
+  const waitMs = latest.createdAt.getTime() + RESEND_COOLDOWN_MS - Date.now();
+  return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+};
+
+// Marks the user's email as verified with a token, using the token up.
+// Resolves to { user, verificationToken }, or { error, verificationToken } where error is
+// 'unknown', 'used', 'expired' or 'stale' (the user's email has changed since it was sent).
+export const completeEmailVerification = async (token) => {
+  const verificationToken = await prisma.emailVerificationToken.findUnique({ where: { tokenHash: hashOneTimeToken(token) } });
+  if (!verificationToken) return { error: 'unknown', verificationToken: null };
+  if (verificationToken.usedAt) return { error: 'used', verificationToken };
+  if (verificationToken.expiresAt <= new Date()) return { error: 'expired', verificationToken };
+
+  const now = new Date();
+  const result = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.emailVerificationToken.updateMany({
+      where: { id: verificationToken.id, usedAt: null },
+      data: { usedAt: now },
+    });
+    if (count === 0) return { error: 'used' };
+    const { count: verified } = await tx.user.updateMany({
+      where: { id: verificationToken.userId, email: verificationToken.email },
+      data: { emailVerifiedAt: now },
+    });
+    return verified === 0 ? { error: 'stale' } : {};
+  });
+  if (result.error) return { error: result.error, verificationToken };
+
+  const user = await prisma.user.findUnique({
+    where: { id: verificationToken.userId },
+    select: { id: true, email: true, emailVerifiedAt: true },
+  });
+  return { user, verificationToken };
+};
@@ -0,0 +1,69 @@
+import { EventEmitter } from 'node:events';
+import { hasPermission, canViewFacility } from '../middlewares/authMiddleware.js';
+
+// Live updates for GET /api/v1/events/stream. The bus is in-process: with several server
+// instances, each one only streams the changes it made itself.
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // One listener per open stream
+
+let lastEventId = 0;
+
+// `audience` says who may see the event:
+//   { everyone: true }                   every logged-in user
+//   { userIds: [...] }                   those users
+//   { admins: true, facilityId }         staff who can see that facility's requests
+//                                        (all such staff when null)
+// The keys combine, e.g. a request's owner plus the admins of its facility.
+const publish = (type, data, audience) => {
+  lastEventId += 1;
+  bus.emit('event', { id: lastEventId, type, data, audience, at: new Date().toISOString() });
+};
+
+export const canReceive = (user, audience) => {
+  if (audience.everyone) return true;
+  if (audience.userIds?.includes(user.id)) return true;
+  if (audience.admins && hasPermission(user, 'request:read')) {
+    return audience.facilityId ? canViewFacility(user, audience.facilityId) : true;
+  }
+  return false;
+};
+
+// Calls `listener` with every published event; returns a function that stops it
+export const subscribe = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+// A slot request was created or changed status. Its owner and the admins who can see
+// it are told.
+export const publishRequestEvent = (type, request) => publish(type, {
+  id: request.id,
+  userId: request.userId,
+  vehicleId: request.vehicleId,
+  requestStatus: request.requestStatus,
+  slotId: request.slotId,
+  assignedSlotNumber: request.assignedSlotNumber,
+  facilityId: request.facilityId,
+  startTime: request.startTime,
+  endTime: request.endTime,
+  updatedAt: request.updatedAt,
+}, { userIds: [request.userId], admins: true, facilityId: request.facilityId });
+
+// A slot was added, removed or changed status. Everyone is told, so open slot lists can
+// add or drop it.
+export const publishSlotEvent = (type, slot) => publish(type, {
+  id: slot.id,
+  slotNumber: slot.slotNumber,
+  status: slot.status,
+  size: slot.size,
+  vehicleType: slot.vehicleType,
+  facilityId: slot.facilityId,
+  levelId: slot.levelId,
+  zoneId: slot.zoneId,
+}, { everyone: true });
+
+// An account was suspended or deleted. Only its owner is told; their open streams end.
+export const publishAccountEvent = (type, user) => publish(type, {
+  id: user.id,
+  status: user.status,
+}, { userIds: [user.id] });
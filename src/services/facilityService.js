@@ -0,0 +1,145 @@
+import prisma from '../config/db.js';
+
+// Checks a { facilityId, levelId, zoneId } placement from user input and fills in what
+// can be inferred: a zone implies its facility (and level, if it has one), a level implies
+// its facility. Returns { placement } on success or { error } describing what is wrong.
+// Keys left undefined in the input stay undefined so partial updates are untouched.
+export const resolvePlacement = async ({ facilityId, levelId, zoneId }, db = prisma) => {
+  for (const [key, value] of Object.entries({ facilityId, levelId, zoneId })) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      return { error: `${key} must be a string.` };
+    }
+  }
+
+  const placement = { facilityId, levelId, zoneId };
+
+  if (zoneId) {
+    const zone = await db.zone.findUnique({ where: { id: zoneId } });
+    if (!zone) return { error: 'Zone not found.' };
+    if (facilityId && facilityId !== zone.facilityId) return { error: 'Zone does not belong to the given facility.' };
+    if (levelId && zone.levelId && levelId !== zone.levelId) return { error: 'Zone is on a different level.' };
+    placement.facilityId = zone.facilityId;
+    placement.levelId = levelId || zone.levelId || placement.levelId;
+  }
+
+  if (placement.levelId) {
+    const level = await db.level.findUnique({ where: { id: placement.levelId } });
+    if (!level) return { error: 'Level not found.' };
+    if (placement.facilityId && placement.facilityId !== level.facilityId) return { error: 'Level does not belong to the given facility.' };
+    placement.facilityId = level.facilityId;
+  }
+
+  if (placement.facilityId) {
+    const facility = await db.facility.findUnique({ where: { id: placement.facilityId } });
+    if (!facility) return { error: 'Facility not found.' };
+  }
+
+  return { placement };
+};
+
+// Prisma filter restricting slots to a placement; empty keys are ignored
+export const placementWhere = ({ facilityId, levelId, zoneId } = {}) => ({
+  ...(facilityId && { facilityId }),
+  ...(levelId && { levelId }),
+  ...(zoneId && { zoneId }),
+});
+
+const LEVEL_PATTERN = /^(?:level|floor|lvl|deck)\s*-?\s*(\w+)$|^[LP]\s*-?\s*(\d+)$/i; // "Level 2", "Floor G", "L2", "P1"
+const BASEMENT_PATTERN = /^basement(?:\s*-?\s*(\d+))?$/i;
+const ZONE_PATTERN = /^(?:zone|section|area|block|sector|wing)\s*-?\s*(\w+)$/i;
+const BAY_PATTERN = /^([A-Z])\s*-?\s*\d+$/i; // "A1", "B-12": zone letter followed by a bay number
+
+// Best-effort split of a free-form ParkingSlot.location such as "Level 2, Zone B, Row 3",
+// "Section B, Row 3", "P1 - C" or "A1" into level and zone names. Parts that are neither
+// (rows, bay numbers) are ignored; they stay in `location`. Short level codes (L2, P1) win
+// over bay codes, so a bare "L1" is read as a level.
+// Returns { level: { name, ordinal } | null, zone: { name } | null }.
+export const parseLocation = (location) => {
+  const parts = String(location || '').split(/\s*[,/|]\s*|\s+-\s+/).map((part) => part.trim()).filter(Boolean);
+  let level = null;
+  let zone = null;
+
+  for (const part of parts) {
+    if (!level) {
+      const levelMatch = part.match(LEVEL_PATTERN);
+      if (levelMatch) {
+        const value = (levelMatch[1] ?? levelMatch[2]).toUpperCase();
+        const ordinal = /^\d+$/.test(value) ? parseInt(value, 10) : null;
+        level = { name: `Level ${value}`, ordinal };
+        continue;
+      }
+      const basementMatch = part.match(BASEMENT_PATTERN);
+      if (basementMatch) {
+        const depth = basementMatch[1] ? parseInt(basementMatch[1], 10) : 1;
+        level = { name: basementMatch[1] ? `Basement ${depth}` : 'Basement', ordinal: -depth };
+        continue;
+      }
+    }
+    if (!zone) {
+      const zoneMatch = part.match(ZONE_PATTERN);
+      // A single letter on its own ("P1 - C") or a bay code ("A1") also names the zone
+      const letter = zoneMatch ? zoneMatch[1] : (/^[A-Z]$/i.test(part) ? part : part.match(BAY_PATTERN)?.[1]);
+      if (letter) zone = { name: `Zone ${letter.length === 1 ? letter.toUpperCase() : letter}` };
+    }
+  }
+
+  return { level, zone };
+};
+
+// Places every slot that has no facility yet into `facilityName` (created if missing),
+// creating levels and zones parsed from each slot's location. Zones created here are not
+// tied to a level, since the same zone name often recurs on several floors. With `dryRun`
+// nothing is written and the planned placements are returned instead.
+export const backfillSlotHierarchy = async ({ facilityName, dryRun = false }) => {
+  const slots = await prisma.parkingSlot.findMany({
+    where: { facilityId: null },
+    orderBy: { slotNumber: 'asc' },
+  });
+  const plan = slots.map((slot) => ({ slotId: slot.id, slotNumber: slot.slotNumber, location: slot.location, ...parseLocation(slot.location) }));
+  if (dryRun || plan.length === 0) return { facility: null, plan, updated: 0 };
+
+  return prisma.$transaction(async (tx) => {
+    const facility = await tx.facility.upsert({
+      where: { name: facilityName },
+      update: {},
+      create: { name: facilityName },
+    });
+
+    const levelIds = new Map();
+    const zoneIds = new Map();
+    for (const item of plan) {
+      let levelId = null;
+      if (item.level) {
+        if (!levelIds.has(item.level.name)) {
+          const level = await tx.level.upsert({
+            where: { facilityId_name: { facilityId: facility.id, name: item.level.name } },
+            update: {},
+            create: { facilityId: facility.id, name: item.level.name, ordinal: item.level.ordinal },
+          });
+          levelIds.set(item.level.name, level.id);
+        }
+        levelId = levelIds.get(item.level.name);
+      }
+
+      let zoneId = null;
+      if (item.zone) {
+        if (!zoneIds.has(item.zone.name)) {
+          const zone = await tx.zone.upsert({
+            where: { facilityId_name: { facilityId: facility.id, name: item.zone.name } },
+            update: {},
+            create: { facilityId: facility.id, name: item.zone.name },
+          });
+          zoneIds.set(item.zone.name, zone.id);
+        }
+        zoneId = zoneIds.get(item.zone.name);
+      }
+
+      await tx.parkingSlot.update({
+        where: { id: item.slotId },
+        data: { facilityId: facility.id, levelId, zoneId },
+      });
+    }
+
+    return { facility, plan, updated: plan.length };
+  }, { timeout: 60000 });
+};
@@ -0,0 +1,101 @@
+import prisma from '../config/db.js';
+import { logAction } from './actionLogService.js';
+import { startIntervalTask } from '../utils/intervalTask.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Still owed: a PROCESSING invoice has not been paid until the provider says so
+export const OUTSTANDING_STATUSES = ['UNPAID', 'PROCESSING'];
+
+const claimSettings = () => ({
+  timeoutMinutes: parseInt(process.env.INVOICE_CLAIM_TIMEOUT_MINUTES || '15', 10),
+  sweepIntervalMinutes: parseInt(process.env.INVOICE_CLAIM_SWEEP_INTERVAL_MINUTES || '5', 10),
+});
+
+export const getCurrency = () => process.env.PAYMENT_CURRENCY || 'USD';
+
+// Issues the invoice for a priced session. Meant to run in the check-out transaction.
+export const createInvoiceForSession = async (tx, session) => {
+  if (!session.feeAmount || Number(session.feeAmount) <= 0) return null;
+
+  const dueDays = parseInt(process.env.INVOICE_DUE_DAYS || '7', 10);
+  return tx.invoice.create({
+    data: {
+      amount: session.feeAmount,
+      currency: getCurrency(),
+      dueAt: new Date(Date.now() + dueDays * MS_PER_DAY),
+      userId: session.userId,
+      parkingSessionId: session.id,
+    },
+  });
+};
+
+export const hasOverdueInvoices = async (userId) => {
+  const overdue = await prisma.invoice.count({
+    where: { userId, status: { in: OUTSTANDING_STATUSES }, dueAt: { lt: new Date() } },
+  });
+  return overdue > 0;
+};
+
+// Totals for one user's ledger: what was invoiced, paid, refunded and is still owed
+export const getUserBalance = async (userId) => {
+  const [invoiced, unpaid, overdue, payments, refunds] = await Promise.all([
+    prisma.invoice.aggregate({ where: { userId }, _sum: { amount: true }, _count: true }),
+    prisma.invoice.aggregate({ where: { userId, status: { in: OUTSTANDING_STATUSES } }, _sum: { amount: true }, _count: true }),
+    prisma.invoice.count({ where: { userId, status: { in: OUTSTANDING_STATUSES }, dueAt: { lt: new Date() } } }),
+    prisma.payment.aggregate({ where: { userId, type: 'PAYMENT', status: 'SUCCEEDED' }, _sum: { amount: true } }),
+    prisma.payment.aggregate({ where: { userId, type: 'REFUND', status: 'SUCCEEDED' }, _sum: { amount: true } }),
+  ]);
+
+  return {
+    currency: getCurrency(),
+    invoiceCount: invoiced._count,
+    totalInvoiced: Number(invoiced._sum.amount || 0),
+    totalPaid: Number(payments._sum.amount || 0),
+    totalRefunded: Number(refunds._sum.amount || 0),
+    outstanding: Number(unpaid._sum.amount || 0),
+    unpaidInvoiceCount: unpaid._count,
+    overdueInvoiceCount: overdue,
+  };
+};
+
+// Pay and refund claim an invoice (PROCESSING/REFUNDING) for the length of the provider call.
+// A claim older than INVOICE_CLAIM_TIMEOUT_MINUTES was left behind by a crash or restart, so
+// the invoice goes back to UNPAID or PAID. The released ids are audit-logged so staff can
+// check them against the provider, which may have completed the call.
+// Resolves to { payments, refunds }, the invoice ids released for each.
+export const releaseStaleInvoiceClaims = async (now = new Date()) => {
+  const { timeoutMinutes } = claimSettings();
+  const before = new Date(now.getTime() - timeoutMinutes * MINUTE_MS);
+  const released = {};
+
+  for (const [key, claimed, previous] of [['payments', 'PROCESSING', 'UNPAID'], ['refunds', 'REFUNDING', 'PAID']]) {
+    const stale = await prisma.invoice.findMany({
+      where: { status: claimed, claimedAt: { lt: before } },
+      select: { id: true },
+    });
+    const ids = stale.map((invoice) => invoice.id);
+    if (ids.length > 0) {
+      // Re-checked here so an invoice settled since the lookup is left alone
+      await prisma.invoice.updateMany({
+        where: { id: { in: ids }, status: claimed, claimedAt: { lt: before } },
+        data: { status: previous, claimedAt: null },
+      });
+    }
+    released[key] = ids;
+  }
+  return released;
+};
+
+// Runs releaseStaleInvoiceClaims every INVOICE_CLAIM_SWEEP_INTERVAL_MINUTES (default 5; 0 disables)
+export const startInvoiceClaimSweeper = () => startIntervalTask(
+  'Invoice claim sweep',
+  claimSettings().sweepIntervalMinutes * MINUTE_MS,
+  async () => {
+    const { payments, refunds } = await releaseStaleInvoiceClaims();
+    if (payments.length > 0 || refunds.length > 0) {
+      await logAction('INVOICE_CLAIMS_RELEASED', null, { payments, refunds, via: 'schedule' });
+    }
+  },
+);
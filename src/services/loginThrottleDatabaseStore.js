@@ -0,0 +1,45 @@
+import prisma from '../config/db.js';
+
+// The login throttle store (see loginThrottleStores.js for the interface) that keeps counters
+// in the database. loginThrottleService only loads this module when the store is used.
+
+const toState = (row) => row && {
+  key: row.key,
+  failures: row.failures,
+  windowStartedAt: row.windowStartedAt,
+  lockedUntil: row.lockedUntil,
+};
+
+// Keeps counters in the LoginThrottle table, shared by every server instance
+export const createDatabaseThrottleStore = (db = prisma) => ({
+  async get(key) {
+    return toState(await db.loginThrottle.findUnique({ where: { key } }));
+  },
+
+  recordFailure(key, { windowMs, now }) {
+    return db.$transaction(async (tx) => {
+      const row = await tx.loginThrottle.findUnique({ where: { key } });
+      if (row && row.windowStartedAt.getTime() + windowMs > now.getTime()) {
+        return toState(await tx.loginThrottle.update({ where: { key }, data: { failures: { increment: 1 } } }));
+      }
+      return toState(await tx.loginThrottle.upsert({
+        where: { key },
+        update: { failures: 1, windowStartedAt: now },
+        create: { key, failures: 1, windowStartedAt: now },
+      }));
+    });
+  },
+
+  async lock(key, until) {
+    await db.loginThrottle.updateMany({ where: { key }, data: { lockedUntil: until } });
+  },
+
+  async reset(key) {
+    await db.loginThrottle.deleteMany({ where: { key } });
+  },
+
+  async listLocked(now) {
+    const rows = await db.loginThrottle.findMany({ where: { lockedUntil: { gt: now } }, orderBy: { lockedUntil: 'desc' } });
+    return rows.map(toState);
+  },
+});
@@ -0,0 +1,92 @@
+import { createMemoryThrottleStore } from './loginThrottleStores.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const settings = () => ({
+  windowMs: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10) * MINUTE_MS,
+  lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10) * MINUTE_MS,
+  maxPerAccount: parseInt(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT || '5', 10),
+  maxPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP || '20', 10),
+});
+
+// LOGIN_THROTTLE_STORE=memory keeps counters in this process; by default they live in the
+// database so every server instance sees the same ones. The database store is loaded on
+// first use, so code that swaps in another store never needs a database client.
+let store = process.env.LOGIN_THROTTLE_STORE === 'memory' ? createMemoryThrottleStore() : null;
+
+const getStore = async () => {
+  if (!store) {
+    const { createDatabaseThrottleStore } = await import('./loginThrottleDatabaseStore.js');
+    store ??= createDatabaseThrottleStore();
+  }
+  return store;
+};
+
+// Replaces the store, e.g. with a fresh memory store in tests
+export const setLoginThrottleStore = (nextStore) => {
+  store = nextStore;
+};
+
+// Accounts are keyed by the email typed in, so addresses without an account are throttled
+// the same way and the responses don't reveal which ones exist
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const isLocked = (state, now) => Boolean(state?.lockedUntil && state.lockedUntil > now);
+
+// The lockout blocking a login attempt, or null. Resolves to { scope, lockedUntil } where
+// scope is 'account' or 'ip'.
+export const findLoginLockout = async (email, ip, now = new Date()) => {
+  for (const [scope, key] of [['account', accountKey(email)], ['ip', ipKey(ip)]]) {
+    const state = await (await getStore()).get(key);
+    if (isLocked(state, now)) return { scope, lockedUntil: state.lockedUntil };
+  }
+  return null;
+};
+
+// Counts a failed login against the account and the IP and locks whichever reached its
+// limit. Resolves to { accountFailures, accountLockedUntil, ipLockedUntil }; the lock
+// times are set only for locks that start with this failure.
+export const recordLoginFailure = async (email, ip, now = new Date()) => {
+  const { windowMs, lockoutMs, maxPerAccount, maxPerIp } = settings();
+  const store = await getStore();
+  const until = new Date(now.getTime() + lockoutMs);
+  const result = { accountFailures: 0, accountLockedUntil: null, ipLockedUntil: null };
+
+  const account = await store.recordFailure(accountKey(email), { windowMs, now });
+  result.accountFailures = account.failures;
+  if (account.failures >= maxPerAccount && !isLocked(account, now)) {
+    await store.lock(accountKey(email), until);
+    result.accountLockedUntil = until;
+  }
+
+  const address = await store.recordFailure(ipKey(ip), { windowMs, now });
+  if (address.failures >= maxPerIp && !isLocked(address, now)) {
+    await store.lock(ipKey(ip), until);
+    result.ipLockedUntil = until;
+  }
+  return result;
+};
+
+// A successful login forgets the account's failures. The IP's are kept, so one valid
+// account can't be used to keep resetting the counter while guessing others.
+export const clearAccountFailures = async (email) => (await getStore()).reset(accountKey(email));
+
+// Clears the counter and any lockout for an email (`{ email }`) or an address (`{ ip }`).
+// Resolves to the state that was cleared, or null if there was none.
+export const unlockLogin = async ({ email, ip }) => {
+  const key = email ? accountKey(email) : ipKey(ip);
+  const store = await getStore();
+  const state = await store.get(key);
+  if (state) await store.reset(key);
+  return state;
+};
+
+// Lockouts in force, as { scope, subject, failures, windowStartedAt, lockedUntil }
+export const listLoginLockouts = async (now = new Date()) => {
+  const states = await (await getStore()).listLocked(now);
+  return states.map(({ key, ...state }) => {
+    const [scope, ...rest] = key.split(':');
+    return { scope, subject: rest.join(':'), ...state };
+  });
+};
@@ -0,0 +1,45 @@
+// Where loginThrottleService keeps failed-login counters. Keys look like
+// "account:jane@example.com" or "ip:203.0.113.7". A store has these async methods:
+//   get(key)                            -> { key, failures, windowStartedAt, lockedUntil } or null
+//   recordFailure(key, { windowMs, now }) -> the state after counting one more failure; the
+//                                          count starts over once `windowMs` has passed
+//   lock(key, until)                    -> void
+//   reset(key)                          -> void
+//   listLocked(now)                     -> states whose lockedUntil is after `now`
+
+// Keeps counters in this process. Fine for tests and a single server; with several
+// instances each one counts on its own, so use the database store
+// (loginThrottleDatabaseStore.js) there.
+export const createMemoryThrottleStore = () => {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      return entry ? { ...entry } : null;
+    },
+
+    async recordFailure(key, { windowMs, now }) {
+      const entry = entries.get(key);
+      const windowOpen = entry && entry.windowStartedAt.getTime() + windowMs > now.getTime();
+      const next = windowOpen
+        ? { ...entry, failures: entry.failures + 1 }
+        : { key, failures: 1, windowStartedAt: now, lockedUntil: entry?.lockedUntil ?? null };
+      entries.set(key, next);
+      return { ...next };
+    },
+
+    async lock(key, until) {
+      const entry = entries.get(key);
+      if (entry) entries.set(key, { ...entry, lockedUntil: until });
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+
+    async listLocked(now) {
+      return [...entries.values()].filter((entry) => entry.lockedUntil && entry.lockedUntil > now).map((entry) => ({ ...entry }));
+    },
+  };
+};
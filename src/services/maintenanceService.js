@@ -0,0 +1,176 @@
+import prisma from '../config/db.js';
+import { logAction } from './actionLogService.js';
+import { overlapsWindow, isTimeBounded } from './reservationService.js';
+import { allocateSlot } from './slotAllocationService.js';
+import { processWaitlistForSlot } from './waitlistService.js';
+import { notifySlotMaintenance } from './notificationService.js';
+import { publishSlotEvent } from './eventBus.js';
+import { startIntervalTask } from '../utils/intervalTask.js';
+
+// Prisma filter for the slots a window covers
+export const affectedSlotsWhere = (window) => (window.slotId ? { id: window.slotId } : { zoneId: window.zoneId });
+
+// Moves APPROVED requests whose reservation overlaps the maintenance off the affected
+// slots. A vehicle that is already checked in can't be moved, so its owner is only
+// notified, as is anyone for whom no other compatible slot is free. `window` needs
+// slotId or zoneId, startTime, endTime (null = until further notice) and reason.
+// Resolves to { reassigned, notified } lists of request ids.
+export const reassignAffectedRequests = async (window) => {
+  const affected = await prisma.slotRequest.findMany({
+    where: {
+      requestStatus: 'APPROVED',
+      slot: affectedSlotsWhere(window),
+      ...overlapsWindow(window.startTime, window.endTime),
+    },
+    include: {
+      vehicle: true,
+      user: true,
+      slot: true,
+      parkingSessions: { where: { status: 'ACTIVE' }, select: { id: true } },
+    },
+  });
+
+  const reassigned = [];
+  const notified = [];
+  for (const { slot: oldSlot, parkingSessions, ...slotRequest } of affected) {
+    let allocation = { status: 'NO_SLOT' };
+    if (parkingSessions.length === 0) {
+      allocation = await allocateSlot(slotRequest, {
+        fromStatuses: ['APPROVED'],
+        onAssigned: (tx, newSlot) => notifySlotMaintenance(slotRequest, oldSlot, window, newSlot, tx),
+      });
+    }
+
+    if (allocation.status === 'REQUEST_CHANGED') continue; // Released or cancelled meanwhile
+
+    if (allocation.status === 'ASSIGNED') {
+      // An open-ended request held the old slot outright; hand it back to the pool
+      if (!isTimeBounded(slotRequest)) {
+        const { count } = await prisma.parkingSlot.updateMany({
+          where: { id: oldSlot.id, status: 'UNAVAILABLE' },
+          data: { status: 'AVAILABLE' },
+        });
+        if (count > 0) publishSlotEvent('slot.updated', { ...oldSlot, status: 'AVAILABLE' });
+      }
+      reassigned.push(slotRequest.id);
+      await logAction('SLOT_REQUEST_REASSIGNED_FOR_MAINTENANCE', null, {
+        requestId: slotRequest.id,
+        fromSlotId: oldSlot.id,
+        toSlotId: allocation.slot.id,
+        maintenanceWindowId: window.id ?? null,
+      });
+    } else {
+      notified.push(slotRequest.id);
+      await notifySlotMaintenance(slotRequest, oldSlot, window, null);
+    }
+  }
+  return { reassigned, notified };
+};
+
+// Creates a window, moves affected reservations out of it and, when it has already
+// begun, puts its slots into MAINTENANCE straight away
+export const scheduleMaintenance = async ({ slotId, zoneId, startTime, endTime, reason }, userId) => {
+  const window = await prisma.maintenanceWindow.create({
+    data: { slotId, zoneId, startTime, endTime, reason },
+  });
+  await logAction('MAINTENANCE_SCHEDULED', userId, { maintenanceWindowId: window.id, slotId, zoneId, startTime, endTime });
+
+  const { reassigned, notified } = await reassignAffectedRequests(window);
+  if (startTime <= new Date()) {
+    await startWindow(window);
+  }
+
+  const current = await prisma.maintenanceWindow.findUnique({ where: { id: window.id } });
+  return { window: current, reassigned, notified };
+};
+
+const startWindow = async (window) => {
+  const { count } = await prisma.maintenanceWindow.updateMany({
+    where: { id: window.id, status: 'SCHEDULED' },
+    data: { status: 'ACTIVE', startedAt: new Date() },
+  });
+  if (count === 0) return false;
+
+  await prisma.parkingSlot.updateMany({
+    where: affectedSlotsWhere(window),
+    data: { status: 'MAINTENANCE' },
+  });
+  await logAction('MAINTENANCE_STARTED', null, { maintenanceWindowId: window.id });
+  const slots = await prisma.parkingSlot.findMany({ where: affectedSlotsWhere(window) });
+  for (const slot of slots) publishSlotEvent('slot.updated', slot);
+  return true;
+};
+
+// Ends a window (completed on time, cut short or cancelled). If it had started, its slots
+// return to service unless another active window still covers them. `window` must be as
+// last read: the update only applies if its status has not moved on since.
+const finishWindow = async (window, status, userId = null) => {
+  const { count } = await prisma.maintenanceWindow.updateMany({
+    where: { id: window.id, status: window.status },
+    data: { status, completedAt: new Date() },
+  });
+  if (count === 0) return false;
+  if (window.status === 'ACTIVE') {
+    await restoreSlots(window);
+  }
+
+  await logAction(status === 'CANCELLED' ? 'MAINTENANCE_CANCELLED' : 'MAINTENANCE_COMPLETED', userId, { maintenanceWindowId: window.id, previousStatus: window.status });
+  return true;
+};
+
+const restoreSlots = async (window) => {
+  const slots = await prisma.parkingSlot.findMany({
+    where: { ...affectedSlotsWhere(window), status: 'MAINTENANCE' },
+  });
+  for (const slot of slots) {
+    const stillCovered = await prisma.maintenanceWindow.count({
+      where: {
+        status: 'ACTIVE',
+        OR: [{ slotId: slot.id }, ...(slot.zoneId ? [{ zoneId: slot.zoneId }] : [])],
+      },
+    });
+    if (stillCovered > 0) continue;
+
+    // A vehicle that could not be moved keeps its open-ended assignment
+    const holder = await prisma.slotRequest.findFirst({
+      where: { slotId: slot.id, requestStatus: 'APPROVED', startTime: null, endTime: null },
+      select: { id: true },
+    });
+    const status = holder ? 'UNAVAILABLE' : 'AVAILABLE';
+    const { count } = await prisma.parkingSlot.updateMany({
+      where: { id: slot.id, status: 'MAINTENANCE' },
+      data: { status },
+    });
+    if (count > 0) publishSlotEvent('slot.updated', { ...slot, status });
+    if (!holder) {
+      await processWaitlistForSlot(slot.id);
+    }
+  }
+};
+
+// Cancels a SCHEDULED window, or ends an ACTIVE one early. Resolves to false if the
+// window had already finished or changed status since it was read.
+export const cancelMaintenance = (window, userId) => finishWindow(window, window.status === 'ACTIVE' ? 'COMPLETED' : 'CANCELLED', userId);
+
+// Starts windows whose time has come and finishes those that are over.
+// Windows that were due to start and end while the scheduler was down go straight to COMPLETED.
+export const runMaintenanceTick = async (now = new Date()) => {
+  const due = await prisma.maintenanceWindow.findMany({
+    where: { status: { in: ['SCHEDULED', 'ACTIVE'] }, OR: [{ startTime: { lte: now } }, { endTime: { lte: now } }] },
+    orderBy: { startTime: 'asc' },
+  });
+  for (const window of due) {
+    if (window.endTime <= now) {
+      await finishWindow(window, 'COMPLETED');
+    } else if (window.status === 'SCHEDULED') {
+      await startWindow(window);
+    }
+  }
+};
+
+// Runs runMaintenanceTick every MAINTENANCE_CHECK_INTERVAL_MS (default one minute; 0 disables)
+export const startMaintenanceScheduler = () => startIntervalTask(
+  'Maintenance scheduler tick',
+  parseInt(process.env.MAINTENANCE_CHECK_INTERVAL_MS || '60000', 10),
+  () => runMaintenanceTick(),
+);
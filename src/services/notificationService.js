@@ -0,0 +1,57 @@
+import prisma from '../config/db.js';
+import { enqueueEmail } from './outboxService.js';
+
+// Each notifier queues its email in the outbox rather than sending it. Pass `db` (a
+// transaction client) to queue it atomically with the change it reports; the outbox
+// worker delivers it afterwards and retries on failure.
+
+// `slotRequest` must include its `user` and `vehicle`
+export const notifyRequestApproved = (slotRequest, slot, db = prisma) => enqueueEmail(db, slotRequest.user, 'request-approved', {
+  userName: slotRequest.user.name,
+  plateNumber: slotRequest.vehicle.plateNumber,
+  slotNumber: slot.slotNumber,
+  slotLocation: slot.location,
+});
+
+export const notifyRequestRejected = (slotRequest, rejectionReason, db = prisma) => enqueueEmail(db, slotRequest.user, 'request-rejected', {
+  userName: slotRequest.user.name,
+  plateNumber: slotRequest.vehicle.plateNumber,
+  rejectionReason: rejectionReason || null,
+});
+
+export const notifyAssignedFromWaitlist = (slotRequest, slot, db = prisma) => enqueueEmail(db, slotRequest.user, 'waitlist-assigned', {
+  userName: slotRequest.user.name,
+  plateNumber: slotRequest.vehicle.plateNumber,
+  slotNumber: slot.slotNumber,
+  slotLocation: slot.location,
+});
+
+// `window` has startTime, endTime (null for open-ended maintenance) and reason;
+// `newSlot` is null when no replacement could be found
+export const notifySlotMaintenance = (slotRequest, oldSlot, window, newSlot, db = prisma) => {
+  const period = window.endTime
+    ? `${window.startTime.toISOString()} to ${window.endTime.toISOString()}`
+    : `${window.startTime.toISOString()} until further notice`;
+  const common = {
+    userName: slotRequest.user.name,
+    plateNumber: slotRequest.vehicle.plateNumber,
+    period,
+    reason: window.reason,
+  };
+  if (newSlot) {
+    return enqueueEmail(db, slotRequest.user, 'maintenance-reassigned', {
+      ...common,
+      oldSlotNumber: oldSlot.slotNumber,
+      newSlotNumber: newSlot.slotNumber,
+      newSlotLocation: newSlot.location,
+    });
+  }
+  return enqueueEmail(db, slotRequest.user, 'maintenance-notice', { ...common, slotNumber: oldSlot.slotNumber });
+};
+
+export const notifyAccountLocked = (user, failedAttempts, lockedUntil, db = prisma) => enqueueEmail(db, user, 'account-locked', {
+  userName: user.name,
+  failedAttempts,
+  lockedUntil: lockedUntil.toISOString(),
+  lockoutMinutes: Math.round((lockedUntil.getTime() - Date.now()) / 60000),
+});
@@ -0,0 +1,114 @@
+import prisma from '../config/db.js';
+import { sendEmail } from '../config/mailer.js';
+import { logAction } from './actionLogService.js';
+import { renderEmail, getDefaultLocale } from './emailTemplateService.js';
+import { startIntervalTask } from '../utils/intervalTask.js';
+
+// How many due items one worker tick sends
+const BATCH_SIZE = 20;
+// A SENDING item older than this belonged to a worker that died mid-send
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+const maxAttempts = () => parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '8', 10);
+
+// Delay before retry number `attempts`: OUTBOX_RETRY_BASE_MS doubled per failed attempt
+// (30s, 1m, 2m, ...) and capped at OUTBOX_RETRY_MAX_MS (default 6 hours)
+export const retryDelayMs = (attempts) => {
+  const base = parseInt(process.env.OUTBOX_RETRY_BASE_MS || '30000', 10);
+  const cap = parseInt(process.env.OUTBOX_RETRY_MAX_MS || String(6 * 60 * 60 * 1000), 10);
+  return Math.min(cap, base * 2 ** Math.max(0, attempts - 1));
+};
+
+// Queues an email to `user` (needs id, email and locale). Pass the transaction client
+// that makes the change being reported, so the email exists exactly when the change does.
+export const enqueueEmail = (db, user, template, variables) => db.notificationOutbox.create({
+  data: {
+    template,
+    recipient: user.email,
+    locale: user.locale || getDefaultLocale(),
+    variables,
+    userId: user.id,
+  },
+});
+
+// Claims one PENDING item and tries to send it. Resolves to the item's new status,
+// or null if another worker got to it first.
+export const deliverOutboxItem = async (item) => {
+  const { count } = await prisma.notificationOutbox.updateMany({
+    where: { id: item.id, status: 'PENDING' },
+    data: { status: 'SENDING', lockedAt: new Date() },
+  });
+  if (count === 0) return null;
+
+  const attempts = item.attempts + 1;
+  try {
+    const { subject, html, text } = await renderEmail(item.template, item.locale, item.variables);
+    await sendEmail(item.recipient, subject, html, text);
+  } catch (error) {
+    const dead = attempts >= maxAttempts();
+    await prisma.notificationOutbox.update({
+      where: { id: item.id },
+      data: {
+        status: dead ? 'DEAD' : 'PENDING',
+        attempts,
+        lockedAt: null,
+        lastError: error.message,
+        ...(!dead && { nextAttemptAt: new Date(Date.now() + retryDelayMs(attempts)) }),
+      },
+    });
+    if (dead) {
+      await logAction('NOTIFICATION_DEAD', null, { outboxId: item.id, template: item.template, attempts, error: error.message });
+    }
+    return dead ? 'DEAD' : 'PENDING';
+  }
+
+  await prisma.notificationOutbox.update({
+    where: { id: item.id },
+    data: { status: 'SENT', attempts, sentAt: new Date(), lockedAt: null, lastError: null },
+  });
+  return 'SENT';
+};
+
+// Sends what is due and puts back items stuck in SENDING. Resolves to { sent, retrying, dead }.
+export const runOutboxTick = async (now = new Date()) => {
+  await prisma.notificationOutbox.updateMany({
+    where: { status: 'SENDING', lockedAt: { lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+    data: { status: 'PENDING', lockedAt: null },
+  });
+
+  const due = await prisma.notificationOutbox.findMany({
+    where: { status: 'PENDING', nextAttemptAt: { lte: now } },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: BATCH_SIZE,
+  });
+  const summary = { sent: 0, retrying: 0, dead: 0 };
+  for (const item of due) {
+    const status = await deliverOutboxItem(item);
+    if (status === 'SENT') summary.sent++;
+    if (status === 'PENDING') summary.retrying++;
+    if (status === 'DEAD') summary.dead++;
+  }
+  return summary;
+};
+
+// Makes a DEAD or waiting PENDING item due now. A DEAD item gets a fresh set of attempts.
+// Resolves to the updated item, or null if it was SENT or is being sent.
+export const retryOutboxItem = async (item) => {
+  const { count } = await prisma.notificationOutbox.updateMany({
+    where: { id: item.id, status: { in: ['PENDING', 'DEAD'] } },
+    data: {
+      status: 'PENDING',
+      nextAttemptAt: new Date(),
+      ...(item.status === 'DEAD' && { attempts: 0 }),
+    },
+  });
+  if (count === 0) return null;
+  return prisma.notificationOutbox.findUnique({ where: { id: item.id } });
+};
+
+// Runs runOutboxTick every OUTBOX_POLL_INTERVAL_MS (default five seconds; 0 disables)
+export const startOutboxWorker = () => startIntervalTask(
+  'Notification outbox tick',
+  parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '5000', 10),
+  () => runOutboxTick(),
+);
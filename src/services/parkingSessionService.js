@@ -0,0 +1,30 @@
+import { findTariff, calculateFee } from './tariffService.js';
+import { createInvoiceForSession } from './invoiceService.js';
+
+// Ends an ACTIVE session, stores its fee and invoices it. Must run inside a transaction (`tx`).
+// Returns null when the session was already closed by someone else.
+export const closeSession = async (tx, sessionId, checkOutAt = new Date()) => {
+  const session = await tx.parkingSession.findUnique({
+    where: { id: sessionId },
+    include: { slot: true, vehicle: true },
+  });
+  if (!session || session.status !== 'ACTIVE') return null;
+
+  const { count } = await tx.parkingSession.updateMany({
+    where: { id: sessionId, status: 'ACTIVE' },
+    data: { status: 'COMPLETED', checkOutAt, activeSlotId: null },
+  });
+  if (count === 0) return null;
+
+  // Sessions without a matching tariff are left unpriced rather than blocking the check-out
+  const tariff = await findTariff(session.slot.size, session.vehicle.vehicleType, tx);
+  if (!tariff) return tx.parkingSession.findUnique({ where: { id: sessionId } });
+
+  const fee = calculateFee(tariff, session.checkInAt, checkOutAt);
+  const pricedSession = await tx.parkingSession.update({
+    where: { id: sessionId },
+    data: { feeAmount: fee.amount, feeDetails: fee, tariffId: tariff.id },
+  });
+  await createInvoiceForSession(tx, pricedSession);
+  return pricedSession;
+};
@@ -0,0 +1,76 @@
+import prisma from '../config/db.js';
+import { sendEmail } from '../config/mailer.js';
+import { logAction } from './actionLogService.js';
+import { renderEmail } from './emailTemplateService.js';
+import { hashPassword } from '../utils/passwordUtil.js';
+import { revokeAllSessions } from './sessionService.js';
+import { generateOneTimeToken, hashOneTimeToken, linkWithToken } from '../utils/oneTimeToken.js';
+
+const tokenTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || '30', 10);
+
+// Sent directly rather than queued: outbox rows keep their variables, and the raw token
+// must not be stored anywhere. A failed send is logged; the user can ask again.
+const sendResetEmail = async (user, token, resetToken) => {
+  try {
+    const { subject, html, text } = await renderEmail('password-reset', user.locale, {
+      userName: user.name,
+      // PASSWORD_RESET_URL is the frontend page that asks for the new password
+      resetUrl: linkWithToken(process.env.PASSWORD_RESET_URL, token),
+      resetToken: token,
+      expiresInMinutes: tokenTtlMinutes(),
+    });
+    await sendEmail(user.email, subject, html, text);
+    await logAction('PASSWORD_RESET_EMAIL_SENT', user.id, { tokenId: resetToken.id });
+  } catch (error) {
+    await logAction('PASSWORD_RESET_EMAIL_FAILED', user.id, { tokenId: resetToken.id, error: error.message });
+  }
+};
+
+// Issues a reset token for `user`, replacing any unused one, and emails it. The email is
+// sent in the background so the response takes as long whether or not the account exists.
+export const requestPasswordReset = async (user, requestedIp) => {
+  const { token, tokenHash } = generateOneTimeToken();
+  const resetToken = await prisma.$transaction(async (tx) => {
+    await tx.passwordResetToken.deleteMany({ where: { userId: user.id, usedAt: null } });
+    return tx.passwordResetToken.create({
+      data: {
+        tokenHash,
+        expiresAt: new Date(Date.now() + tokenTtlMinutes() * 60 * 1000),
+        requestedIp,
+        userId: user.id,
+      },
+    });
+  });
+  sendResetEmail(user, token, resetToken);
+  return resetToken;
+};
+
+// Sets a new password with a reset token, using the token up, and signs the user out of
+// every session.
+// Resolves to { user, resetToken }, or { error, resetToken } where error is 'unknown',
+// 'used' or 'expired' (resetToken is null for 'unknown').
+export const completePasswordReset = async (token, password) => {
+  const resetToken = await prisma.passwordResetToken.findUnique({ where: { tokenHash: hashOneTimeToken(token) } });
+  if (!resetToken) return { error: 'unknown', resetToken: null };
+  if (resetToken.usedAt) return { error: 'used', resetToken };
+  if (resetToken.expiresAt <= new Date()) return { error: 'expired', resetToken };
+
+  const hashedPassword = await hashPassword(password);
+  const now = new Date();
+  const user = await prisma.$transaction(async (tx) => {
+    // Claim the token first so two concurrent resets can't both use it
+    const { count } = await tx.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null },
+      data: { usedAt: now },
+    });
+    if (count === 0) return null;
+    await tx.passwordResetToken.deleteMany({ where: { userId: resetToken.userId, usedAt: null } });
+    await revokeAllSessions(resetToken.userId, 'password_reset', tx);
+    return tx.user.update({
+      where: { id: resetToken.userId },
+      data: { password: hashedPassword, passwordChangedAt: now },
+      select: { id: true, email: true },
+    });
+  });
+  return user ? { user, resetToken } : { error: 'used', resetToken };
+};
@@ -0,0 +1,20 @@
+import mockPaymentProvider from './mockPaymentProvider.js';
+
+// A payment provider is an object with:
+//   name:    string stored on every ledger entry
+//   charge({ amount, currency, reference, userId, paymentMethod })
+//   refund({ amount, currency, reference, providerReference })
+// Both resolve to { success, providerReference?, failureReason? } and must not throw for
+// ordinary declines. Register real gateways here and select one with PAYMENT_PROVIDER.
+const providers = {
+  mock: mockPaymentProvider,
+};
+
+export const getPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || 'mock';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  return provider;
+};
@@ -0,0 +1,29 @@
+import crypto from 'crypto';
+
+// Offline stand-in for a real gateway. Every charge succeeds unless the
+// payment method is "mock_decline", which lets clients exercise the failure path.
+const mockPaymentProvider = {
+  name: 'mock',
+
+  async charge({ amount, paymentMethod }) {
+    if (paymentMethod === 'mock_decline') {
+      return { success: false, failureReason: 'Card declined (mock)' };
+    }
+    if (!(amount > 0)) {
+      return { success: false, failureReason: 'Amount must be positive' };
+    }
+    return { success: true, providerReference: `mock_ch_${crypto.randomUUID()}` };
+  },
+
+  async refund({ amount, providerReference }) {
+    if (!providerReference) {
+      return { success: false, failureReason: 'Original charge reference is required' };
+    }
+    if (!(amount > 0)) {
+      return { success: false, failureReason: 'Amount must be positive' };
+    }
+    return { success: true, providerReference: `mock_re_${crypto.randomUUID()}` };
+  },
+};
+
+export default mockPaymentProvider;
@@ -0,0 +1,135 @@
+import prisma from '../config/db.js';
+
+// Everything a role can be allowed to do. Routes check these with requirePermission;
+// acting on your own vehicles, requests and sessions needs no permission beyond the
+// *:create/pay ones. Facility-scoped roles (ADMIN, ATTENDANT) still only act within the
+// facilities they are assigned to.
+export const PERMISSIONS = {
+  'slot:read': 'See every slot, including unavailable ones, and slot summaries',
+  'slot:write': 'Create, edit and delete slots',
+  'request:create': 'Request slots for your own vehicles, and edit or cancel those requests',
+  'request:read': "See other users' slot requests and the waitlist",
+  'request:approve': 'Approve and reject slot requests',
+  'request:release': "Release the slot held by another user's request",
+  'session:read': "See parked vehicles and other users' parking sessions",
+  'session:manage': "Check other users' vehicles in and out",
+  'vehicle:create': 'Register vehicles of your own',
+  'vehicle:read': "See other users' vehicles and quote tariffs for them",
+  'invoice:pay': 'Pay your own invoices',
+  'invoice:read': "See other users' invoices and balances",
+  'invoice:refund': 'Refund paid invoices',
+  'tariff:read': 'See inactive tariffs',
+  'tariff:write': 'Create, edit and delete tariffs',
+  'facility:write': 'Edit facilities, levels and zones',
+  'facility:manage': 'Create and delete facilities, assign staff to them and import slot locations',
+  'maintenance:read': 'See maintenance windows',
+  'maintenance:write': 'Schedule and cancel maintenance windows',
+  'vehicle-class:write': 'Edit the vehicle type and size catalogues and the compatibility matrix',
+  'approval-rule:read': 'See approval rules',
+  'approval-rule:write': 'Create, edit and delete approval rules',
+  'email-template:read': 'See and preview email templates',
+  'email-template:write': 'Edit email templates',
+  'outbox:read': 'See queued and sent notifications',
+  'outbox:retry': 'Retry failed notifications',
+  'login-lockout:read': 'See accounts and addresses locked out after failed logins',
+  'login-lockout:unlock': 'Lift login lockouts',
+  'user:read': 'List and view users and facility staff',
+  'user:suspend': 'Suspend and reactivate users',
+  'user:delete': 'Delete and restore users',
+  'user:role': "Change users' roles",
+  'role:read': 'See roles and their permissions',
+  'role:manage': 'Grant and revoke role permissions',
+  'audit:read': 'Query and export the audit log of every facility',
+  'audit:prune': 'Prune audit log entries past their retention period',
+};
+
+// Roles tied to facilities through FacilityAdmin; they only act within those facilities
+export const FACILITY_STAFF_ROLES = ['ADMIN', 'ATTENDANT'];
+
+// Roles whose reach covers every facility
+export const ALL_FACILITY_ROLES = ['SUPER_ADMIN', 'AUDITOR'];
+
+const readPermissions = Object.keys(PERMISSIONS).filter((permission) => permission.endsWith(':read'));
+
+// What each role may do until an admin changes it. SUPER_ADMIN always has everything.
+// Login lockouts are not per facility, so ADMIN only manages them if granted.
+export const DEFAULT_ROLE_PERMISSIONS = {
+  USER: ['request:create', 'vehicle:create', 'invoice:pay'],
+  ATTENDANT: ['slot:read', 'request:read', 'session:read', 'session:manage', 'vehicle:read', 'maintenance:read'],
+  AUDITOR: readPermissions,
+  ADMIN: [
+    'slot:read', 'slot:write',
+    'request:read', 'request:approve', 'request:release',
+    'session:read', 'session:manage',
+    'vehicle:create', 'vehicle:read',
+    'invoice:read',
+    'tariff:read',
+    'facility:write',
+    'maintenance:read', 'maintenance:write',
+    'user:read',
+  ],
+};
+
+export const ROLES = ['USER', 'ATTENDANT', 'AUDITOR', 'ADMIN', 'SUPER_ADMIN'];
+export const EDITABLE_ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+export const isKnownPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+// Effective permissions are cached per process; changes made here clear the cache at
+// once, other server instances pick them up within CACHE_TTL_MS
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+// Effective permissions of `role`: its defaults plus granted overrides, minus revoked ones
+export const getRolePermissions = async (role) => {
+  if (role === 'SUPER_ADMIN') return Object.keys(PERMISSIONS);
+  const cached = cache.get(role);
+  if (cached && cached.loadedAt + CACHE_TTL_MS > Date.now()) return cached.permissions;
+
+  const overrides = await prisma.rolePermission.findMany({ where: { role } });
+  const permissions = new Set(DEFAULT_ROLE_PERMISSIONS[role] || []);
+  for (const override of overrides) {
+    if (override.granted) permissions.add(override.permission);
+    else permissions.delete(override.permission);
+  }
+  const result = [...permissions].filter(isKnownPermission).sort();
+  cache.set(role, { permissions: result, loadedAt: Date.now() });
+  return result;
+};
+
+// Every role with its effective permissions and how they differ from the defaults
+export const describeRoles = async () => {
+  const overrides = await prisma.rolePermission.findMany({ orderBy: [{ role: 'asc' }, { permission: 'asc' }] });
+  const roles = [];
+  for (const role of ROLES) {
+    roles.push({
+      role,
+      editable: EDITABLE_ROLES.includes(role),
+      permissions: await getRolePermissions(role),
+      defaults: role === 'SUPER_ADMIN' ? Object.keys(PERMISSIONS) : [...DEFAULT_ROLE_PERMISSIONS[role]].sort(),
+      overrides: overrides
+        .filter((override) => override.role === role)
+        .map(({ permission, granted, updatedAt }) => ({ permission, granted, updatedAt })),
+    });
+  }
+  return roles;
+};
+
+// Grants (`granted` true) or revokes a permission for a role, overriding its default
+export const setRolePermission = async (role, permission, granted) => {
+  const override = await prisma.rolePermission.upsert({
+    where: { role_permission: { role, permission } },
+    update: { granted },
+    create: { role, permission, granted },
+  });
+  cache.delete(role);
+  return override;
+};
+
+// Drops an override so the role goes back to its default for that permission.
+// Resolves to whether there was an override.
+export const resetRolePermission = async (role, permission) => {
+  const { count } = await prisma.rolePermission.deleteMany({ where: { role, permission } });
+  cache.delete(role);
+  return count > 0;
+};
@@ -0,0 +1,34 @@
+import { closeSession } from './parkingSessionService.js';
+import { isTimeBounded } from './reservationService.js';
+
+// Moves an APPROVED request to COMPLETED inside `tx`, checking out (and charging) a
+// vehicle still parked on it and freeing its slot. Request and slot change together so
+// the slot can never stay UNAVAILABLE behind a COMPLETED request (or be freed while the
+// request is still APPROVED). Resolves to null when the request was no longer APPROVED,
+// otherwise to { releasedRequest, freedSlot }.
+export const releaseApprovedRequest = async (tx, slotRequest) => {
+  const { count } = await tx.slotRequest.updateMany({
+    where: { id: slotRequest.id, requestStatus: 'APPROVED' },
+    data: { requestStatus: 'COMPLETED', releasedAt: new Date() },
+  });
+  if (count === 0) return null;
+
+  const activeSessions = await tx.parkingSession.findMany({
+    where: { slotRequestId: slotRequest.id, status: 'ACTIVE' },
+    select: { id: true },
+  });
+  for (const session of activeSessions) {
+    await closeSession(tx, session.id);
+  }
+
+  let freedSlot = null;
+  if (slotRequest.slotId && !isTimeBounded(slotRequest)) {
+    // A slot that went into MAINTENANCE while held stays there until the work ends
+    const { count: freed } = await tx.parkingSlot.updateMany({
+      where: { id: slotRequest.slotId, status: 'UNAVAILABLE' },
+      data: { status: 'AVAILABLE' },
+    });
+    if (freed > 0) freedSlot = await tx.parkingSlot.findUnique({ where: { id: slotRequest.slotId } });
+  }
+  return { releasedRequest: await tx.slotRequest.findUnique({ where: { id: slotRequest.id } }), freedSlot };
+};
@@ -0,0 +1,56 @@
+// Reservation windows are half-open: [startTime, endTime). A request with no
+// startTime began at creation, one with no endTime never ends.
+
+// Prisma filter for SlotRequests whose window intersects [start, end).
+// Pass end = null for an open-ended window starting at `start`.
+export const overlapsWindow = (start, end) => {
+  const conditions = [{ OR: [{ endTime: null }, { endTime: { gt: start } }] }];
+  if (end) {
+    conditions.push({ OR: [{ startTime: null }, { startTime: { lt: end } }] });
+  }
+  return { AND: conditions };
+};
+
+// Prisma filter for MaintenanceWindows still in force that intersect [start, end)
+export const maintenanceDuring = (start, end) => ({
+  status: { in: ['SCHEDULED', 'ACTIVE'] },
+  endTime: { gt: start },
+  ...(end && { startTime: { lt: end } }),
+});
+
+// Prisma filter for ParkingSlots that can be booked for the whole of [start, end):
+// in service, not held by an overlapping request and not under maintenance for the
+// slot or its zone. Combine it with other filters through AND, since it uses NOT.
+export const slotFreeDuring = (start, end) => ({
+  status: 'AVAILABLE',
+  slotRequests: {
+    none: { requestStatus: 'APPROVED', ...overlapsWindow(start, end) },
+  },
+  maintenance: { none: maintenanceDuring(start, end) },
+  NOT: { zone: { maintenance: { some: maintenanceDuring(start, end) } } },
+});
+
+export const isTimeBounded = (slotRequest) => Boolean(slotRequest.startTime || slotRequest.endTime);
+
+// The window a request occupies, with open-ended requests starting now
+export const requestWindow = (slotRequest) => ({
+  start: slotRequest.startTime || new Date(),
+  end: slotRequest.endTime || null,
+});
+
+// Parses an optional { startTime, endTime } pair from user input.
+// Returns { window } on success or { error } describing what is wrong.
+export const parseWindow = (startTime, endTime) => {
+  if (startTime === undefined && endTime === undefined) return { window: null };
+  if (!startTime || !endTime) {
+    return { error: 'Both startTime and endTime are required for a time-bounded request.' };
+  }
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: 'startTime and endTime must be valid dates.' };
+  }
+  if (end <= start) return { error: 'endTime must be after startTime.' };
+  if (end <= new Date()) return { error: 'The reservation window has already ended.' };
+  return { window: { start, end } };
+};
@@ -0,0 +1,90 @@
+import jwt from 'jsonwebtoken';
+import prisma from '../config/db.js';
+import { logAction } from './actionLogService.js';
+import { generateOneTimeToken, hashOneTimeToken } from '../utils/oneTimeToken.js';
+
+// Access tokens are short-lived JWTs; the refresh token gets a new one when it expires
+export const accessTokenLifetime = () => process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+const refreshTokenTtlMs = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+
+const signAccessToken = (userId, sessionId) => jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+  expiresIn: accessTokenLifetime(),
+});
+
+// Gives `session` a new refresh token, valid for REFRESH_TOKEN_TTL_DAYS from now
+const issueRefreshToken = async (db, session) => {
+  const { token, tokenHash } = generateOneTimeToken();
+  const expiresAt = new Date(Date.now() + refreshTokenTtlMs());
+  await db.refreshToken.create({ data: { tokenHash, expiresAt, sessionId: session.id } });
+  await db.session.update({ where: { id: session.id }, data: { expiresAt, lastUsedAt: new Date() } });
+  return token;
+};
+
+// Logs `user` in on a new device. Resolves to { session, accessToken, refreshToken }.
+export const createSession = (user, { userAgent, ip } = {}) => prisma.$transaction(async (tx) => {
+  const session = await tx.session.create({
+    data: {
+      userId: user.id,
+      userAgent: userAgent ? userAgent.slice(0, 512) : null,
+      ip,
+      expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+    },
+  });
+  const refreshToken = await issueRefreshToken(tx, session);
+  return { session, accessToken: signAccessToken(user.id, session.id), refreshToken };
+});
+
+// The session an access token belongs to, if it is still live
+export const findActiveSession = (sessionId, userId) => prisma.session.findFirst({
+  where: { id: sessionId, userId, revokedAt: null, expiresAt: { gt: new Date() } },
+});
+
+export const revokeSession = (sessionId, reason, db = prisma) => db.session.updateMany({
+  where: { id: sessionId, revokedAt: null },
+  data: { revokedAt: new Date(), revokedReason: reason },
+});
+
+// Signs the user out everywhere. Resolves to { count } of sessions revoked.
+export const revokeAllSessions = (userId, reason, db = prisma) => db.session.updateMany({
+  where: { userId, revokedAt: null },
+  data: { revokedAt: new Date(), revokedReason: reason },
+});
+
+const revokeForReuse = async (stored) => {
+  const { count } = await revokeSession(stored.sessionId, 'refresh_token_reuse');
+  if (count > 0) {
+    await logAction('REFRESH_TOKEN_REUSE_DETECTED', stored.session.userId, { sessionId: stored.sessionId, refreshTokenId: stored.id });
+  }
+  return { error: 'reused', session: stored.session };
+};
+
+// Swaps a refresh token for a new access token and refresh token. A refresh token that
+// was already swapped is being replayed, so its whole session is revoked.
+// Resolves to { session, accessToken, refreshToken }, or { error, session } where error
+// is 'unknown', 'reused', 'revoked' or 'expired' (session is null for 'unknown').
+export const rotateRefreshToken = async (token) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashOneTimeToken(token) },
+    include: { session: true },
+  });
+  if (!stored) return { error: 'unknown', session: null };
+  const { session } = stored;
+
+  if (stored.usedAt) return revokeForReuse(stored);
+  if (session.revokedAt) return { error: 'revoked', session };
+  if (stored.expiresAt <= new Date()) return { error: 'expired', session };
+
+  const refreshToken = await prisma.$transaction(async (tx) => {
+    // Claim the old token first; a concurrent request with the same token then sees it used
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: stored.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    if (count === 0) return null;
+    return issueRefreshToken(tx, session);
+  });
+  if (!refreshToken) return revokeForReuse(stored);
+
+  return { session, accessToken: signAccessToken(session.userId, session.id), refreshToken };
+};
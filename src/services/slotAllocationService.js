@@ -0,0 +1,124 @@
+import prisma from '../config/db.js';
+import { slotFreeDuring, isTimeBounded, requestWindow } from './reservationService.js';
+import { getStrategy } from './assignmentStrategies.js';
+import { placementWhere } from './facilityService.js';
+import { compatibleSlotWhere } from './vehicleClassService.js';
+import { publishRequestEvent, publishSlotEvent } from './eventBus.js';
+
+// Times a transaction is retried after MySQL picks it as a deadlock/lock-timeout victim
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+// Slots free for the request's window, within the request's facility and any extra
+// { facilityId, levelId, zoneId } `scope` the caller narrows to. The two placement
+// filters are ANDed so neither overrides the other (scope.facilityId may be an { in } list).
+const availableForRequest = (slotRequest, scope) => {
+  const { start, end } = requestWindow(slotRequest);
+  return {
+    AND: [
+      slotFreeDuring(start, end),
+      placementWhere({ facilityId: slotRequest.facilityId }),
+      placementWhere(scope),
+    ],
+  };
+};
+
+const withTransactionRetry = async (work) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(work);
+    } catch (error) {
+      // P2034: write conflict or deadlock, safe to run the whole transaction again
+      if (error.code !== 'P2034' || attempt >= MAX_TRANSACTION_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Tries to give `candidate` to the request inside one transaction. The slot row is locked
+// with SELECT ... FOR UPDATE, so concurrent allocations of the same slot run one after
+// another and each re-checks availability (and that the slot's size/type did not change)
+// after the previous one committed. The request only moves to APPROVED if it is still in
+// one of `fromStatuses`. `onAssigned(tx, slot, request)` runs inside the same transaction.
+const tryAllocate = (slotRequest, candidate, fromStatuses, scope, onAssigned) => withTransactionRetry(async (tx) => {
+  await tx.$queryRaw`SELECT id FROM ParkingSlot WHERE id = ${candidate.id} FOR UPDATE`;
+
+  const slot = await tx.parkingSlot.findFirst({
+    where: {
+      id: candidate.id,
+      size: candidate.size,
+      vehicleType: candidate.vehicleType,
+      ...availableForRequest(slotRequest, scope),
+    },
+  });
+  if (!slot) return { status: 'SLOT_TAKEN' };
+
+  const { count } = await tx.slotRequest.updateMany({
+    where: { id: slotRequest.id, requestStatus: { in: fromStatuses } },
+    data: {
+      requestStatus: 'APPROVED',
+      slotId: slot.id,
+      assignedSlotNumber: slot.slotNumber,
+      facilityId: slot.facilityId, // The request now belongs to the facility it is parked in
+      approvedAt: new Date(),
+      waitlistedAt: null,
+    },
+  });
+  if (count === 0) return { status: 'REQUEST_CHANGED' };
+
+  // lastAssignedAt feeds the least-recently-used strategy. Open-ended requests take the
+  // slot out of the pool; time-bounded ones leave it AVAILABLE for other windows
+  await tx.parkingSlot.update({
+    where: { id: slot.id },
+    data: {
+      lastAssignedAt: new Date(),
+      ...(!isTimeBounded(slotRequest) && { status: 'UNAVAILABLE' }),
+    },
+  });
+
+  const request = await tx.slotRequest.findUnique({ where: { id: slotRequest.id } });
+  if (onAssigned) await onAssigned(tx, slot, request);
+  return { status: 'ASSIGNED', slot, request };
+});
+
+// Atomically assigns a compatible slot that is free for the request's whole window.
+// Only slots whose class the compatibility matrix lets the vehicle use are considered.
+// With `slotId`, only that slot is considered (admin manual assignment). Otherwise the named assignment `strategy` (falling back to the
+// request's own, then the deployment default) orders the candidates. `scope` limits the
+// search to a { facilityId, levelId, zoneId } area. `onAssigned(tx, slot, request)` is run
+// in the assigning transaction, e.g. to queue the notification with it.
+// `slotRequest` must include its vehicle. Resolves to one of:
+//   { status: 'ASSIGNED', slot, request, strategy, reason }  the request is now APPROVED on `slot`
+//   { status: 'NO_SLOT', strategy }                          nothing suitable is free
+//   { status: 'REQUEST_CHANGED' }                            someone else approved/cancelled the request first
+export const allocateSlot = async (slotRequest, { slotId, strategy, scope, fromStatuses = ['PENDING', 'WAITLISTED'], onAssigned } = {}) => {
+  const available = availableForRequest(slotRequest, scope);
+  available.AND.push(await compatibleSlotWhere(slotRequest.vehicle));
+  let strategyName;
+  let candidates;
+
+  if (slotId) {
+    strategyName = 'manual';
+    const slot = await prisma.parkingSlot.findFirst({
+      where: { id: slotId, ...available },
+    });
+    candidates = slot ? [{ slot, reason: `Slot ${slot.slotNumber} chosen by an admin.` }] : [];
+  } else {
+    const selected = getStrategy(strategy || slotRequest.assignmentStrategy);
+    strategyName = selected.name;
+    candidates = await selected.candidates(slotRequest, available);
+  }
+
+  const tried = new Set();
+  for (const { slot, reason } of candidates) {
+    if (tried.has(slot.id)) continue;
+    tried.add(slot.id);
+    const result = await tryAllocate(slotRequest, slot, fromStatuses, scope, onAssigned);
+    // A slot lost to a concurrent allocation just means trying the next candidate
+    if (result.status === 'ASSIGNED') {
+      publishRequestEvent('request.updated', result.request);
+      if (!isTimeBounded(slotRequest)) publishSlotEvent('slot.updated', { ...result.slot, status: 'UNAVAILABLE' });
+      return { ...result, strategy: strategyName, reason };
+    }
+    if (result.status !== 'SLOT_TAKEN') return result;
+  }
+  return { status: 'NO_SLOT', strategy: strategyName };
+};
@@ -0,0 +1,64 @@
+import prisma from '../config/db.js';
+import { resolveSlotClass } from './vehicleClassService.js';
+import { resolvePlacement } from './facilityService.js';
+import { processWaitlistForSlot } from './waitlistService.js';
+import { publishSlotEvent } from './eventBus.js';
+
+// Creates slots from plain objects ({ slotNumber, size, vehicleType, location, facilityId?,
+// levelId?, zoneId? }), skipping the ones that fail validation. `canPlace(facilityId)`
+// says whether the caller may add slots there. Each new slot is offered to the waitlist.
+// Resolves to { createdSlots, errors } with one { slotData, error } per skipped slot.
+export const importSlots = async (slots, { canPlace = () => true } = {}) => {
+  const createdSlots = [];
+  const errors = [];
+
+  for (const slotData of slots) {
+    if (!slotData.slotNumber || !slotData.size || !slotData.vehicleType || !slotData.location) {
+      errors.push({ slotData, error: 'Missing required fields (slotNumber, size, vehicleType, location)' });
+      continue;
+    }
+    if (typeof slotData.slotNumber !== 'string' || typeof slotData.size !== 'string' || typeof slotData.vehicleType !== 'string' || typeof slotData.location !== 'string') {
+      errors.push({ slotData, error: 'Invalid data types for slot fields.' });
+      continue;
+    }
+    try {
+      const existingSlot = await prisma.parkingSlot.findUnique({ where: { slotNumber: slotData.slotNumber } });
+      if (existingSlot) {
+        errors.push({ slotData, error: `Slot number ${slotData.slotNumber} already exists.` });
+        continue;
+      }
+      const { slotClass, error: classError } = await resolveSlotClass(slotData);
+      if (classError) {
+        errors.push({ slotData, error: classError });
+        continue;
+      }
+      const { placement, error: placementError } = await resolvePlacement(slotData);
+      if (placementError) {
+        errors.push({ slotData, error: placementError });
+        continue;
+      }
+      if (!canPlace(placement.facilityId)) {
+        errors.push({ slotData, error: 'Slots can only be created in a facility you administer.' });
+        continue;
+      }
+      const newSlot = await prisma.parkingSlot.create({
+        data: {
+          slotNumber: slotData.slotNumber,
+          ...slotClass,
+          location: slotData.location,
+          status: 'AVAILABLE', // Default
+          ...placement,
+        },
+      });
+      createdSlots.push(newSlot);
+    } catch (error) {
+      errors.push({ slotData, error: error.message });
+    }
+  }
+
+  for (const newSlot of createdSlots) {
+    publishSlotEvent('slot.created', newSlot);
+    await processWaitlistForSlot(newSlot.id);
+  }
+  return { createdSlots, errors };
+};
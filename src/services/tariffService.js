@@ -0,0 +1,71 @@
+import prisma from '../config/db.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+
+// Money is summed in cents so hourly rates like 0.10 don't drift
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+const bandCovers = (band, hour) => (
+  band.startHour < band.endHour
+    ? hour >= band.startHour && hour < band.endHour
+    : hour >= band.startHour || hour < band.endHour // Wraps past midnight, e.g. 22 -> 6
+);
+
+const rateForHour = (tariff, hour) => {
+  const band = (tariff.bands || []).find((b) => bandCovers(b, hour));
+  return toCents(band ? band.hourlyRate : tariff.hourlyRate);
+};
+
+// Prefers a tariff for the exact vehicle type over an "any" tariff for the same slot size
+export const findTariff = async (slotSize, vehicleType, db = prisma) => {
+  const tariffs = await db.tariff.findMany({
+    where: {
+      isActive: true,
+      slotSize,
+      OR: [
+        { vehicleType },
+        { vehicleType: { equals: 'any' } },
+      ],
+    },
+    include: { bands: true },
+  });
+  return tariffs.find((t) => t.vehicleType === vehicleType) || tariffs[0] || null;
+};
+
+// Every started hour is charged at the rate in force when that hour began (server local time).
+// Each 24h block from check-in is then capped at dailyCap.
+export const calculateFee = (tariff, startAt, endAt) => {
+  const start = new Date(startAt);
+  const end = new Date(endAt);
+  const durationMinutes = Math.max(0, Math.ceil((end - start) / MS_PER_MINUTE));
+
+  if (durationMinutes <= tariff.gracePeriodMinutes) {
+    return { amount: 0, durationMinutes, billableHours: 0, graceApplied: true, days: [] };
+  }
+
+  const billableHours = Math.ceil(durationMinutes / 60);
+  const dayCap = tariff.dailyCap !== null && tariff.dailyCap !== undefined ? toCents(tariff.dailyCap) : null;
+  const days = [];
+
+  for (let h = 0; h < billableHours; h++) {
+    const hourStart = new Date(start.getTime() + h * MS_PER_HOUR);
+    const dayIndex = Math.floor(h / 24);
+    if (!days[dayIndex]) days[dayIndex] = { day: dayIndex + 1, hours: 0, charged: 0, capped: false };
+    days[dayIndex].hours += 1;
+    days[dayIndex].charged += rateForHour(tariff, hourStart.getHours());
+  }
+
+  let totalCents = 0;
+  for (const day of days) {
+    if (dayCap !== null && day.charged > dayCap) {
+      day.charged = dayCap;
+      day.capped = true;
+    }
+    totalCents += day.charged;
+    day.charged = fromCents(day.charged);
+  }
+
+  return { amount: fromCents(totalCents), durationMinutes, billableHours, graceApplied: false, days };
+};
@@ -0,0 +1,42 @@
+import prisma from '../config/db.js';
+import { hashPassword } from '../utils/passwordUtil.js';
+import { revokeAllSessions } from './sessionService.js';
+import { ROLES, FACILITY_STAFF_ROLES } from './permissionService.js';
+
+export const USER_ROLES = ROLES;
+
+const ACCOUNT_SELECT = { id: true, name: true, email: true, role: true, createdAt: true, updatedAt: true };
+
+// Creates an account that can log in straight away: accounts made by an operator (the
+// seeder, the CLI) skip email verification
+export const createVerifiedUser = async ({ name, email, password, role = 'USER' }) => prisma.user.create({
+  data: {
+    name,
+    email,
+    password: await hashPassword(password),
+    role,
+    emailVerifiedAt: new Date(),
+  },
+  select: ACCOUNT_SELECT,
+});
+
+// Facility assignments only mean something for facility staff (ADMIN, ATTENDANT); they
+// are dropped on any other role
+export const changeUserRole = async (userId, role) => {
+  const [updatedUser] = await prisma.$transaction([
+    prisma.user.update({ where: { id: userId }, data: { role }, select: ACCOUNT_SELECT }),
+    ...(!FACILITY_STAFF_ROLES.includes(role) ? [prisma.facilityAdmin.deleteMany({ where: { userId } })] : []),
+  ]);
+  return updatedUser;
+};
+
+// Sets a new password and signs the user out everywhere. `reason` is recorded on the
+// revoked sessions. Resolves to the number of sessions revoked.
+export const setUserPassword = async (userId, password, reason) => {
+  const hashedPassword = await hashPassword(password);
+  const [, revoked] = await prisma.$transaction([
+    prisma.user.update({ where: { id: userId }, data: { password: hashedPassword, passwordChangedAt: new Date() } }),
+    revokeAllSessions(userId, reason),
+  ]);
+  return revoked.count;
+};
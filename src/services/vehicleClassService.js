@@ -0,0 +1,85 @@
+import prisma from '../config/db.js';
+
+// Slot vehicle type that stands for every vehicle type; which ones it actually takes is
+// still up to the compatibility matrix
+export const ANY_VEHICLE_TYPE = 'any';
+
+// Canonical form of a catalogue code: trimmed, lowercase, single spaces
+export const normalizeCode = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Finds a catalogue entry by code or display name, so "Medium", " medium" and "medium" all
+// resolve to the same row
+const findCatalogueEntry = (table, value) => table.findFirst({
+  where: { OR: [{ code: normalizeCode(value) }, { name: value.trim() }] },
+});
+
+const unknownValueError = async (table, label, value) => {
+  const entries = await table.findMany({ select: { code: true }, orderBy: { code: 'asc' } });
+  return `Unknown ${label} "${value}". Expected one of: ${entries.map((entry) => entry.code).join(', ') || '(none configured)'}.`;
+};
+
+// Checks a vehicle's { vehicleType, size } against the catalogues and makes sure at least one
+// slot class can take it, so a vehicle is never registered in a class that can't be parked.
+// Returns { vehicleClass: { vehicleType, size } } with canonical codes, or { error }.
+export const resolveVehicleClass = async ({ vehicleType, size }, db = prisma) => {
+  const type = await findCatalogueEntry(db.vehicleType, vehicleType);
+  if (!type) return { error: await unknownValueError(db.vehicleType, 'vehicle type', vehicleType) };
+  const vehicleSize = await findCatalogueEntry(db.vehicleSize, size);
+  if (!vehicleSize) return { error: await unknownValueError(db.vehicleSize, 'vehicle size', size) };
+
+  const slotClasses = await db.slotCompatibility.count({ where: { vehicleType: type.code, vehicleSize: vehicleSize.code } });
+  if (slotClasses === 0) {
+    return { error: `No slot class takes a ${vehicleSize.code} ${type.code}. An administrator needs to add it to the compatibility matrix first.` };
+  }
+  return { vehicleClass: { vehicleType: type.code, size: vehicleSize.code } };
+};
+
+// Same check for a slot's { vehicleType, size }: the type may also be "any", and the matrix
+// must let the slot class take at least one kind of vehicle.
+// Returns { slotClass: { vehicleType, size } } with canonical codes, or { error }.
+export const resolveSlotClass = async ({ vehicleType, size }, db = prisma) => {
+  let typeCode = ANY_VEHICLE_TYPE;
+  if (normalizeCode(vehicleType) !== ANY_VEHICLE_TYPE) {
+    const type = await findCatalogueEntry(db.vehicleType, vehicleType);
+    if (!type) return { error: await unknownValueError(db.vehicleType, 'vehicle type', vehicleType) };
+    typeCode = type.code;
+  }
+  const slotSize = await findCatalogueEntry(db.vehicleSize, size);
+  if (!slotSize) return { error: await unknownValueError(db.vehicleSize, 'slot size', size) };
+
+  const vehicleClasses = await db.slotCompatibility.count({ where: { slotVehicleType: typeCode, slotSize: slotSize.code } });
+  if (vehicleClasses === 0) {
+    return { error: `The compatibility matrix has no entry for ${slotSize.code} "${typeCode}" slots, so nothing could park in one.` };
+  }
+  return { slotClass: { vehicleType: typeCode, size: slotSize.code } };
+};
+
+// Prisma filter for the slots whose class the matrix lets `vehicle` use.
+// An empty OR matches nothing, which is right for a vehicle no slot class takes.
+export const compatibleSlotWhere = async (vehicle, db = prisma) => {
+  const rows = await db.slotCompatibility.findMany({
+    where: { vehicleType: vehicle.vehicleType, vehicleSize: vehicle.size },
+  });
+  return { OR: rows.map((row) => ({ vehicleType: row.slotVehicleType, size: row.slotSize })) };
+};
+
+// Prisma filter for the vehicles `slot` can take
+export const acceptedVehiclesWhere = async (slot, db = prisma) => {
+  const rows = await db.slotCompatibility.findMany({
+    where: { slotVehicleType: slot.vehicleType, slotSize: slot.size },
+  });
+  return { OR: rows.map((row) => ({ vehicleType: row.vehicleType, size: row.vehicleSize })) };
+};
+
+// Size codes a vehicle of size `code` could fit: its own first, then every size ranked at
+// or above it from smallest to largest. Just [code] if the size is not in the catalogue.
+export const listSizeCodesFrom = async (code, db = prisma) => {
+  const own = await db.vehicleSize.findUnique({ where: { code }, select: { rank: true } });
+  if (!own) return [code];
+  const sizes = await db.vehicleSize.findMany({
+    where: { rank: { gte: own.rank } },
+    orderBy: [{ rank: 'asc' }, { code: 'asc' }],
+    select: { code: true },
+  });
+  return [code, ...sizes.map((size) => size.code).filter((size) => size !== code)];
+};
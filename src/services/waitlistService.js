@@ -0,0 +1,80 @@
+import prisma from '../config/db.js';
+import { logAction } from './actionLogService.js';
+import { allocateSlot } from './slotAllocationService.js';
+import { acceptedVehiclesWhere } from './vehicleClassService.js';
+import { publishRequestEvent } from './eventBus.js';
+import { notifyAssignedFromWaitlist } from './notificationService.js';
+
+// How many waiting requests are looked at each time a slot frees up
+const WAITLIST_SCAN_LIMIT = 50;
+
+// Moves a PENDING request onto the waitlist. Resolves to null if it is no longer PENDING.
+export const addToWaitlist = async (slotRequest) => {
+  const { count } = await prisma.slotRequest.updateMany({
+    where: { id: slotRequest.id, requestStatus: 'PENDING' },
+    data: { requestStatus: 'WAITLISTED', waitlistedAt: new Date() },
+  });
+  if (count === 0) return null;
+  const waitlisted = await prisma.slotRequest.findUnique({ where: { id: slotRequest.id } });
+  publishRequestEvent('request.updated', waitlisted);
+  return waitlisted;
+};
+
+// 1-based position among waiting requests for vehicles of the same class (type and size),
+// since those are the ones competing for the same slots.
+export const getWaitlistPosition = async (slotRequest) => {
+  if (slotRequest.requestStatus !== 'WAITLISTED' || !slotRequest.waitlistedAt) return null;
+
+  const vehicle = slotRequest.vehicle || await prisma.vehicle.findUnique({ where: { id: slotRequest.vehicleId } });
+  const ahead = await prisma.slotRequest.count({
+    where: {
+      requestStatus: 'WAITLISTED',
+      vehicle: { vehicleType: vehicle.vehicleType, size: vehicle.size },
+      OR: [
+        { waitlistedAt: { lt: slotRequest.waitlistedAt } },
+        { waitlistedAt: slotRequest.waitlistedAt, id: { lt: slotRequest.id } },
+      ],
+    },
+  });
+  return ahead + 1;
+};
+
+// Gives a newly created or freed slot to the longest-waiting compatible requests.
+// Open-ended requests take the slot outright; time-bounded ones keep being matched
+// while the slot is still free for their window. Never throws: the caller's own
+// change has already succeeded.
+export const processWaitlistForSlot = async (slotId) => {
+  try {
+    const slot = await prisma.parkingSlot.findUnique({ where: { id: slotId } });
+    if (!slot || slot.status !== 'AVAILABLE') return [];
+
+    const candidates = await prisma.slotRequest.findMany({
+      where: {
+        requestStatus: 'WAITLISTED',
+        vehicle: await acceptedVehiclesWhere(slot),
+        // Requests tied to a facility only take slots there
+        OR: [{ facilityId: null }, ...(slot.facilityId ? [{ facilityId: slot.facilityId }] : [])],
+      },
+      include: { vehicle: true, user: true },
+      orderBy: [{ waitlistedAt: 'asc' }, { id: 'asc' }],
+      take: WAITLIST_SCAN_LIMIT,
+    });
+
+    const assigned = [];
+    for (const candidate of candidates) {
+      const allocation = await allocateSlot(candidate, {
+        slotId: slot.id,
+        fromStatuses: ['WAITLISTED'],
+        onAssigned: (tx, assignedSlot) => notifyAssignedFromWaitlist(candidate, assignedSlot, tx),
+      });
+      if (allocation.status !== 'ASSIGNED') continue;
+
+      assigned.push(candidate.id);
+      await logAction('SLOT_REQUEST_ASSIGNED_FROM_WAITLIST', null, { requestId: candidate.id, vehicleId: candidate.vehicleId, slotId: slot.id });
+    }
+    return assigned;
+  } catch (error) {
+    console.error('Failed to process waitlist for slot:', error);
+    return [];
+  }
+};
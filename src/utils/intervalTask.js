@@ -0,0 +1,22 @@
+// Runs `task` now and then every `intervalMs` (0 or less disables it and returns null).
+// A run that is still going when the next one is due is not overlapped, and errors are
+// logged so one bad run does not stop the schedule. Returns the interval handle.
+export const startIntervalTask = (label, intervalMs, task) => {
+  if (!(intervalMs > 0)) return null;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, intervalMs);
+};
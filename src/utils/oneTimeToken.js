@@ -0,0 +1,18 @@
+import crypto from 'node:crypto';
+
+// Random tokens handed to users (password reset, email verification, refresh tokens).
+// Only their SHA-256 is stored, so a leaked database can't be used to take over accounts.
+export const hashOneTimeToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const generateOneTimeToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashOneTimeToken(token) };
+};
+
+// `page` (a frontend URL from the environment) with ?token= added, or null when unset
+export const linkWithToken = (page, token) => {
+  if (!page) return null;
+  const url = new URL(page);
+  url.searchParams.set('token', token);
+  return url.toString();
+};
@@ -1 +1,112 @@
-// this will be a function that will seed the database with some initial data of the admin user
\ No newline at end of file
+import prisma from '../config/db.js';
+import { logAction } from '../services/actionLogService.js';
+import { ANY_VEHICLE_TYPE } from '../services/vehicleClassService.js';
+import { createVerifiedUser } from '../services/userAccountService.js';
+import { importSlots } from '../services/slotImportService.js';
+
+// Seeding runs at every startup (and from `npm run seed`), so each step only adds what is
+// missing and never changes existing rows.
+
+const DEMO_TYPES = [
+  { code: 'car', name: 'Car' },
+  { code: 'motorcycle', name: 'Motorcycle' },
+];
+const DEMO_SIZES = [
+  { code: 'small', name: 'Small', rank: 10 },
+  { code: 'medium', name: 'Medium', rank: 20 },
+  { code: 'large', name: 'Large', rank: 30 },
+];
+const DEMO_SLOTS = [
+  ...['small', 'medium', 'medium', 'large'].map((size, index) => ({ size, vehicleType: 'car', zone: 'A', bay: index + 1 })),
+  ...['medium', 'large'].map((size, index) => ({ size, vehicleType: ANY_VEHICLE_TYPE, zone: 'B', bay: index + 1 })),
+  ...['small', 'small'].map((size, index) => ({ size, vehicleType: 'motorcycle', zone: 'C', bay: index + 1 })),
+].map(({ size, vehicleType, zone, bay }) => ({
+  slotNumber: `DEMO-${zone}${bay}`,
+  size,
+  vehicleType,
+  location: `${zone}${bay}`,
+}));
+const DEMO_VEHICLES = [
+  { plateNumber: 'DEMO001', vehicleType: 'car', size: 'medium', otherAttributes: { color: 'blue' } },
+  { plateNumber: 'DEMO002', vehicleType: 'motorcycle', size: 'small', otherAttributes: { color: 'black' } },
+];
+
+// Creates the first super-admin from ADMIN_EMAIL / ADMIN_PASSWORD (and optional
+// ADMIN_NAME). Does nothing if those are unset or the account already exists; an existing
+// account's password and role are left alone. Resolves to the new user, or null.
+export const seedInitialAdmin = async () => {
+  const { ADMIN_EMAIL: email, ADMIN_PASSWORD: password, ADMIN_NAME: name = 'Administrator' } = process.env;
+  if (!email || !password) return null;
+
+  const existing = await prisma.user.findUnique({ where: { email } });
+  if (existing) return null;
+
+  const admin = await createVerifiedUser({ name, email, password, role: 'SUPER_ADMIN' });
+  await logAction('ADMIN_SEEDED', null, { userId: admin.id, email });
+  return admin;
+};
+
+// Vehicle types and sizes used by the demo data. Same-type (and "any") slots take vehicles
+// of their own size or smaller
+const seedDemoCatalogues = async () => {
+  for (const type of DEMO_TYPES) {
+    await prisma.vehicleType.upsert({ where: { code: type.code }, update: {}, create: type });
+  }
+  for (const size of DEMO_SIZES) {
+    await prisma.vehicleSize.upsert({ where: { code: size.code }, update: {}, create: size });
+  }
+  const rules = DEMO_TYPES.flatMap((type) => DEMO_SIZES.flatMap((vehicleSize) => DEMO_SIZES
+    .filter((slotSize) => slotSize.rank >= vehicleSize.rank)
+    .flatMap((slotSize) => [type.code, ANY_VEHICLE_TYPE].map((slotVehicleType) => ({
+      slotVehicleType,
+      slotSize: slotSize.code,
+      vehicleType: type.code,
+      vehicleSize: vehicleSize.code,
+    })))));
+  await prisma.slotCompatibility.createMany({ data: rules, skipDuplicates: true });
+};
+
+// With SEED_DEMO_DATA=true: the demo catalogues, a few slots, and a demo user with two
+// vehicles. The user (DEMO_USER_EMAIL, default demo@example.com) is only created when
+// DEMO_USER_PASSWORD is set. Resolves to a count of what was created.
+export const seedDemoData = async () => {
+  if (process.env.SEED_DEMO_DATA !== 'true') return null;
+
+  await seedDemoCatalogues();
+
+  const missingSlots = [];
+  for (const slot of DEMO_SLOTS) {
+    if (!(await prisma.parkingSlot.findUnique({ where: { slotNumber: slot.slotNumber } }))) missingSlots.push(slot);
+  }
+  const { createdSlots } = await importSlots(missingSlots);
+
+  const email = process.env.DEMO_USER_EMAIL || 'demo@example.com';
+  let demoUser = await prisma.user.findUnique({ where: { email } });
+  let userCreated = false;
+  if (!demoUser && process.env.DEMO_USER_PASSWORD) {
+    demoUser = await createVerifiedUser({ name: 'Demo User', email, password: process.env.DEMO_USER_PASSWORD });
+    userCreated = true;
+  }
+
+  let vehiclesCreated = 0;
+  if (demoUser) {
+    for (const vehicle of DEMO_VEHICLES) {
+      if (await prisma.vehicle.findUnique({ where: { plateNumber: vehicle.plateNumber } })) continue;
+      await prisma.vehicle.create({ data: { ...vehicle, userId: demoUser.id } });
+      vehiclesCreated++;
+    }
+  }
+
+  const summary = { slotsCreated: createdSlots.length, userCreated, vehiclesCreated };
+  if (summary.slotsCreated || summary.userCreated || summary.vehiclesCreated) {
+    await logAction('DEMO_DATA_SEEDED', null, summary);
+  }
+  return summary;
+};
+
+export const runSeeders = async () => {
+  const admin = await seedInitialAdmin();
+  if (admin) console.log(`Created super-admin ${admin.email}`);
+  const demo = await seedDemoData();
+  if (demo) console.log(`Demo data: ${demo.slotsCreated} slot(s), ${demo.vehiclesCreated} vehicle(s)${demo.userCreated ? ' and the demo user' : ''} created`);
+};
@@ -0,0 +1,38 @@
+import { string, id, oneOf, integer, boolean, json } from './rules.js';
+
+export const DECISIONS = ['AUTO_APPROVE', 'AUTO_REJECT', 'MANUAL_REVIEW'];
+
+const ruleParams = { id: id({ required: true }) };
+const name = (flags) => string({ min: 1, max: 191, ...flags });
+const description = (flags) => string({ max: 1000, ...flags });
+// The condition structure itself is checked by validateConditions
+const conditions = (flags) => json(flags);
+
+export const createRuleSchema = {
+  body: {
+    name: name({ required: true }),
+    description: description(),
+    priority: integer(),
+    decision: oneOf(DECISIONS, { required: true }),
+    conditions: conditions({ default: {} }),
+    isActive: boolean(),
+  },
+};
+
+export const ruleByIdSchema = { params: ruleParams };
+
+export const updateRuleSchema = {
+  params: ruleParams,
+  body: {
+    name: name(),
+    description: description({ nullable: true }),
+    priority: integer(),
+    decision: oneOf(DECISIONS),
+    conditions: conditions(),
+    isActive: boolean(),
+  },
+};
+
+export const evaluateRulesSchema = {
+  body: { vehicleId: id({ required: true }) },
+};
@@ -0,0 +1,37 @@
+import { string, id, oneOf, integer, date, list } from './rules.js';
+import { AUDIT_ENTITY_KEYS } from '../services/actionLogService.js';
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const ENTITY_TYPES = Object.keys(AUDIT_ENTITY_KEYS);
+
+// Filters shared by the list, the export and entity timelines:
+//   ?action=A,B  ?userId=  ?from=&to=  ?entity=<type>:<id> (repeatable; all must match)
+const filters = () => ({
+  action: list(string({ max: 64 }), { default: [] }),
+  userId: id(),
+  from: date(),
+  to: date(),
+  entity: list(string({
+    max: 255,
+    pattern: new RegExp(`^(${ENTITY_TYPES.join('|')}):.+$`),
+    patternMessage: `must look like <type>:<id>, e.g. slot:abc123, with a type of ${ENTITY_TYPES.join(', ')}`,
+  }), { default: [] }),
+});
+
+// Cursor paging: ?limit= (max 200) &cursor= (nextCursor of the previous page)
+const paging = () => ({
+  limit: integer({ min: 1, max: 200, clamp: true, default: 50 }),
+  cursor: id(),
+});
+
+export const listAuditLogsSchema = { query: { ...filters(), ...paging() } };
+
+export const exportAuditLogsSchema = {
+  query: { ...filters(), format: oneOf(EXPORT_FORMATS, { default: 'csv' }) },
+};
+
+export const entityTimelineSchema = {
+  params: { type: oneOf(ENTITY_TYPES, { required: true }), id: id({ required: true }) },
+  query: { ...filters(), ...paging(), order: oneOf(['asc', 'desc'], { default: 'asc' }) },
+};
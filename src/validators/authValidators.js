@@ -0,0 +1,46 @@
+import { string, id, email } from './rules.js';
+
+// bcrypt only looks at the first 72 bytes of a password
+const password = (flags) => string({ min: 1, max: 72, ...flags });
+const token = () => string({ required: true, min: 1, max: 512 });
+// Checked against normalizeLocale in the controller
+const locale = () => string({ min: 1, max: 35 });
+
+export const registerSchema = {
+  body: {
+    name: string({ required: true, min: 1, max: 191 }),
+    email: email({ required: true }),
+    password: password({ required: true }),
+    locale: locale(),
+  },
+};
+
+export const loginSchema = {
+  body: {
+    email: string({ required: true, min: 1, max: 191 }),
+    password: string({ required: true, min: 1, max: 1024 }),
+  },
+};
+
+export const updateProfileSchema = {
+  body: {
+    name: string({ min: 1, max: 191 }),
+    email: email(),
+    password: password(),
+    locale: locale(),
+  },
+};
+
+export const forgotPasswordSchema = {
+  body: { email: string({ required: true, min: 1, max: 191 }) },
+};
+
+export const resetPasswordSchema = {
+  body: { token: token(), password: password({ required: true }) },
+};
+
+export const verifyEmailSchema = { body: { token: token() } };
+
+export const refreshTokenSchema = { body: { refreshToken: token() } };
+
+export const sessionByIdSchema = { params: { id: id({ required: true }) } };
@@ -0,0 +1,32 @@
+import { string, json } from './rules.js';
+
+const templateParams = { name: string({ required: true, min: 1, max: 64 }) };
+// Checked against normalizeLocale in the controller
+const locale = (flags) => string({ min: 1, max: 35, ...flags });
+const part = (flags) => string({ max: 100000, ...flags });
+
+export const emailTemplateByNameSchema = { params: templateParams };
+
+export const emailTemplateByLocaleSchema = {
+  params: { ...templateParams, locale: locale({ required: true }) },
+};
+
+export const upsertEmailTemplateSchema = {
+  ...emailTemplateByLocaleSchema,
+  body: {
+    subject: part({ required: true, min: 1 }),
+    html: part({ required: true, min: 1 }),
+    text: part({ required: true, min: 1 }),
+  },
+};
+
+export const previewEmailTemplateSchema = {
+  params: templateParams,
+  body: {
+    locale: locale(),
+    variables: json({ object: true, default: {} }),
+    subject: part(),
+    html: part(),
+    text: part(),
+  },
+};
@@ -0,0 +1,57 @@
+import { string, id, integer, boolean } from './rules.js';
+
+const facilityParams = { id: id({ required: true }) };
+const name = (flags) => string({ min: 1, max: 191, ...flags });
+const note = (flags) => string({ max: 1000, ...flags });
+
+export const createFacilitySchema = {
+  body: { name: name({ required: true }), address: note() },
+};
+
+export const facilityByIdSchema = { params: facilityParams };
+
+export const updateFacilitySchema = {
+  params: facilityParams,
+  body: { name: name(), address: note({ nullable: true }) },
+};
+
+export const createLevelSchema = {
+  params: facilityParams,
+  body: { name: name({ required: true }), ordinal: integer({ nullable: true }) },
+};
+
+export const levelByIdSchema = {
+  params: { ...facilityParams, levelId: id({ required: true }) },
+};
+
+export const updateLevelSchema = {
+  ...levelByIdSchema,
+  body: { name: name(), ordinal: integer({ nullable: true }) },
+};
+
+export const createZoneSchema = {
+  params: facilityParams,
+  body: { name: name({ required: true }), description: note(), levelId: id({ nullable: true }) },
+};
+
+export const zoneByIdSchema = {
+  params: { ...facilityParams, zoneId: id({ required: true }) },
+};
+
+export const updateZoneSchema = {
+  ...zoneByIdSchema,
+  body: { name: name(), description: note({ nullable: true }), levelId: id({ nullable: true }) },
+};
+
+export const importSlotLocationsSchema = {
+  body: { facilityName: name({ required: true }), dryRun: boolean({ default: false }) },
+};
+
+export const addFacilityAdminSchema = {
+  params: facilityParams,
+  body: { userId: id({ required: true }) },
+};
+
+export const facilityAdminByIdSchema = {
+  params: { ...facilityParams, userId: id({ required: true }) },
+};
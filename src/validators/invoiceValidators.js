@@ -0,0 +1,32 @@
+import { string, id, oneOf, boolean, pagination } from './rules.js';
+
+export const INVOICE_STATUSES = ['UNPAID', 'PROCESSING', 'PAID', 'REFUNDING', 'REFUNDED'];
+
+const invoiceParams = { id: id({ required: true }) };
+
+export const listInvoicesSchema = {
+  query: {
+    ...pagination(),
+    status: oneOf(INVOICE_STATUSES, { caseInsensitive: true }),
+    userId: id(),
+    overdue: boolean(),
+  },
+};
+
+export const balanceSchema = { query: { userId: id() } };
+
+export const listOutstandingBalancesSchema = {
+  query: { ...pagination(), overdue: boolean() },
+};
+
+export const invoiceByIdSchema = { params: invoiceParams };
+
+export const payInvoiceSchema = {
+  params: invoiceParams,
+  body: { paymentMethod: string({ min: 1, max: 64 }) },
+};
+
+export const refundInvoiceSchema = {
+  params: invoiceParams,
+  body: { reason: string({ max: 1000 }) },
+};
@@ -0,0 +1,6 @@
+import { string } from './rules.js';
+
+// Exactly one of email and ip is checked for in the controller
+export const unlockLoginLockoutSchema = {
+  body: { email: string({ min: 1, max: 191 }), ip: string({ min: 1, max: 64 }) },
+};
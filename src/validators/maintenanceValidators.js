@@ -0,0 +1,25 @@
+import { string, id, oneOf, date, pagination } from './rules.js';
+
+export const MAINTENANCE_STATUSES = ['SCHEDULED', 'ACTIVE', 'COMPLETED', 'CANCELLED'];
+
+// Exactly one of slotId and zoneId is checked for in the controller
+export const createMaintenanceWindowSchema = {
+  body: {
+    slotId: id(),
+    zoneId: id(),
+    startTime: date({ required: true }),
+    endTime: date({ required: true }),
+    reason: string({ required: true, min: 1, max: 1000 }),
+  },
+};
+
+export const listMaintenanceWindowsSchema = {
+  query: {
+    ...pagination(),
+    status: oneOf(MAINTENANCE_STATUSES, { caseInsensitive: true }),
+    slotId: id(),
+    zoneId: id(),
+  },
+};
+
+export const maintenanceWindowByIdSchema = { params: { id: id({ required: true }) } };
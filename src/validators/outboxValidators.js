@@ -0,0 +1,15 @@
+import { string, id, oneOf, pagination } from './rules.js';
+
+export const OUTBOX_STATUSES = ['PENDING', 'SENDING', 'SENT', 'DEAD'];
+
+export const listOutboxItemsSchema = {
+  query: {
+    ...pagination(),
+    status: oneOf(OUTBOX_STATUSES, { caseInsensitive: true }),
+    template: string({ min: 1, max: 64 }),
+    recipient: string({ min: 1, max: 191 }),
+    userId: id(),
+  },
+};
+
+export const outboxItemByIdSchema = { params: { id: id({ required: true }) } };
@@ -0,0 +1,11 @@
+import { string, id, pagination } from './rules.js';
+
+export const checkInSchema = {
+  body: { slotRequestId: id({ required: true }) },
+};
+
+export const listParkedVehiclesSchema = {
+  query: { ...pagination(), search: string({ max: 191 }) },
+};
+
+export const sessionByIdSchema = { params: { id: id({ required: true }) } };
@@ -0,0 +1,58 @@
+import { string, id, oneOf, date, array, json, pagination } from './rules.js';
+
+export const SLOT_STATUSES = ['AVAILABLE', 'UNAVAILABLE', 'MAINTENANCE'];
+export const SUMMARY_GROUP_BY = ['facility', 'level', 'zone'];
+
+const slotParams = { id: id({ required: true }) };
+const text = (flags) => string({ min: 1, max: 191, ...flags });
+// null takes a slot off its level or zone (or out of its facility)
+const placement = () => ({
+  facilityId: id({ nullable: true }),
+  levelId: id({ nullable: true }),
+  zoneId: id({ nullable: true }),
+});
+const placementQuery = () => ({ facilityId: id(), levelId: id(), zoneId: id() });
+
+// Each slot is checked on its own by importSlots, so one bad entry doesn't fail the batch
+export const bulkCreateSlotsSchema = {
+  body: { slots: array(json({ object: true }), { required: true, min: 1, max: 1000 }) },
+};
+
+export const createSlotSchema = {
+  body: {
+    slotNumber: text({ required: true }),
+    size: text({ required: true }),
+    vehicleType: text({ required: true }),
+    location: text({ required: true }),
+    ...placement(),
+  },
+};
+
+export const listSlotsSchema = {
+  query: {
+    ...pagination(),
+    search: string({ max: 191 }),
+    status: oneOf(SLOT_STATUSES, { caseInsensitive: true }),
+    from: date(),
+    to: date(),
+    ...placementQuery(),
+  },
+};
+
+export const slotSummarySchema = {
+  query: { groupBy: oneOf(SUMMARY_GROUP_BY, { default: 'facility' }), ...placementQuery() },
+};
+
+export const slotByIdSchema = { params: slotParams };
+
+export const updateSlotSchema = {
+  params: slotParams,
+  body: {
+    slotNumber: text(),
+    size: text(),
+    vehicleType: text(),
+    location: text(),
+    status: oneOf(SLOT_STATUSES),
+    ...placement(),
+  },
+};
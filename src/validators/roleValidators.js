@@ -0,0 +1,14 @@
+import { string, boolean } from './rules.js';
+
+// The role and permission are checked against the catalogue in the controller
+const rolePermissionParams = {
+  role: string({ required: true, min: 1, max: 64 }),
+  permission: string({ required: true, min: 1, max: 64 }),
+};
+
+export const rolePermissionSchema = { params: rolePermissionParams };
+
+export const updateRolePermissionSchema = {
+  params: rolePermissionParams,
+  body: { granted: boolean({ required: true }) },
+};
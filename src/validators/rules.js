@@ -0,0 +1,102 @@
+// Building blocks for request schemas (see middlewares/validateMiddleware.js). A schema
+// maps each accepted field to a rule; anything not listed is dropped. Every rule takes
+//   required: true    the field must be present
+//   nullable: true    null is accepted as is (e.g. to clear a placement)
+//   default: value    used when the field is missing
+// Query values arrive as strings, so integer, number and boolean rules also accept
+// their string forms and convert them.
+
+const makeRule = (check, { required = false, nullable = false, default: fallback } = {}) => ({
+  check,
+  required,
+  nullable,
+  fallback,
+});
+
+const singleValue = (value) => (Array.isArray(value) ? { error: 'must be a single value' } : null);
+
+export const string = ({ min, max, pattern, patternMessage, ...flags } = {}) => makeRule((value) => {
+  if (typeof value !== 'string') return singleValue(value) || { error: 'must be a string' };
+  if (min !== undefined && value.length < min) return { error: min === 1 ? 'must not be empty' : `must be at least ${min} characters` };
+  if (max !== undefined && value.length > max) return { error: `must be at most ${max} characters` };
+  if (pattern && !pattern.test(value)) return { error: patternMessage || 'is not in the expected format' };
+  return { value };
+}, flags);
+
+// A database ID (or any other required-looking key)
+export const id = (flags) => string({ min: 1, max: 191, ...flags });
+
+export const email = (flags) => string({ min: 3, max: 191, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, patternMessage: 'must be an email address', ...flags });
+
+// One of `values`. With caseInsensitive the canonical spelling is passed on.
+export const oneOf = (values, { caseInsensitive = false, ...flags } = {}) => makeRule((value) => {
+  if (typeof value !== 'string') return singleValue(value) || { error: `must be one of ${values.join(', ')}` };
+  const match = values.find((allowed) => (caseInsensitive ? allowed.toUpperCase() === value.toUpperCase() : allowed === value));
+  return match === undefined ? { error: `must be one of ${values.join(', ')}` } : { value: match };
+}, flags);
+
+const toNumber = (value, pattern) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && pattern.test(value.trim())) return Number(value);
+  return NaN;
+};
+
+// `clamp` turns values above `max` into `max` instead of rejecting them
+export const integer = ({ min, max, clamp = false, ...flags } = {}) => makeRule((value) => {
+  const number = toNumber(value, /^-?\d+$/);
+  if (!Number.isInteger(number)) return singleValue(value) || { error: 'must be a whole number' };
+  if (min !== undefined && number < min) return { error: `must be at least ${min}` };
+  if (max !== undefined && number > max) return clamp ? { value: max } : { error: `must be at most ${max}` };
+  return { value: number };
+}, flags);
+
+export const number = ({ min, max, ...flags } = {}) => makeRule((value) => {
+  const parsed = toNumber(value, /^-?\d+(\.\d+)?$/);
+  if (!Number.isFinite(parsed)) return singleValue(value) || { error: 'must be a number' };
+  if (min !== undefined && parsed < min) return { error: `must be at least ${min}` };
+  if (max !== undefined && parsed > max) return { error: `must be at most ${max}` };
+  return { value: parsed };
+}, flags);
+
+export const boolean = (flags) => makeRule((value) => {
+  if (typeof value === 'boolean') return { value };
+  if (value === 'true' || value === 'false') return { value: value === 'true' };
+  return singleValue(value) || { error: 'must be true or false' };
+}, flags);
+
+// A date string (ISO 8601 or anything Date understands), passed on unchanged
+export const date = (flags) => makeRule((value) => {
+  if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) return singleValue(value) || { error: 'must be a valid date' };
+  return { value };
+}, flags);
+
+// Free-form JSON (e.g. vehicle attributes or rule conditions); `object` requires a plain object
+export const json = ({ object = false, ...flags } = {}) => makeRule((value) => {
+  if (object && (typeof value !== 'object' || value === null || Array.isArray(value))) return { error: 'must be an object' };
+  return { value };
+}, flags);
+
+export const array = (item, { min, max, ...flags } = {}) => makeRule((value, context) => {
+  if (!Array.isArray(value)) return { error: 'must be an array' };
+  if (min !== undefined && value.length < min) return { error: min === 1 ? 'must not be empty' : `must have at least ${min} items` };
+  if (max !== undefined && value.length > max) return { error: `must have at most ${max} items` };
+  return { value: value.map((entry, index) => context.field(item, entry, `[${index}]`)) };
+}, flags);
+
+// A nested object validated against `shape`; its unknown keys are dropped too
+export const object = (shape, flags) => makeRule((value, context) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) return { error: 'must be an object' };
+  return { value: context.shape(shape, value) };
+}, flags);
+
+// A query list, given as repeated parameters (?a=1&a=2) or comma-separated (?a=1,2)
+export const list = (item, flags) => makeRule((value, context) => {
+  const entries = [].concat(value).flatMap((entry) => String(entry).split(',')).map((entry) => entry.trim()).filter(Boolean);
+  return { value: entries.map((entry, index) => context.field(item, entry, `[${index}]`)) };
+}, flags);
+
+// ?page= and ?limit= for paginated lists: whole numbers, limit capped at `maxLimit`
+export const pagination = ({ defaultLimit = 10, maxLimit = 100 } = {}) => ({
+  page: integer({ min: 1, default: 1 }),
+  limit: integer({ min: 1, max: maxLimit, clamp: true, default: defaultLimit }),
+});
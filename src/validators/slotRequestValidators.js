@@ -0,0 +1,58 @@
+import { string, id, oneOf, date, pagination } from './rules.js';
+
+export const REQUEST_STATUSES = ['PENDING', 'WAITLISTED', 'APPROVED', 'REJECTED', 'CANCELLED', 'COMPLETED'];
+
+const requestParams = { id: id({ required: true }) };
+const decisionParams = { requestId: id({ required: true }) };
+// Checked against the registered strategies in the controller
+const strategy = () => string({ min: 1, max: 64 });
+// Optional references; null is the same as leaving them out
+const optionalId = () => id({ nullable: true });
+
+export const createSlotRequestSchema = {
+  body: {
+    vehicleId: id({ required: true }),
+    startTime: date({ nullable: true }),
+    endTime: date({ nullable: true }),
+    preferredLocation: string({ max: 191, nullable: true }),
+    assignmentStrategy: strategy(),
+    facilityId: optionalId(),
+    preferredLevelId: optionalId(),
+    preferredZoneId: optionalId(),
+  },
+};
+
+export const listSlotRequestsSchema = {
+  query: {
+    ...pagination(),
+    status: oneOf(REQUEST_STATUSES, { caseInsensitive: true }),
+    search: string({ max: 191 }),
+  },
+};
+
+export const listWaitlistSchema = {
+  query: { ...pagination(), size: string({ min: 1, max: 191 }) },
+};
+
+export const slotRequestByIdSchema = { params: requestParams };
+
+export const updateSlotRequestSchema = {
+  params: requestParams,
+  body: { vehicleId: id({ required: true }) },
+};
+
+export const approveRequestSchema = {
+  params: decisionParams,
+  body: {
+    slotId: optionalId(),
+    strategy: strategy(),
+    facilityId: optionalId(),
+    levelId: optionalId(),
+    zoneId: optionalId(),
+  },
+};
+
+export const rejectRequestSchema = {
+  params: decisionParams,
+  body: { rejectionReason: string({ max: 1000 }) },
+};
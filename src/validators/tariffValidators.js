@@ -0,0 +1,46 @@
+import { string, id, integer, number, boolean, date, array, object } from './rules.js';
+
+const tariffParams = { id: id({ required: true }) };
+const amount = (flags) => number({ min: 0, ...flags });
+const gracePeriodMinutes = () => integer({ min: 0 });
+const bands = () => array(object({
+  startHour: integer({ required: true, min: 0, max: 23 }),
+  endHour: integer({ required: true, min: 1, max: 24 }),
+  hourlyRate: amount({ required: true }),
+}), { max: 24 });
+
+export const createTariffSchema = {
+  body: {
+    name: string({ required: true, min: 1, max: 191 }),
+    slotSize: string({ required: true, min: 1, max: 191 }),
+    vehicleType: string({ required: true, min: 1, max: 191 }),
+    hourlyRate: amount({ required: true }),
+    dailyCap: amount({ nullable: true }),
+    gracePeriodMinutes: gracePeriodMinutes(),
+    bands: bands(),
+  },
+};
+
+export const tariffByIdSchema = { params: tariffParams };
+
+export const updateTariffSchema = {
+  params: tariffParams,
+  body: {
+    name: string({ min: 1, max: 191 }),
+    hourlyRate: amount(),
+    dailyCap: amount({ nullable: true }),
+    gracePeriodMinutes: gracePeriodMinutes(),
+    isActive: boolean(),
+    bands: bands(),
+  },
+};
+
+// Either a from/to window or a duration starting at `from` (default now)
+export const quoteSchema = {
+  query: {
+    vehicleId: id({ required: true }),
+    from: date(),
+    to: date(),
+    durationMinutes: integer({ min: 1, max: 366 * 24 * 60 }),
+  },
+};
@@ -0,0 +1,26 @@
+import { string, id, oneOf, pagination } from './rules.js';
+import { USER_ROLES } from '../services/userAccountService.js';
+import { ACCOUNT_STATUSES } from '../services/accountStatusService.js';
+
+const userParams = { id: id({ required: true }) };
+
+export const listUsersSchema = {
+  query: {
+    ...pagination(),
+    search: string({ max: 191 }),
+    status: oneOf(ACCOUNT_STATUSES, { caseInsensitive: true }),
+  },
+};
+
+export const userByIdSchema = { params: userParams };
+
+// Suspending or deleting an account takes an optional reason
+export const changeUserStatusSchema = {
+  params: userParams,
+  body: { reason: string({ max: 191 }) },
+};
+
+export const updateUserRoleSchema = {
+  params: userParams,
+  body: { role: oneOf(USER_ROLES, { required: true }) },
+};
@@ -0,0 +1,37 @@
+import { string, id, integer } from './rules.js';
+
+// Codes are trimmed and lower-cased by the controller
+const code = (flags) => string({ min: 1, max: 64, ...flags });
+const name = (flags) => string({ min: 1, max: 191, ...flags });
+const codeParams = { code: code({ required: true }) };
+
+export const createVehicleTypeSchema = {
+  body: { code: code({ required: true }), name: name() },
+};
+
+export const vehicleClassByCodeSchema = { params: codeParams };
+
+export const updateVehicleTypeSchema = {
+  params: codeParams,
+  body: { name: name({ required: true }) },
+};
+
+export const createVehicleSizeSchema = {
+  body: { code: code({ required: true }), name: name(), rank: integer() },
+};
+
+export const updateVehicleSizeSchema = {
+  params: codeParams,
+  body: { name: name(), rank: integer() },
+};
+
+export const addCompatibilitySchema = {
+  body: {
+    slotVehicleType: code({ required: true }),
+    slotSize: code({ required: true }),
+    vehicleType: code({ required: true }),
+    vehicleSize: code({ required: true }),
+  },
+};
+
+export const compatibilityByIdSchema = { params: { id: id({ required: true }) } };
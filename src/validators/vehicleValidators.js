@@ -0,0 +1,28 @@
+import { string, id, json, pagination } from './rules.js';
+
+const vehicleParams = { id: id({ required: true }) };
+const classCode = (flags) => string({ min: 1, max: 191, ...flags });
+
+export const addVehicleSchema = {
+  body: {
+    plateNumber: string({ required: true, min: 1, max: 191 }),
+    vehicleType: classCode({ required: true }),
+    size: classCode({ required: true }),
+    otherAttributes: json({ object: true }),
+  },
+};
+
+export const listVehiclesSchema = {
+  query: { ...pagination(), search: string({ max: 191 }) },
+};
+
+export const vehicleByIdSchema = { params: vehicleParams };
+
+export const updateVehicleSchema = {
+  params: vehicleParams,
+  body: {
+    vehicleType: classCode(),
+    size: classCode(),
+    otherAttributes: json({ object: true }),
+  },
+};
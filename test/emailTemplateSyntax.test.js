@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplateString, findTemplateProblems } from '../src/services/emailTemplateSyntax.js';
+
+// request-rejected is rendered with userName, plateNumber and rejectionReason
+const TEMPLATE = 'request-rejected';
+const check = (text) => findTemplateProblems(TEMPLATE, { subject: '', html: '', text });
+
+describe('email template syntax', () => {
+  it('keeps a section only when its variable is set, with or without spaces in the tags', () => {
+    const source = 'Hi {{userName}}.{{ #rejectionReason }} Reason: {{ rejectionReason }}{{ / rejectionReason }}';
+
+    assert.equal(renderTemplateString(source, { userName: 'Ana', rejectionReason: 'Full' }), 'Hi Ana. Reason: Full');
+    assert.equal(renderTemplateString(source, { userName: 'Ana' }), 'Hi Ana.');
+  });
+
+  it('escapes variables in HTML only', () => {
+    assert.equal(renderTemplateString('<b>{{userName}}</b>', { userName: '<Ana>' }, { html: true }), '<b>&lt;Ana&gt;</b>');
+    assert.equal(renderTemplateString('{{userName}}', { userName: '<Ana>' }), '<Ana>');
+  });
+
+  it('accepts sections that follow one another', () => {
+    assert.deepEqual(check('{{#userName}}{{userName}}{{/userName}} {{#rejectionReason}}{{rejectionReason}}{{/rejectionReason}}'), []);
+  });
+
+  it('rejects nested sections, which rendering would leave as raw tags', () => {
+    const problems = check('{{#userName}}A {{#rejectionReason}}B{{rejectionReason}}{{/rejectionReason}} end{{/userName}}');
+
+    assert.deepEqual(problems, ['text: {{#rejectionReason}} is inside {{#userName}}; sections cannot be nested.']);
+  });
+
+  it('reports unknown variables and unbalanced sections', () => {
+    assert.deepEqual(check('{{slotNumber}}'), [
+      'text: unknown variable "slotNumber". Available: userName, plateNumber, rejectionReason.',
+    ]);
+    assert.deepEqual(check('{{#userName}}open'), ['text: {{#userName}} is never closed.']);
+    assert.deepEqual(check('{{#userName}}x{{/plateNumber}}'), [
+      'text: {{/plateNumber}} does not close the section opened before it.',
+    ]);
+  });
+});
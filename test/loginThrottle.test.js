@@ -0,0 +1,83 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  setLoginThrottleStore,
+  findLoginLockout,
+  recordLoginFailure,
+  clearAccountFailures,
+} from '../src/services/loginThrottleService.js';
+import { createMemoryThrottleStore } from '../src/services/loginThrottleStores.js';
+
+const MINUTE_MS = 60 * 1000;
+const IP = '203.0.113.7';
+const START = new Date('2026-01-01T12:00:00Z');
+
+const minutesAfterStart = (minutes) => new Date(START.getTime() + minutes * MINUTE_MS);
+
+describe('login throttling', () => {
+  beforeEach(() => {
+    process.env.LOGIN_FAILURE_WINDOW_MINUTES = '15';
+    process.env.LOGIN_LOCKOUT_MINUTES = '10';
+    process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT = '3';
+    process.env.LOGIN_MAX_FAILURES_PER_IP = '5';
+    setLoginThrottleStore(createMemoryThrottleStore());
+  });
+
+  it('locks an account once it reaches the failure limit', async () => {
+    await recordLoginFailure('jane@example.com', IP, START);
+    const second = await recordLoginFailure('Jane@Example.com ', IP, START);
+    assert.equal(second.accountLockedUntil, null);
+    assert.equal(await findLoginLockout('jane@example.com', IP, START), null);
+
+    const third = await recordLoginFailure('jane@example.com', IP, START);
+    assert.equal(third.accountFailures, 3);
+    assert.deepEqual(third.accountLockedUntil, minutesAfterStart(10));
+
+    const lockout = await findLoginLockout('jane@example.com', '198.51.100.1', START);
+    assert.equal(lockout.scope, 'account');
+    // Other accounts from the same address are unaffected
+    assert.equal(await findLoginLockout('john@example.com', IP, START), null);
+    // The lockout lifts on its own
+    assert.equal(await findLoginLockout('jane@example.com', IP, minutesAfterStart(10)), null);
+  });
+
+  it('locks an address that fails across many accounts', async () => {
+    for (let i = 0; i < 4; i++) {
+      const result = await recordLoginFailure(`user${i}@example.com`, IP, START);
+      assert.equal(result.ipLockedUntil, null);
+    }
+    const fifth = await recordLoginFailure('user4@example.com', IP, START);
+    assert.deepEqual(fifth.ipLockedUntil, minutesAfterStart(10));
+
+    const lockout = await findLoginLockout('someone-new@example.com', IP, START);
+    assert.equal(lockout.scope, 'ip');
+    assert.equal(await findLoginLockout('someone-new@example.com', '198.51.100.1', START), null);
+  });
+
+  it('starts counting again once the failure window has passed', async () => {
+    await recordLoginFailure('jane@example.com', IP, START);
+    await recordLoginFailure('jane@example.com', IP, minutesAfterStart(5));
+
+    const afterWindow = await recordLoginFailure('jane@example.com', IP, minutesAfterStart(16));
+    assert.equal(afterWindow.accountFailures, 1);
+    assert.equal(afterWindow.accountLockedUntil, null);
+    assert.equal(await findLoginLockout('jane@example.com', IP, minutesAfterStart(16)), null);
+  });
+
+  it('forgets account failures on success but keeps counting the address', async () => {
+    await recordLoginFailure('jane@example.com', IP, START);
+    await recordLoginFailure('jane@example.com', IP, START);
+    await clearAccountFailures('jane@example.com');
+
+    const afterSuccess = await recordLoginFailure('jane@example.com', IP, START);
+    assert.equal(afterSuccess.accountFailures, 1);
+
+    await recordLoginFailure('jane@example.com', IP, START);
+    await clearAccountFailures('jane@example.com');
+    // Fifth failure from this address, although the account never got past two
+    const fifth = await recordLoginFailure('jane@example.com', IP, START);
+    assert.equal(fifth.accountLockedUntil, null);
+    assert.deepEqual(fifth.ipLockedUntil, minutesAfterStart(10));
+    assert.equal((await findLoginLockout('jane@example.com', IP, START)).scope, 'ip');
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+
+// Runs against a real MySQL database, since the guarantee under test is the row lock taken
+// by tryAllocate. Point TEST_DATABASE_URL at a disposable, migrated database to run it.
+const databaseUrl = process.env.TEST_DATABASE_URL;
+const CONCURRENT_REQUESTS = 8;
+const HOUR = 60 * 60 * 1000;
+
+describe('allocateSlot under concurrent approvals', { skip: !databaseUrl && 'TEST_DATABASE_URL is not set' }, () => {
+  let prisma;
+  let allocateSlot;
+  let addToWaitlist;
+  let fixture;
+
+  before(async () => {
+    process.env.DATABASE_URL = databaseUrl;
+    ({ default: prisma } = await import('../src/config/db.js'));
+    ({ allocateSlot } = await import('../src/services/slotAllocationService.js'));
+    ({ addToWaitlist } = await import('../src/services/waitlistService.js'));
+  });
+
+  after(async () => {
+    await prisma.$disconnect();
+  });
+
+  // A facility with a single slot in a vehicle class of its own, so no other data in the
+  // database can satisfy or compete for these requests
+  beforeEach(async () => {
+    const tag = `alloc-${crypto.randomUUID().slice(0, 8)}`;
+    await prisma.vehicleType.create({ data: { code: tag, name: tag } });
+    await prisma.vehicleSize.create({ data: { code: tag, name: tag } });
+    await prisma.slotCompatibility.create({
+      data: { slotVehicleType: tag, slotSize: tag, vehicleType: tag, vehicleSize: tag },
+    });
+    const facility = await prisma.facility.create({ data: { name: tag } });
+    const slot = await prisma.parkingSlot.create({
+      data: { slotNumber: tag, size: tag, vehicleType: tag, location: tag, facilityId: facility.id },
+    });
+    fixture = { tag, facility, slot, userIds: [] };
+  });
+
+  afterEach(async () => {
+    const { tag, facility, slot, userIds } = fixture;
+    await prisma.slotRequest.deleteMany({ where: { userId: { in: userIds } } });
+    await prisma.vehicle.deleteMany({ where: { userId: { in: userIds } } });
+    await prisma.user.deleteMany({ where: { id: { in: userIds } } });
+    await prisma.parkingSlot.delete({ where: { id: slot.id } });
+    await prisma.facility.delete({ where: { id: facility.id } });
+    await prisma.slotCompatibility.deleteMany({ where: { vehicleType: tag } });
+    await prisma.vehicleSize.delete({ where: { code: tag } });
+    await prisma.vehicleType.delete({ where: { code: tag } });
+  });
+
+  // One PENDING request per user for the fixture slot's class; `windowFor(i)` gives the
+  // i-th request its { startTime, endTime }, or nothing for an open-ended request
+  const createRequests = async (windowFor) => {
+    const { tag, facility, userIds } = fixture;
+    const requests = [];
+    for (let i = 0; i < CONCURRENT_REQUESTS; i++) {
+      const user = await prisma.user.create({
+        data: { name: `${tag} ${i}`, email: `${tag}-${i}@example.test`, password: 'not-a-real-hash' },
+      });
+      userIds.push(user.id);
+      const vehicle = await prisma.vehicle.create({
+        data: { plateNumber: `${tag}-${i}`, vehicleType: tag, size: tag, userId: user.id },
+      });
+      const request = await prisma.slotRequest.create({
+        data: { userId: user.id, vehicleId: vehicle.id, facilityId: facility.id, ...windowFor(i) },
+        include: { vehicle: true },
+      });
+      requests.push(request);
+    }
+    return requests;
+  };
+
+  // What approveRequest does with an allocation: an unassigned request goes on the waitlist
+  const approve = async (slotRequest) => {
+    const allocation = await allocateSlot(slotRequest);
+    if (allocation.status === 'NO_SLOT') await addToWaitlist(slotRequest);
+    return allocation;
+  };
+
+  const assertSingleWinner = async (requests, allocations) => {
+    const statuses = allocations.map((allocation) => allocation.status);
+    assert.equal(statuses.filter((status) => status === 'ASSIGNED').length, 1, `allocations: ${statuses.join(', ')}`);
+    assert.ok(statuses.every((status) => status === 'ASSIGNED' || status === 'NO_SLOT'), `allocations: ${statuses.join(', ')}`);
+
+    const stored = await prisma.slotRequest.findMany({ where: { id: { in: requests.map((request) => request.id) } } });
+    const approved = stored.filter((request) => request.requestStatus === 'APPROVED');
+    assert.equal(approved.length, 1);
+    assert.equal(approved[0].slotId, fixture.slot.id);
+    for (const request of stored) {
+      if (request.requestStatus === 'APPROVED') continue;
+      assert.equal(request.requestStatus, 'WAITLISTED');
+      assert.equal(request.slotId, null);
+    }
+  };
+
+  it('approves exactly one of several open-ended requests for the last free slot', async () => {
+    const requests = await createRequests(() => ({}));
+
+    const allocations = await Promise.all(requests.map(approve));
+
+    await assertSingleWinner(requests, allocations);
+    const slot = await prisma.parkingSlot.findUnique({ where: { id: fixture.slot.id } });
+    assert.equal(slot.status, 'UNAVAILABLE');
+  });
+
+  it('approves exactly one of several overlapping time-bounded requests for the same slot', async () => {
+    // Two-hour windows staggered by five minutes, so every pair of them overlaps
+    const base = Date.now() + HOUR;
+    const requests = await createRequests((i) => ({
+      startTime: new Date(base + i * 5 * 60 * 1000),
+      endTime: new Date(base + 2 * HOUR + i * 5 * 60 * 1000),
+    }));
+
+    const allocations = await Promise.all(requests.map(approve));
+
+    await assertSingleWinner(requests, allocations);
+    // Time-bounded reservations leave the slot in the pool for other windows
+    const slot = await prisma.parkingSlot.findUnique({ where: { id: fixture.slot.id } });
+    assert.equal(slot.status, 'AVAILABLE');
+  });
+});